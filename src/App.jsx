@@ -1,4 +1,4 @@
-import React, { useEffect, useMemo, useState } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
 import {
   ResponsiveContainer,
   LineChart,
@@ -8,7 +8,7 @@ import {
   Tooltip,
   Line,
 } from "recharts";
-import { motion, AnimatePresence } from "framer-motion";
+import { motion, AnimatePresence, Reorder, useDragControls } from "framer-motion";
 import {
   Check,
   ChevronLeft,
@@ -20,21 +20,37 @@ import {
   Minus,
   Plus,
   RefreshCw,
+  Settings,
   Shield,
   Sparkles,
   Timer,
   Play,
   Pause,
+  Upload,
+  Download,
+  Pencil,
+  GripVertical,
+  Trash2,
+  Repeat,
+  Link2,
+  Unlink,
+  Volume2,
+  VolumeX,
+  Trophy,
+  Lock,
+  CalendarDays,
 } from "lucide-react";
+import defaultProgram from "./programs/calistenia-20-semanas.json";
 
 /**
- * Calisthenics Mobile (20 semanas)
+ * Calisthenics Mobile
  * - Responsive (mobile-first)
- * - 4 días/semana
+ * - Duración y días/semana definidos por el programa (por defecto 20 semanas × 4 días)
  * - Ajuste interactivo de series/reps por ejercicio
  * - Registro por sesión (completado, RPE, notas)
  * - Recomendación automática: avanzar o mantener nivel
  * - Persistencia con localStorage
+ * - Programa declarativo (JSON versionado) importable
  * - Visual: grupo muscular + explicación visual por ejercicio
  */
 
@@ -42,16 +58,29 @@ import {
 // Utils
 // -----------------------------
 const clamp = (n, a, b) => Math.max(a, Math.min(b, n));
+const mean = (xs) => (xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : 0);
 const uid = () => Math.random().toString(36).slice(2) + Date.now().toString(36);
 
-const todayISO = () => {
-  const d = new Date();
+const toISODate = (d) => {
   const y = d.getFullYear();
   const m = String(d.getMonth() + 1).padStart(2, "0");
   const day = String(d.getDate()).padStart(2, "0");
   return `${y}-${m}-${day}`;
 };
 
+const todayISO = () => toISODate(new Date());
+
+const fromISODate = (iso) => {
+  const [y, m, d] = iso.split("-").map(Number);
+  return new Date(y, m - 1, d);
+};
+
+const addDaysISO = (iso, n) => {
+  const d = fromISODate(iso);
+  d.setDate(d.getDate() + n);
+  return toISODate(d);
+};
+
 function loadLS(key, fallback) {
   try {
     const raw = localStorage.getItem(key);
@@ -71,24 +100,17 @@ function saveLS(key, value) {
 }
 
 // -----------------------------
-// Plan Generator (20 semanas)
+// Catálogo (días, grupos musculares, ejercicios)
 // -----------------------------
 
 /**
- * Diseño del plan:
+ * Diseño del programa por defecto (src/programs/calistenia-20-semanas.json):
  * - 4 días (Full body repartido) para ~45 min.
  * - Progresión suave: +reps y +series cada ciertos hitos.
  * - Semanas 8 y 16: descarga ligera.
  * - Alternativas seguras: silla/mesa/pared.
  */
 
-const DAYS = [
-  { id: "A", name: "Día 1" },
-  { id: "B", name: "Día 2" },
-  { id: "C", name: "Día 3" },
-  { id: "D", name: "Día 4" },
-];
-
 const MUSCLE_GROUPS = {
   warmup: { key: "warmup", label: "Movilidad" },
   push: { key: "push", label: "Pecho/Tríceps" },
@@ -107,6 +129,7 @@ const exerciseLibrary = {
     id: "warmup",
     title: "Calentamiento (5–7 min)",
     muscleGroup: "warmup",
+    durationMin: 6,
     tips:
       "Movilidad suave + activación. Mantén respiración cómoda. No busques fatiga aquí.",
     videoHint:
@@ -123,6 +146,7 @@ const exerciseLibrary = {
     id: "cooldown",
     title: "Vuelta a la calma (3–5 min)",
     muscleGroup: "cooldown",
+    durationMin: 4,
     tips:
       "Respiración + estiramientos suaves. Termina sintiéndote mejor de lo que empezaste.",
     videoHint:
@@ -148,6 +172,8 @@ const exerciseLibrary = {
     title: "Sentadilla a silla",
     muscleGroup: "legs",
     equipment: "silla robusta",
+    requires: ["chair"],
+    substitutes: ["freeSquat"],
     cues: [
       "Pies a ancho de caderas, puntas ligeramente hacia fuera.",
       "Cadera atrás y abajo (como sentarte).",
@@ -162,6 +188,8 @@ const exerciseLibrary = {
     title: "Remo bajo mesa (inverted row)",
     muscleGroup: "pull",
     equipment: "mesa robusta",
+    requires: ["table"],
+    substitutes: ["negativePullUp", "bandRow", "proneYTW"],
     safety:
       "Asegura la mesa (estable). Si no es segura, usa una variante más segura (remo con banda, isométricos).",
     cues: [
@@ -219,6 +247,8 @@ const exerciseLibrary = {
     title: "Step-ups",
     muscleGroup: "legs",
     equipment: "escalón bajo / caja estable",
+    requires: ["step"],
+    substitutes: ["reverseLunge"],
     cues: [
       "Sube empujando con la pierna de arriba.",
       "Controla la bajada.",
@@ -257,549 +287,3085 @@ const exerciseLibrary = {
     cues: ["Ritmo cómodo, puedes hablar.", "Brazos acompañan.", "Postura alta."],
     scaling: ["Más difícil: intervalos 30/30."],
   },
+
+  // Variantes de las escaleras de progresión (ver EXERCISE_LADDERS)
+  wallPushUp: {
+    id: "wallPushUp",
+    title: "Flexiones en pared",
+    muscleGroup: "push",
+    equipment: "pared",
+    illustration: "inclinePushUp",
+    cues: [
+      "Manos en la pared a la altura del pecho.",
+      "Da un paso atrás: cuerpo en línea de talones a cabeza.",
+      "Lleva el pecho a la pared con codos a 30–45°.",
+    ],
+    scaling: ["Más difícil: aléjate más de la pared."],
+  },
+
+  kneePushUp: {
+    id: "kneePushUp",
+    title: "Flexiones con rodillas",
+    muscleGroup: "push",
+    equipment: "suelo (esterilla)",
+    illustration: "inclinePushUp",
+    cues: [
+      "Rodillas apoyadas, cadera alineada con hombros y rodillas.",
+      "Manos algo más abiertas que los hombros.",
+      "Baja hasta casi tocar el suelo con el pecho.",
+    ],
+    scaling: ["Más fácil: flexión inclinada.", "Más difícil: flexión en suelo."],
+  },
+
+  pushUp: {
+    id: "pushUp",
+    title: "Flexiones en suelo",
+    muscleGroup: "push",
+    equipment: "suelo",
+    illustration: "inclinePushUp",
+    cues: [
+      "Cuerpo en bloque: glúteos y abdomen firmes.",
+      "Codos a 30–45°, sin abrirlos en cruz.",
+      "Pecho casi al suelo y sube sin hundir la cadera.",
+    ],
+    scaling: ["Más fácil: rodillas apoyadas.", "Más difícil: pies elevados."],
+  },
+
+  declinePushUp: {
+    id: "declinePushUp",
+    title: "Flexiones declinadas",
+    muscleGroup: "push",
+    equipment: "silla robusta / escalón",
+    requires: ["chair"],
+    substitutes: ["pushUp"],
+    illustration: "inclinePushUp",
+    safety: "Apoya los pies en algo estable que no resbale.",
+    cues: [
+      "Pies elevados en la silla, manos en el suelo.",
+      "Mantén el cuerpo en línea, sin colgar la lumbar.",
+      "Baja controlado; más carga en hombro y pecho alto.",
+    ],
+    scaling: ["Más fácil: flexión en suelo."],
+  },
+
+  freeSquat: {
+    id: "freeSquat",
+    title: "Sentadilla libre",
+    muscleGroup: "legs",
+    equipment: "ninguno",
+    illustration: "chairSquat",
+    cues: [
+      "Pies a ancho de caderas.",
+      "Baja hasta donde mantengas la espalda neutra.",
+      "Rodillas siguen la línea de los pies.",
+    ],
+    scaling: ["Más fácil: sentadilla a silla.", "Más difícil: pausa 2s abajo."],
+  },
+
+  splitSquat: {
+    id: "splitSquat",
+    title: "Sentadilla dividida",
+    muscleGroup: "legs",
+    equipment: "ninguno",
+    illustration: "stepUp",
+    cues: [
+      "Un pie delante y otro detrás, tronco alto.",
+      "Baja en vertical hasta que la rodilla de atrás casi toque el suelo.",
+      "Empuja con la pierna de delante.",
+    ],
+    scaling: ["Más fácil: apóyate en una pared.", "Más difícil: pie trasero elevado."],
+  },
+
+  boxPistol: {
+    id: "boxPistol",
+    title: "Pistol a silla",
+    muscleGroup: "legs",
+    equipment: "silla robusta",
+    requires: ["chair"],
+    substitutes: ["splitSquat"],
+    illustration: "chairSquat",
+    cues: [
+      "De pie sobre una pierna, la otra estirada delante.",
+      "Siéntate controlado en la silla con una sola pierna.",
+      "Levántate sin impulso ni balanceo.",
+    ],
+    scaling: ["Más fácil: silla más alta.", "Más difícil: pistol completa."],
+  },
+
+  pistolSquat: {
+    id: "pistolSquat",
+    title: "Pistol squat",
+    muscleGroup: "legs",
+    equipment: "ninguno",
+    illustration: "chairSquat",
+    cues: [
+      "Brazos al frente para contrapesar.",
+      "Baja completo sobre una pierna manteniendo el talón apoyado.",
+      "Sube sin que la rodilla se vaya hacia dentro.",
+    ],
+    scaling: ["Más fácil: pistol a silla."],
+  },
+
+  singleLegGluteBridge: {
+    id: "singleLegGluteBridge",
+    title: "Puente de glúteo a una pierna",
+    muscleGroup: "glutes",
+    equipment: "suelo",
+    illustration: "gluteBridge",
+    cues: [
+      "Una pierna apoyada, la otra estirada o recogida.",
+      "Cadera nivelada: no dejes caer un lado.",
+      "Pausa 1s arriba.",
+    ],
+    scaling: ["Más fácil: puente a dos piernas."],
+  },
+
+  singleLegCalfRaise: {
+    id: "singleLegCalfRaise",
+    title: "Gemelos a una pierna",
+    muscleGroup: "calves",
+    equipment: "pared",
+    illustration: "calfRaise",
+    cues: ["Apoyo ligero en pared solo para equilibrio.", "Sube completo y baja lento."],
+    scaling: ["Más fácil: dos piernas."],
+  },
+
+  // Sustitutos cuando falta material (ver EQUIPMENT)
+  bandRow: {
+    id: "bandRow",
+    title: "Remo con banda",
+    muscleGroup: "pull",
+    equipment: "banda elástica",
+    requires: ["band"],
+    illustration: "tableRow",
+    safety: "Ancla la banda a algo fijo (pomo de puerta cerrada, columna) y revisa que no esté dañada.",
+    cues: [
+      "Brazos estirados al frente, banda en tensión suave.",
+      "Tira llevando codos atrás, pegados al cuerpo.",
+      "Junta escápulas y vuelve lento.",
+    ],
+    scaling: ["Más fácil: acércate al anclaje.", "Más difícil: aléjate o usa banda más dura."],
+  },
+
+  negativePullUp: {
+    id: "negativePullUp",
+    title: "Dominada negativa",
+    muscleGroup: "pull",
+    equipment: "barra de dominadas",
+    requires: ["pullupBar"],
+    safety: "Comprueba que la barra está bien fijada antes de colgarte.",
+    cues: [
+      "Sube a la posición alta con ayuda de una silla o un salto.",
+      "Baja en 3–5 segundos controlando hasta brazos estirados.",
+      "Hombros activos, sin colgar de los ligamentos.",
+    ],
+    scaling: ["Más fácil: colgarse 10–20s.", "Más difícil: dominada completa."],
+  },
+
+  proneYTW: {
+    id: "proneYTW",
+    title: "Y-T-W tumbado",
+    muscleGroup: "pull",
+    equipment: "suelo",
+    cues: [
+      "Boca abajo, frente apoyada en una toalla.",
+      "Eleva brazos formando Y, luego T, luego W.",
+      "Escápulas atrás y abajo, sin arquear la lumbar.",
+    ],
+    scaling: ["Más difícil: pausa 2s arriba en cada letra."],
+  },
+
+  reverseLunge: {
+    id: "reverseLunge",
+    title: "Zancada atrás",
+    muscleGroup: "legs",
+    equipment: "ninguno",
+    illustration: "stepUp",
+    cues: [
+      "Da un paso atrás y baja la rodilla hacia el suelo.",
+      "Tronco alto, peso en la pierna de delante.",
+      "Empuja con el talón de delante para volver.",
+    ],
+    scaling: ["Más fácil: rango parcial con apoyo en pared.", "Más difícil: pausa abajo."],
+  },
+
+  // Ejercicios de las habilidades (ver SKILL_TRACKS)
+  deadHang: {
+    id: "deadHang",
+    title: "Colgarse de la barra",
+    muscleGroup: "pull",
+    equipment: "barra de dominadas",
+    requires: ["pullupBar"],
+    safety: "Comprueba que la barra está bien fijada antes de colgarte.",
+    cues: [
+      "Agarre a ancho de hombros, pulgares rodeando la barra.",
+      "Hombros activos: aléjalos un poco de las orejas.",
+      "Piernas juntas y quietas, sin balanceo.",
+    ],
+    scaling: ["Más fácil: pies apoyados en una silla.", "Más difícil: a un brazo con apoyo."],
+  },
+
+  pullUp: {
+    id: "pullUp",
+    title: "Dominada",
+    muscleGroup: "pull",
+    equipment: "barra de dominadas",
+    requires: ["pullupBar"],
+    substitutes: ["negativePullUp"],
+    safety: "Comprueba que la barra está bien fijada antes de colgarte.",
+    cues: [
+      "Empieza colgado con brazos estirados y hombros activos.",
+      "Tira llevando los codos hacia las costillas hasta pasar la barbilla.",
+      "Baja controlado hasta estirar del todo.",
+    ],
+    scaling: ["Más fácil: dominada negativa.", "Más difícil: pausa 2s arriba."],
+  },
+
+  wallPlankHold: {
+    id: "wallPlankHold",
+    title: "Plancha con pies en pared",
+    muscleGroup: "push",
+    equipment: "pared",
+    illustration: "plank",
+    cues: [
+      "Manos en el suelo, pies apoyados en la pared a la altura de la cadera.",
+      "Brazos bloqueados y hombros empujando hacia arriba.",
+      "Abdomen firme, sin hundir la lumbar.",
+    ],
+    scaling: ["Más fácil: pies más bajos.", "Más difícil: acerca las manos a la pared."],
+  },
+
+  chestToWallHandstand: {
+    id: "chestToWallHandstand",
+    title: "Pino con pecho a la pared",
+    muscleGroup: "push",
+    equipment: "pared",
+    safety: "Practica sobre superficie blanda y aprende a salir girando antes de aguantar tiempo.",
+    cues: [
+      "Sube caminando con los pies por la pared, mirando hacia ella.",
+      "Manos a un palmo de la pared, brazos bloqueados.",
+      "Empuja el suelo con los hombros y aprieta glúteos.",
+    ],
+    scaling: ["Más fácil: plancha con pies en pared.", "Más difícil: despega un pie de la pared."],
+  },
+
+  freeHandstand: {
+    id: "freeHandstand",
+    title: "Pino libre",
+    muscleGroup: "push",
+    equipment: "suelo despejado",
+    safety: "Deja espacio libre alrededor y sal girando o en voltereta controlada.",
+    cues: [
+      "Equilibra con los dedos: presiona para no pasarte.",
+      "Cuerpo en línea de muñecas a tobillos.",
+      "Intentos cortos y de calidad, descansando entre ellos.",
+    ],
+    scaling: ["Más fácil: pino con pecho a la pared."],
+  },
+
+  tuckSupportHold: {
+    id: "tuckSupportHold",
+    title: "Soporte con rodillas recogidas",
+    muscleGroup: "core",
+    equipment: "dos sillas robustas / paralelas",
+    requires: ["chair"],
+    safety: "Usa dos apoyos estables a la misma altura que no puedan volcar.",
+    cues: [
+      "Brazos estirados, hombros empujando hacia abajo.",
+      "Despega los pies y lleva las rodillas al pecho.",
+      "Respira sin encoger los hombros.",
+    ],
+    scaling: ["Más fácil: un pie apoyado.", "Más difícil: L-sit a una pierna."],
+  },
+
+  oneLegLSit: {
+    id: "oneLegLSit",
+    title: "L-sit a una pierna",
+    muscleGroup: "core",
+    equipment: "dos sillas robustas / paralelas",
+    requires: ["chair"],
+    cues: [
+      "Desde el soporte recogido, estira una pierna al frente.",
+      "Rodilla bloqueada y punta del pie activa.",
+      "Alterna la pierna estirada entre series.",
+    ],
+    scaling: ["Más fácil: rodillas recogidas.", "Más difícil: L-sit completo."],
+  },
+
+  lSit: {
+    id: "lSit",
+    title: "L-sit",
+    muscleGroup: "core",
+    equipment: "dos sillas robustas / paralelas",
+    requires: ["chair"],
+    cues: [
+      "Piernas juntas y estiradas, a la altura de la cadera.",
+      "Hombros hacia abajo y brazos bloqueados.",
+      "Aprieta cuádriceps y lleva las puntas hacia ti.",
+    ],
+    scaling: ["Más fácil: L-sit a una pierna."],
+  },
 };
 
-function isDeloadWeek(week) {
-  return week === 8 || week === 16;
-}
+/**
+ * Material que el usuario puede declarar. Los ejercicios indican `requires`
+ * (claves de EQUIPMENT) y, opcionalmente, `substitutes` en orden de preferencia.
+ * Sin material = lista vacía.
+ */
+const EQUIPMENT = {
+  table: { key: "table", label: "Mesa robusta" },
+  chair: { key: "chair", label: "Silla robusta" },
+  step: { key: "step", label: "Escalón / caja" },
+  band: { key: "band", label: "Banda elástica" },
+  pullupBar: { key: "pullupBar", label: "Barra de dominadas" },
+};
 
-function setsForWeek(week) {
-  // Base 2 sets (sem 1-4), 3 sets (5-8), 3 (9-12), 4 (13-20) con descarga en 8 y 16
-  let sets = 2;
-  if (week >= 5) sets = 3;
-  if (week >= 13) sets = 4;
-  if (isDeloadWeek(week)) sets = Math.max(2, sets - 1);
-  return sets;
-}
+const DEFAULT_EQUIPMENT = ["table", "chair", "step"];
 
-function repsForWeek(week, baseReps) {
-  const add = Math.floor((week - 1) / 2);
-  let reps = baseReps + add;
-  if (isDeloadWeek(week)) reps = Math.max(4, reps - 2);
-  return reps;
-}
-
-function secondsForWeek(week, baseSeconds) {
-  const add = Math.floor((week - 1) / 2) * 5;
-  let s = baseSeconds + add;
-  if (isDeloadWeek(week)) s = Math.max(10, s - 10);
-  return s;
-}
-
-function buildWeekPlan(week) {
-  const sets = setsForWeek(week);
-
-  const pushReps = repsForWeek(week, 6);
-  const squatReps = repsForWeek(week, 8);
-  const rowReps = repsForWeek(week, 5);
-  const bridgeReps = repsForWeek(week, 10);
-  const deadBugReps = repsForWeek(week, 6);
-  const stepUpReps = repsForWeek(week, 8);
-  const calfReps = repsForWeek(week, 10);
-  const scapReps = repsForWeek(week, 8);
-  const plankSec = secondsForWeek(week, 20);
-  const marchMin = clamp(8 + Math.floor((week - 1) / 2), 8, 20);
-  const marchMinDeload = Math.max(6, marchMin - 4);
-
-  const march = {
-    type: "time",
-    exerciseId: "marchInPlace",
-    sets: 1,
-    reps: isDeloadWeek(week) ? marchMinDeload : marchMin,
-    unit: "min",
-    rest: "—",
-  };
+/**
+ * Escaleras de progresión: variantes ordenadas de más fácil a más difícil.
+ * Se sube de peldaño cuando las últimas `promote.sessions` sesiones registradas
+ * con la variante actual alcanzan `promote.reps` repeticiones.
+ * Un peldaño puede fijar su propia unidad (p. ej. reps/lado).
+ */
+const EXERCISE_LADDERS = {
+  pushUp: {
+    id: "pushUp",
+    title: "Flexiones",
+    steps: [
+      { exerciseId: "wallPushUp" },
+      { exerciseId: "inclinePushUp" },
+      { exerciseId: "kneePushUp" },
+      { exerciseId: "pushUp" },
+      { exerciseId: "declinePushUp" },
+    ],
+    promote: { reps: 12, sessions: 3 },
+  },
+  squat: {
+    id: "squat",
+    title: "Sentadilla",
+    steps: [
+      { exerciseId: "chairSquat" },
+      { exerciseId: "freeSquat" },
+      { exerciseId: "splitSquat", unit: "reps/lado" },
+      { exerciseId: "boxPistol", unit: "reps/lado" },
+      { exerciseId: "pistolSquat", unit: "reps/lado" },
+    ],
+    promote: { reps: 15, sessions: 3 },
+  },
+  bridge: {
+    id: "bridge",
+    title: "Puente de glúteo",
+    steps: [{ exerciseId: "gluteBridge" }, { exerciseId: "singleLegGluteBridge", unit: "reps/lado" }],
+    promote: { reps: 15, sessions: 3 },
+  },
+  calfRaise: {
+    id: "calfRaise",
+    title: "Gemelos",
+    steps: [{ exerciseId: "calfRaise" }, { exerciseId: "singleLegCalfRaise", unit: "reps/lado" }],
+    promote: { reps: 20, sessions: 3 },
+  },
+};
 
-  // ✅ Aseguramos calentamiento al comienzo en TODAS las sesiones
-  const warm = { type: "block", exerciseId: "warmup" };
-  const cool = { type: "block", exerciseId: "cooldown" };
+function findLadder(exerciseId) {
+  return Object.values(EXERCISE_LADDERS).find((l) => l.steps.some((st) => st.exerciseId === exerciseId));
+}
 
-  const A = {
-    id: "A",
-    title: "Empuje + Core",
-    items: [
-      warm,
-      {
-        type: "reps",
-        exerciseId: "scapularPushUp",
-        sets: Math.max(2, sets - 1),
-        reps: scapReps,
-        unit: "reps",
-        rest: "45–60s",
-      },
+/**
+ * Habilidades a largo plazo. Cada hito tiene un test (`target` en la unidad del test)
+ * y su práctica: items que se añaden a los días de entrenamiento `days` (posición en
+ * la semana, desde 0; ver skillDaysOf) mientras sea el hito actual. Los hitos se
+ * superan en orden; `prerequisites` añade peldaños mínimos de escalera
+ * ({ ladder, level }) para desbloquear el hito.
+ */
+const SKILL_TRACKS = {
+  pullUp: {
+    id: "pullUp",
+    title: "Dominada",
+    description: "De colgarse de la barra a encadenar 5 dominadas.",
+    requires: ["pullupBar"],
+    days: [0, 2],
+    milestones: [
       {
-        type: "reps",
-        exerciseId: "inclinePushUp",
-        sets,
-        reps: pushReps,
-        unit: "reps",
-        rest: "60–90s",
+        id: "hang",
+        title: "Colgarse 30 s",
+        test: { exerciseId: "deadHang", unit: "s", target: 30 },
+        practice: [{ type: "time", exerciseId: "deadHang", sets: 3, reps: 20, unit: "s", rest: "60s" }],
       },
       {
-        type: "reps",
-        exerciseId: "gluteBridge",
-        sets,
-        reps: bridgeReps,
-        unit: "reps",
-        rest: "60s",
+        id: "negatives",
+        title: "5 negativas controladas",
+        test: { exerciseId: "negativePullUp", unit: "reps", target: 5 },
+        practice: [{ type: "reps", exerciseId: "negativePullUp", sets: 3, reps: 3, unit: "reps", rest: "90s" }],
       },
       {
-        type: "reps",
-        exerciseId: "deadBug",
-        sets,
-        reps: deadBugReps,
-        unit: "reps/lado",
-        rest: "45–60s",
+        id: "first",
+        title: "Primera dominada",
+        test: { exerciseId: "pullUp", unit: "reps", target: 1 },
+        practice: [
+          { type: "reps", exerciseId: "negativePullUp", sets: 3, reps: 5, unit: "reps", rest: "90s" },
+          { type: "time", exerciseId: "deadHang", sets: 2, reps: 30, unit: "s", rest: "60s" },
+        ],
       },
       {
-        type: "time",
-        exerciseId: "plank",
-        sets,
-        reps: plankSec,
-        unit: "s",
-        rest: "45–60s",
+        id: "five",
+        title: "5 dominadas seguidas",
+        test: { exerciseId: "pullUp", unit: "reps", target: 5 },
+        practice: [{ type: "reps", exerciseId: "pullUp", sets: 4, reps: 2, unit: "reps", rest: "2 min" }],
       },
-      cool,
     ],
-  };
-
-  const B = {
-    id: "B",
-    title: "Pierna + Tirón",
-    items: [
-      warm,
+  },
+  pistol: {
+    id: "pistol",
+    title: "Pistol squat",
+    description: "Sentadilla completa a una pierna, sin apoyo.",
+    requires: ["chair"],
+    days: [1, 3],
+    milestones: [
       {
-        type: "reps",
-        exerciseId: "chairSquat",
-        sets,
-        reps: squatReps,
-        unit: "reps",
-        rest: "60–90s",
+        id: "split",
+        title: "10 sentadillas divididas por lado",
+        test: { exerciseId: "splitSquat", unit: "reps/lado", target: 10 },
+        prerequisites: [{ ladder: "squat", level: 1 }],
+        practice: [{ type: "reps", exerciseId: "splitSquat", sets: 2, reps: 8, unit: "reps/lado", rest: "60s" }],
       },
       {
-        type: "reps",
-        exerciseId: "stepUp",
-        sets,
-        reps: stepUpReps,
-        unit: "reps/lado",
-        rest: "60–90s",
+        id: "box",
+        title: "5 pistols a silla por lado",
+        test: { exerciseId: "boxPistol", unit: "reps/lado", target: 5 },
+        practice: [{ type: "reps", exerciseId: "boxPistol", sets: 3, reps: 3, unit: "reps/lado", rest: "90s" }],
       },
       {
-        type: "reps",
-        exerciseId: "tableRow",
-        sets,
-        reps: rowReps,
-        unit: "reps",
-        rest: "60–90s",
+        id: "first",
+        title: "Primera pistol",
+        test: { exerciseId: "pistolSquat", unit: "reps/lado", target: 1 },
+        practice: [
+          { type: "reps", exerciseId: "boxPistol", sets: 3, reps: 5, unit: "reps/lado", rest: "90s" },
+        ],
       },
       {
-        type: "reps",
-        exerciseId: "calfRaise",
-        sets: Math.max(2, sets - 1),
-        reps: calfReps,
-        unit: "reps",
-        rest: "45–60s",
+        id: "five",
+        title: "5 pistols por lado",
+        test: { exerciseId: "pistolSquat", unit: "reps/lado", target: 5 },
+        practice: [{ type: "reps", exerciseId: "pistolSquat", sets: 3, reps: 2, unit: "reps/lado", rest: "2 min" }],
       },
-      march,
-      cool,
     ],
-  };
-
-  const C = {
-    id: "C",
-    title: "Full body (técnica)",
-    items: [
-      warm,
-      {
-        type: "reps",
-        exerciseId: "inclinePushUp",
-        sets: Math.max(2, sets - 1),
-        reps: Math.max(4, pushReps - 1),
-        unit: "reps",
-        rest: "60–90s",
-      },
+  },
+  handstand: {
+    id: "handstand",
+    title: "Pino",
+    description: "De la plancha en pared al pino libre.",
+    requires: [],
+    days: [1, 3],
+    milestones: [
       {
-        type: "reps",
-        exerciseId: "chairSquat",
-        sets: Math.max(2, sets - 1),
-        reps: Math.max(6, squatReps - 2),
-        unit: "reps",
-        rest: "60–90s",
+        id: "wallPlank",
+        title: "Plancha con pies en pared 30 s",
+        test: { exerciseId: "wallPlankHold", unit: "s", target: 30 },
+        prerequisites: [{ ladder: "pushUp", level: 2 }],
+        practice: [{ type: "time", exerciseId: "wallPlankHold", sets: 3, reps: 20, unit: "s", rest: "60s" }],
       },
       {
-        type: "reps",
-        exerciseId: "tableRow",
-        sets: Math.max(2, sets - 1),
-        reps: Math.max(4, rowReps - 1),
-        unit: "reps",
-        rest: "60–90s",
+        id: "wall30",
+        title: "Pino en pared 30 s",
+        test: { exerciseId: "chestToWallHandstand", unit: "s", target: 30 },
+        prerequisites: [{ ladder: "pushUp", level: 3 }],
+        practice: [
+          { type: "time", exerciseId: "chestToWallHandstand", sets: 3, reps: 15, unit: "s", rest: "90s" },
+        ],
       },
       {
-        type: "reps",
-        exerciseId: "deadBug",
-        sets: Math.max(2, sets - 1),
-        reps: Math.max(5, deadBugReps - 1),
-        unit: "reps/lado",
-        rest: "45–60s",
+        id: "wall60",
+        title: "Pino en pared 60 s",
+        test: { exerciseId: "chestToWallHandstand", unit: "s", target: 60 },
+        practice: [
+          { type: "time", exerciseId: "chestToWallHandstand", sets: 3, reps: 30, unit: "s", rest: "90s" },
+        ],
       },
       {
-        type: "time",
-        exerciseId: "plank",
-        sets: Math.max(2, sets - 1),
-        reps: Math.max(15, plankSec - 5),
-        unit: "s",
-        rest: "45–60s",
+        id: "free",
+        title: "Pino libre 10 s",
+        test: { exerciseId: "freeHandstand", unit: "s", target: 10 },
+        practice: [{ type: "time", exerciseId: "freeHandstand", sets: 5, reps: 5, unit: "s", rest: "60s" }],
       },
-      cool,
     ],
-  };
-
-  const D = {
-    id: "D",
-    title: "Tirón + Core + Suave",
-    items: [
-      warm,
+  },
+  lSit: {
+    id: "lSit",
+    title: "L-sit",
+    description: "Soporte con piernas estiradas al frente.",
+    requires: ["chair"],
+    days: [0, 2],
+    milestones: [
       {
-        type: "reps",
-        exerciseId: "tableRow",
-        sets,
-        reps: rowReps,
-        unit: "reps",
-        rest: "60–90s",
+        id: "tuck",
+        title: "Soporte recogido 20 s",
+        test: { exerciseId: "tuckSupportHold", unit: "s", target: 20 },
+        prerequisites: [{ ladder: "pushUp", level: 2 }],
+        practice: [{ type: "time", exerciseId: "tuckSupportHold", sets: 3, reps: 10, unit: "s", rest: "60s" }],
       },
       {
-        type: "reps",
-        exerciseId: "gluteBridge",
-        sets: Math.max(2, sets - 1),
-        reps: bridgeReps,
-        unit: "reps",
-        rest: "60s",
+        id: "oneLeg",
+        title: "L-sit a una pierna 10 s",
+        test: { exerciseId: "oneLegLSit", unit: "s", target: 10 },
+        practice: [{ type: "time", exerciseId: "oneLegLSit", sets: 3, reps: 8, unit: "s", rest: "60s" }],
       },
       {
-        type: "reps",
-        exerciseId: "deadBug",
-        sets,
-        reps: deadBugReps,
-        unit: "reps/lado",
-        rest: "45–60s",
+        id: "lsit10",
+        title: "L-sit 10 s",
+        test: { exerciseId: "lSit", unit: "s", target: 10 },
+        practice: [{ type: "time", exerciseId: "lSit", sets: 4, reps: 5, unit: "s", rest: "60s" }],
       },
       {
-        type: "time",
-        exerciseId: "plank",
-        sets,
-        reps: plankSec,
-        unit: "s",
-        rest: "45–60s",
+        id: "lsit20",
+        title: "L-sit 20 s",
+        test: { exerciseId: "lSit", unit: "s", target: 20 },
+        practice: [{ type: "time", exerciseId: "lSit", sets: 4, reps: 10, unit: "s", rest: "60s" }],
       },
-      march,
-      cool,
+    ],
+  },
+};
+
+// -----------------------------
+// Custom exercises
+// -----------------------------
+
+/**
+ * Ejercicios creados por el usuario: mismo formato que exerciseLibrary más
+ * `custom: true` y, opcionalmente, `visualSteps` (formato VISUAL_STEPS) e
+ * `illustration` (id de un ejercicio con dibujo).
+ */
+const CUSTOM_EXERCISE_GROUPS = Object.values(MUSCLE_GROUPS).filter(
+  (g) => g.key !== "warmup" && g.key !== "cooldown"
+);
+
+const ILLUSTRATED_EXERCISES = [
+  "inclinePushUp",
+  "chairSquat",
+  "tableRow",
+  "gluteBridge",
+  "deadBug",
+  "plank",
+  "stepUp",
+  "calfRaise",
+  "scapularPushUp",
+  "marchInPlace",
+];
+
+function emptyCustomExercise() {
+  return {
+    id: "",
+    title: "",
+    muscleGroup: "push",
+    equipment: "",
+    requires: [],
+    cues: [],
+    scaling: [],
+    safety: "",
+    illustration: "",
+    visualSteps: [
+      { title: "", text: "" },
+      { title: "", text: "" },
+      { title: "", text: "" },
     ],
   };
+}
 
-  return { week, sets, sessions: [A, B, C, D] };
+function validateCustomExercise(ex) {
+  const errors = [];
+  if (!ex.title.trim()) errors.push("Ponle un nombre al ejercicio.");
+  if (!CUSTOM_EXERCISE_GROUPS.some((g) => g.key === ex.muscleGroup)) errors.push("Elige un grupo muscular.");
+  ex.visualSteps.forEach((st, i) => {
+    if (st.text.trim() && !st.title.trim()) errors.push(`El paso ${i + 1} necesita un título.`);
+  });
+  return errors;
 }
 
-function getPlan20Weeks() {
-  const weeks = [];
-  for (let w = 1; w <= 20; w++) weeks.push(buildWeekPlan(w));
-  return weeks;
+function normalizeCustomExercise(form) {
+  const lines = (xs) => xs.map((x) => x.trim()).filter(Boolean);
+  const ex = {
+    id: form.id || `custom_${uid()}`,
+    custom: true,
+    title: form.title.trim(),
+    muscleGroup: form.muscleGroup,
+    cues: lines(form.cues),
+    scaling: lines(form.scaling),
+    visualSteps: form.visualSteps
+      .map((st) => ({ title: st.title.trim(), text: st.text.trim() }))
+      .filter((st) => st.title),
+  };
+  if (form.equipment.trim()) ex.equipment = form.equipment.trim();
+  if (form.requires.length) ex.requires = form.requires;
+  if (form.safety.trim()) ex.safety = form.safety.trim();
+  if (form.illustration) ex.illustration = form.illustration;
+  return ex;
+}
+
+function toExerciseForm(ex) {
+  const base = emptyCustomExercise();
+  return {
+    ...base,
+    ...ex,
+    equipment: ex.equipment ?? "",
+    requires: ex.requires ?? [],
+    safety: ex.safety ?? "",
+    illustration: ex.illustration ?? "",
+    cues: ex.cues ?? [],
+    scaling: ex.scaling ?? [],
+    visualSteps: base.visualSteps.map((st, i) => ex.visualSteps?.[i] ?? st),
+  };
 }
 
 // -----------------------------
-// Scoring / Recommendation
+// Programa declarativo (JSON versionado)
 // -----------------------------
 
 /**
- * Score por sesión (0..1)
+ * Un programa define semanas, días, sesiones y reglas de progresión/descarga
+ * (ver src/programs/*.json). El plan de cada semana se genera a partir de él.
  *
- * Por cada ejercicio (no "block"):
- *  - setsRatio = min(setsDone / targetSets, 1)
- *  - repsRatio = min(repsDone / targetReps, 1)
- *  - itemScore = 0.5*setsRatio + 0.5*repsRatio
+ * Cada día apunta a una sesión (day.sessionId, o la sesión con el mismo id),
+ * así un programa de 6 días puede repetir sesiones.
  *
- * pct  = media de itemScore (cumplimiento)
- * score = pct - penalización por RPE (evita progresar con fatiga excesiva)
+ * Prescripción de un item (no "block"):
+ *  - sets: número fijo | { offset, min } relativo a las series base de la semana
+ *  - reps: número fijo | { base, rule, offset, min }, rule ∈ progression.rules
+ *    ("reps", "seconds", "minutes"...). offset/min se aplican tras progresar.
+ *  - priority (opcional): 1 = principal … 3 = accesorio; decide qué se recorta
+ *    primero con poco tiempo. Por defecto se deduce del grupo muscular.
+ *  - model (opcional): modelo de progresión solo para este item (ver PROGRESSION_MODELS);
+ *    si no, el elegido por el usuario o progression.model del programa.
+ *  - tempo (opcional, solo "reps"): "bajada-pausa abajo-subida-pausa arriba" en
+ *    segundos, p. ej. "3-1-1-0"; X = explosivo.
+ *
+ * Items agrupados ("group"): { type: "group", kind, sets, rest, items: [...] }.
+ * Los ejercicios del grupo se encadenan sin descanso y comparten el descanso
+ * final; "sets" son las rondas. Los items internos no llevan sets ni rest.
+ *
+ * Intervalos ("interval"): { type: "interval", protocol, exerciseId, rounds, reps?, unit, rest }
+ * con rounds/reps en el mismo formato que reps (pueden progresar). Ver INTERVAL_PROTOCOLS.
  */
-function scoreSession({ items, actualByItemId, targetsByItemId, rpe }) {
-  let total = 0;
-  let sum = 0;
-
-  items.forEach((it, idx) => {
-    if (it.type === "block") return;
-    const itemKey = `${it.exerciseId}:${idx}`;
 
-    const a = actualByItemId[itemKey];
-    const t = targetsByItemId[itemKey] ?? { sets: it.sets, reps: it.reps };
-
-    const targetSets = Math.max(1, Number(t.sets ?? it.sets ?? 1));
-    const targetReps = Math.max(1, Number(t.reps ?? it.reps ?? 1));
-
-    const setsDone = Math.max(0, Number(a?.setsDone ?? 0));
-    const repsDone = Math.max(0, Number(a?.repsDone ?? 0));
-
-    const setsRatio = clamp(setsDone / targetSets, 0, 1);
-    const repsRatio = clamp(repsDone / targetReps, 0, 1);
+const PROGRAM_SCHEMA_VERSION = 1;
+const DEFAULT_PROGRAM = defaultProgram;
+const ITEM_TYPES = ["reps", "time", "block", "group", "interval"];
+const GROUP_KINDS = {
+  superset: { label: "Superserie", rounds: "Series" },
+  giant: { label: "Serie gigante", rounds: "Series" },
+  circuit: { label: "Circuito", rounds: "Rondas" },
+};
 
-    const itemScore = 0.5 * setsRatio + 0.5 * repsRatio;
-    total += 1;
-    sum += itemScore;
-  });
+/**
+ * Protocolos de intervalos. Las rondas son las series del item:
+ *  - emom: minutos; cada minuto se hacen `reps` y se descansa lo que sobre
+ *  - amrap: rondas objetivo de `reps` dentro de `capMinutes`
+ *  - tabata: rondas de 20 s de trabajo / 10 s de descanso (8 por defecto)
+ *  - custom: rondas de `work` s de trabajo / `restSeconds` s de descanso
+ * `reduce` es lo que baja si no se cumple: reps por ronda o número de rondas.
+ */
+const INTERVAL_PROTOCOLS = {
+  emom: { label: "EMOM", rounds: "Minutos", work: 60, restSeconds: 0, reduce: "reps" },
+  amrap: { label: "AMRAP", rounds: "Rondas", reduce: "sets" },
+  tabata: { label: "Tabata", rounds: "Rondas", work: 20, restSeconds: 10, defaultRounds: 8, reduce: "reps" },
+  custom: { label: "Intervalos", rounds: "Rondas", reduce: "sets" },
+};
+const PROGRAM_LIMITS = { maxWeeks: 52, minDays: 1, maxDays: 7 };
+const ITEM_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
 
-  const pct = total === 0 ? 0 : sum / total;
+const isPlainObject = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+const isInt = (v, min = -Infinity) => Number.isInteger(v) && v >= min;
 
-  const rpePenalty = rpe >= 9 ? 0.2 : rpe >= 8 ? 0.1 : 0;
-  const score = clamp(pct - rpePenalty, 0, 1);
+function validateSetsSpec(spec, where, errors) {
+  if (spec === undefined || isInt(spec, 1)) return;
+  if (!isPlainObject(spec)) {
+    errors.push(`${where}: "sets" debe ser un entero o { offset, min }.`);
+    return;
+  }
+  if (spec.offset !== undefined && !isInt(spec.offset)) errors.push(`${where}: sets.offset no es entero.`);
+  if (spec.min !== undefined && !isInt(spec.min, 1)) errors.push(`${where}: sets.min debe ser ≥ 1.`);
+}
 
-  return { pct, score };
+function validateRepsSpec(spec, rules, where, errors, field = "reps") {
+  if (isInt(spec, 1)) return;
+  if (!isPlainObject(spec) || !isInt(spec.base, 1)) {
+    errors.push(`${where}: "${field}" debe ser un entero o { base, rule, offset, min }.`);
+    return;
+  }
+  const rule = spec.rule ?? "reps";
+  if (!rules[rule]) errors.push(`${where}: regla de progresión desconocida "${rule}".`);
+  if (spec.offset !== undefined && !isInt(spec.offset)) errors.push(`${where}: ${field}.offset no es entero.`);
+  if (spec.min !== undefined && !isInt(spec.min, 1)) errors.push(`${where}: ${field}.min debe ser ≥ 1.`);
 }
 
-function recommendationFromScore(scoreObj) {
-  if (scoreObj.score >= 0.8) return { level: "advance", label: "Avanza" };
-  if (scoreObj.score >= 0.55) return { level: "hold", label: "Mantén" };
-  return { level: "reduce", label: "Repite más fácil" };
+function validateIntervalSpec(it, w, rules, errors) {
+  const proto = INTERVAL_PROTOCOLS[it.protocol];
+  if (!proto) {
+    errors.push(`${w}: protocolo de intervalos "${it.protocol}" desconocido.`);
+    return;
+  }
+  const needsReps = it.protocol === "emom" || it.protocol === "amrap";
+  if (it.rounds !== undefined || !proto.defaultRounds) validateRepsSpec(it.rounds, rules, w, errors, "rounds");
+  if (it.reps !== undefined || needsReps) validateRepsSpec(it.reps, rules, w, errors);
+  if (it.protocol === "amrap" && !isInt(it.capMinutes, 1)) errors.push(`${w}: AMRAP necesita "capMinutes" ≥ 1.`);
+  if (it.protocol === "custom" && (!isInt(it.work, 1) || !isInt(it.restSeconds, 0))) {
+    errors.push(`${w}: intervalos personalizados necesitan "work" (≥ 1 s) y "restSeconds" (≥ 0 s).`);
+  }
 }
 
-function suggestReduction({ items, actualByItemId, targetsByItemId }) {
-  const out = [];
+function validateItemSpec(it, w, rules, library, errors, inGroup = false) {
+  if (!ITEM_TYPES.includes(it?.type)) errors.push(`${w}: tipo "${it?.type}" desconocido.`);
+  if (it?.id !== undefined && !ITEM_ID_PATTERN.test(it.id)) {
+    errors.push(`${w}: "id" solo admite letras, números, "_" y "-".`);
+  }
+  if (it?.type === "group") {
+    if (inGroup) errors.push(`${w}: no se pueden anidar grupos.`);
+    if (!GROUP_KINDS[it.kind]) errors.push(`${w}: tipo de grupo "${it.kind}" desconocido.`);
+    if (!Array.isArray(it.items) || it.items.length < 2) {
+      errors.push(`${w}: un grupo necesita al menos 2 ejercicios.`);
+    } else {
+      it.items.forEach((c, ci) => validateItemSpec(c, `${w}.items[${ci}]`, rules, library, errors, true));
+    }
+    validateSetsSpec(it.sets, w, errors);
+    if (!it.rest) errors.push(`${w}: falta "rest".`);
+    return;
+  }
+  if (!library[it?.exerciseId]) errors.push(`${w}: ejercicio "${it?.exerciseId}" no existe.`);
+  if (it?.type === "block") {
+    if (inGroup) errors.push(`${w}: un grupo no puede contener bloques.`);
+    return;
+  }
+  if (it?.model !== undefined && !PROGRESSION_MODELS[it.model]) {
+    errors.push(`${w}: modelo de progresión "${it.model}" desconocido.`);
+  }
+  if (it?.type === "interval") {
+    if (inGroup) errors.push(`${w}: un grupo no puede contener intervalos.`);
+    validateIntervalSpec(it, w, rules, errors);
+    if (!it.unit) errors.push(`${w}: falta "unit".`);
+    if (!it.rest) errors.push(`${w}: falta "rest".`);
+    return;
+  }
+  validateRepsSpec(it.reps, rules, w, errors);
+  if (!it.unit) errors.push(`${w}: falta "unit".`);
+  if (it.priority !== undefined && ![1, 2, 3].includes(it.priority)) {
+    errors.push(`${w}: "priority" debe ser 1, 2 o 3.`);
+  }
+  if (it.tempo !== undefined && (it.type !== "reps" || !parseTempo(it.tempo))) {
+    errors.push(`${w}: "tempo" debe tener el formato 3-1-1-0 (solo en items de reps).`);
+  }
+  if (inGroup) {
+    if (it.sets !== undefined || it.rest !== undefined) {
+      errors.push(`${w}: dentro de un grupo, sets y rest se definen en el grupo.`);
+    }
+    return;
+  }
+  validateSetsSpec(it.sets, w, errors);
+  if (!it.rest) errors.push(`${w}: falta "rest".`);
+}
 
-  items.forEach((it, idx) => {
-    if (it.type === "block") return;
+/**
+ * Devuelve la lista de errores (vacía si el programa es válido).
+ * Mensajes pensados para mostrarse tal cual al importar un JSON.
+ */
+function validateProgram(program, library = exerciseLibrary) {
+  if (!isPlainObject(program)) return ["El programa no es un objeto JSON."];
 
-    const itemKey = `${it.exerciseId}:${idx}`;
-    const ex = exerciseLibrary[it.exerciseId];
-    const a = actualByItemId[itemKey];
-    const t = targetsByItemId[itemKey] ?? { sets: it.sets, reps: it.reps };
+  const errors = [];
+  if (program.schemaVersion !== PROGRAM_SCHEMA_VERSION) {
+    errors.push(
+      `schemaVersion ${program.schemaVersion ?? "(vacío)"} no soportada (se espera ${PROGRAM_SCHEMA_VERSION}).`
+    );
+  }
+  if (!program.id || typeof program.id !== "string") errors.push("Falta \"id\".");
+  if (!program.title || typeof program.title !== "string") errors.push("Falta \"title\".");
+  if (!isInt(program.weeks, 1) || program.weeks > PROGRAM_LIMITS.maxWeeks) {
+    errors.push(`"weeks" debe ser un entero entre 1 y ${PROGRAM_LIMITS.maxWeeks}.`);
+  }
 
-    const targetSets = Math.max(1, Number(t.sets ?? it.sets ?? 1));
-    const targetReps = Math.max(1, Number(t.reps ?? it.reps ?? 1));
+  const days = Array.isArray(program.days) ? program.days : [];
+  if (days.length < PROGRAM_LIMITS.minDays || days.length > PROGRAM_LIMITS.maxDays) {
+    errors.push(`"days" debe tener entre ${PROGRAM_LIMITS.minDays} y ${PROGRAM_LIMITS.maxDays} días.`);
+  }
+  const dayIds = new Set();
+  days.forEach((d, i) => {
+    if (!d?.id || !d?.name) errors.push(`days[${i}]: faltan id o name.`);
+    if (dayIds.has(d?.id)) errors.push(`days[${i}]: id "${d.id}" repetido.`);
+    dayIds.add(d?.id);
+  });
 
-    const setsDone = Number(a?.setsDone ?? 0);
-    const repsDone = Number(a?.repsDone ?? 0);
+  const progression = program.progression;
+  const rules = isPlainObject(progression?.rules) ? progression.rules : {};
+  if (!isPlainObject(progression)) {
+    errors.push("Falta \"progression\".");
+  } else {
+    if (!isInt(progression.sets?.base, 1)) errors.push("progression.sets.base debe ser un entero ≥ 1.");
+    (progression.sets?.steps ?? []).forEach((st, i) => {
+      if (!isInt(st?.fromWeek, 1) || !isInt(st?.sets, 1)) {
+        errors.push(`progression.sets.steps[${i}]: fromWeek y sets deben ser enteros ≥ 1.`);
+      }
+    });
+    Object.entries(rules).forEach(([name, r]) => {
+      if (!isInt(r?.everyWeeks, 1) || typeof r?.add !== "number") {
+        errors.push(`progression.rules.${name}: everyWeeks (≥ 1) y add son obligatorios.`);
+      }
+    });
+    if (progression.model !== undefined && !PROGRESSION_MODELS[progression.model]) {
+      errors.push(`progression.model "${progression.model}" desconocido.`);
+    }
+    const double = progression.double ?? {};
+    if (!isInt(double.steps ?? 1, 1) || !isInt(double.maxExtraSets ?? 0, 0)) {
+      errors.push("progression.double: steps (≥ 1) y maxExtraSets (≥ 0) deben ser enteros.");
+    }
+    if (progression.wave !== undefined && !isInt(progression.wave.length ?? 2, 2)) {
+      errors.push("progression.wave.length debe ser un entero ≥ 2.");
+    }
+  }
 
-    const noData = !a;
+  if (program.deload !== undefined) {
+    const dl = program.deload;
+    if (!isPlainObject(dl) || !Array.isArray(dl.weeks) || !dl.weeks.every((w) => isInt(w, 1))) {
+      errors.push("deload.weeks debe ser una lista de semanas.");
+    } else if (isInt(program.weeks, 1) && dl.weeks.some((w) => w > program.weeks)) {
+      errors.push("deload.weeks contiene semanas fuera del programa.");
+    }
+  }
 
-    let newSets = targetSets;
-    let newReps = targetReps;
+  const sessions = Array.isArray(program.sessions) ? program.sessions : [];
+  if (sessions.length === 0) errors.push("\"sessions\" debe tener al menos una sesión.");
+  sessions.forEach((s, si) => {
+    const where = `sessions[${si}]`;
+    if (!s?.id || !s?.title) errors.push(`${where}: faltan id o title.`);
+    if (!Array.isArray(s?.items) || s.items.length === 0) {
+      errors.push(`${where}: "items" vacío.`);
+      return;
+    }
+    s.items.forEach((it, ii) => validateItemSpec(it, `${where}.items[${ii}]`, rules, library, errors));
+    const ids = s.items.flatMap((it) => [it?.id, ...(it?.items ?? []).map((c) => c?.id)]).filter(Boolean);
+    const dup = ids.find((id, i) => ids.indexOf(id) !== i);
+    if (dup) errors.push(`${where}: id "${dup}" repetido.`);
+  });
+  days.forEach((d) => {
+    const sessionId = d?.sessionId ?? d?.id;
+    if (sessionId && !sessions.some((s) => s?.id === sessionId)) {
+      errors.push(`El día "${d.id}" apunta a la sesión "${sessionId}", que no existe.`);
+    }
+  });
 
-    // Ajuste estándar: -1 serie si no llegas a series
-    if (noData || setsDone < targetSets) newSets = Math.max(1, targetSets - 1);
+  return errors;
+}
 
-    // Ajuste estándar: -2 reps (o -5s / -1min si es tiempo) si no llegas a reps/tiempo
-    if (noData || repsDone < targetReps) {
-      if (it.type === "time") {
-        const delta = it.unit === "min" ? 1 : 5;
-        newReps = Math.max(1, targetReps - delta);
-      } else {
-        newReps = Math.max(1, targetReps - 2);
-      }
-    }
+/**
+ * Programa activo: el importado si sigue siendo válido, si no el de por defecto.
+ */
+function resolveProgram(customProgram, library = exerciseLibrary) {
+  if (!customProgram) return DEFAULT_PROGRAM;
+  return validateProgram(customProgram, library).length === 0 ? customProgram : DEFAULT_PROGRAM;
+}
 
-    if (newSets === targetSets && newReps === targetReps) return;
+const PROGRAM_LENGTH_OPTIONS = [8, 12, 20, 30];
+const PROGRAM_DAYS_OPTIONS = [2, 3, 4, 5, 6];
 
-    out.push({
-      itemKey,
-      exerciseId: it.exerciseId,
-      title: ex?.title ?? it.exerciseId,
-      from: { sets: targetSets, reps: targetReps, unit: it.unit },
-      to: { sets: newSets, reps: newReps, unit: it.unit },
-    });
-  });
+const scaleWeek = (w, fromWeeks, toWeeks) => Math.max(1, Math.round((w * toWeeks) / fromWeeks));
 
-  return out;
+/**
+ * Variante de un programa con otra duración y otro nº de días/semana.
+ * - Los hitos de series, las descargas y el ritmo de las reglas (everyWeeks) se
+ *   reescalan proporcionalmente.
+ * - El día i usa la sesión i del programa, igual todas las semanas: con más días que
+ *   sesiones se repiten (A, B, C, D, A, B); con menos, las últimas no se entrenan
+ *   (2 días → solo A y B).
+ */
+function resizeProgram(program, { weeks, daysPerWeek }) {
+  const steps = (program.progression.sets.steps ?? [])
+    .map((st) => ({ ...st, fromWeek: scaleWeek(st.fromWeek - 1, program.weeks, weeks) + 1 }))
+    .filter((st) => st.fromWeek <= weeks);
+
+  const deloadWeeks = [
+    ...new Set(
+      (program.deload?.weeks ?? [])
+        .map((w) => scaleWeek(w, program.weeks, weeks))
+        .filter((w) => w > 1 && w < weeks)
+    ),
+  ];
+
+  const rules = Object.fromEntries(
+    Object.entries(program.progression.rules ?? {}).map(([name, r]) => [
+      name,
+      { ...r, everyWeeks: Math.max(1, Math.round((r.everyWeeks * weeks) / program.weeks)) },
+    ])
+  );
+
+  const days = Array.from({ length: daysPerWeek }, (_, i) => ({
+    id: String.fromCharCode(65 + i),
+    name: `Día ${i + 1}`,
+    sessionId: program.sessions[i % program.sessions.length].id,
+  }));
+
+  return {
+    ...program,
+    id: `${program.id.replace(/-\d+s-\d+d$/, "")}-${weeks}s-${daysPerWeek}d`,
+    // Conserva el nombre del programa; solo cambia (o añade) la duración
+    title: `${program.title.replace(/ • \d+ semanas$/, "")} • ${weeks} semanas`,
+    description: `${program.title} adaptado a ${weeks} semanas y ${daysPerWeek} días/semana.`,
+    weeks,
+    days,
+    progression: {
+      ...program.progression,
+      sets: { ...program.progression.sets, steps },
+      rules,
+    },
+    deload: program.deload ? { ...program.deload, weeks: deloadWeeks } : undefined,
+  };
+}
+
+/**
+ * Ajusta semana/día guardados a un programa (p. ej. tras importar uno más corto).
+ */
+function fitStateToProgram(state, program) {
+  const dayId = program.days.some((d) => d.id === state.dayId) ? state.dayId : program.days[0].id;
+  return { ...state, week: clamp(state.week, 1, program.weeks), dayId };
 }
 
 // -----------------------------
-// Visual helpers (muscle + exercise drawings)
+// Plan Generator
 // -----------------------------
 
-const VISUAL_STEPS = {
-  warmup: [
-    { title: "Activa", text: "Movilidad suave: hombros y cadera. Sin dolor, sin prisa." },
-    { title: "Eleva temperatura", text: "Marcha suave o pasos en el sitio. Debes poder hablar." },
-    { title: "Listo", text: "1–2 repeticiones de prueba del primer ejercicio antes de empezar." },
-  ],
-  cooldown: [
-    { title: "Baja pulsaciones", text: "Respira 4s inhalar / 6s exhalar durante 60–90s." },
-    { title: "Suelta", text: "Estira suave pectoral y flexores de cadera. Sin rebotes." },
-    { title: "Cierra", text: "Termina con sensación de alivio, no de tensión." },
-  ],
-  inclinePushUp: [
-    { title: "Posición", text: "Manos en mesa/pared. Cuerpo en bloque: glúteos y abdomen activos." },
-    { title: "Baja", text: "Codos 30–45°. Pecho se acerca al apoyo, hombros lejos de orejas." },
-    { title: "Sube", text: "Empuja fuerte el suelo y vuelve a la línea recta sin arquear lumbar." },
-  ],
-  chairSquat: [
-    { title: "Coloca", text: "Pies a ancho de caderas. Pecho alto, mirada al frente." },
-    { title: "Siéntate controlado", text: "Cadera atrás y abajo. Rodillas siguen la línea de los pies." },
-    { title: "Levanta", text: "Empuja el suelo y sube. Pausa 1s arriba para controlar." },
-  ],
-  tableRow: [
-    { title: "Asegura", text: "Mesa estable. Agarre firme. Cuerpo en línea (no cuelgues la cadera)." },
-    { title: "Tira", text: "Pecho hacia la mesa. Escápulas atrás y abajo, cuello largo." },
-    { title: "Baja lento", text: "Controla la bajada sin perder la línea del cuerpo." },
-  ],
-  gluteBridge: [
-    { title: "Coloca", text: "Talones cerca de glúteos. Costillas abajo, cuello relajado." },
-    { title: "Empuja", text: "Sube la cadera empujando con talones, sin arquear la lumbar." },
-    { title: "Pausa", text: "1s arriba apretando glúteos. Baja lento y repite." },
-  ],
-  deadBug: [
-    { title: "Bloquea lumbar", text: "Lumbar pegada al suelo. Costillas abajo." },
-    { title: "Extiende", text: "Brazo y pierna contraria lento. No pierdas el control." },
-    { title: "Vuelve", text: "Regresa al centro manteniendo respiración fluida." },
-  ],
-  plank: [
-    { title: "Alinea", text: "Codos bajo hombros. Glúteos y abdomen firmes." },
-    { title: "Sostén", text: "Respira. Evita hundir cadera o elevarla." },
-    { title: "Termina estable", text: "Sales igual de alineado que entraste. Calidad > tiempo." },
-  ],
-  stepUp: [
-    { title: "Pie arriba", text: "Apoya todo el pie en el escalón. Tronco alto." },
-    { title: "Sube", text: "Empuja con la pierna de arriba. No te impulses con la de abajo." },
-    { title: "Baja controlado", text: "Desciende lento manteniendo rodilla alineada." },
-  ],
-  calfRaise: [
-    { title: "Base", text: "Postura alta. Apoyo en pared si hace falta." },
-    { title: "Sube", text: "Pausa arriba 1s. Siente gemelo trabajando." },
-    { title: "Baja", text: "Baja lento y completo. No rebotes." },
-  ],
-  scapularPushUp: [
-    { title: "Brazos rectos", text: "Manos al ancho hombros. Cuerpo en línea." },
-    { title: "Separa", text: "Empuja el suelo y separa escápulas sin doblar codos." },
-    { title: "Junta", text: "Deja que se acerquen controladas. Movimiento corto." },
-  ],
-  marchInPlace: [
-    { title: "Ritmo cómodo", text: "Marcha suave. Debes poder hablar sin jadear." },
-    { title: "Constante", text: "Brazos acompañan. Postura alta, hombros relajados." },
-    { title: "Cierra", text: "Termina con respiración tranquila, listo para estirar." },
-  ],
+function isDeloadWeek(program, week) {
+  return (program.deload?.weeks ?? []).includes(week);
+}
+
+/**
+ * Programa con las semanas de descarga efectivas: las fijas del programa (opcional)
+ * más las programadas por fatiga. Si el programa no trae reglas de descarga,
+ * se usan las del programa por defecto.
+ */
+function withDeloadWeeks(program, { fixed = true, scheduled = [] } = {}) {
+  const base = program.deload ?? DEFAULT_PROGRAM.deload;
+  const weeks = [...new Set([...(fixed ? program.deload?.weeks ?? [] : []), ...scheduled])]
+    .filter((w) => w >= 1 && w <= program.weeks)
+    .sort((a, b) => a - b);
+  return { ...program, deload: { ...base, weeks } };
+}
+
+const PROGRESSION_MODELS = {
+  linear: {
+    label: "Lineal",
+    description: "Sube reps/tiempo a ritmo fijo (p. ej. +1 rep cada 2 semanas).",
+    defaults: {},
+  },
+  double: {
+    label: "Doble progresión",
+    description: "Sube reps dentro de un rango; al llegar arriba, +1 serie y vuelve al inicio del rango.",
+    defaults: { steps: 3, maxExtraSets: 1 },
+  },
+  rpe: {
+    label: "Por RPE / RIR",
+    description: "Cada semana sube, mantiene o baja según el esfuerzo registrado en la anterior.",
+    defaults: { target: 7.5, maxSteps: 8, minSteps: -3 },
+  },
+  wave: {
+    label: "Ondulante",
+    description: "Olas de 3 semanas (base, +1, +2) que arrancan cada vez un paso más arriba.",
+    defaults: { length: 3 },
+  },
 };
 
-function getVisualSteps(exId) {
-  return VISUAL_STEPS[exId] ?? [
-    { title: "Coloca", text: "Ajusta postura: estable y sin dolor." },
-    { title: "Ejecuta", text: "Movimiento controlado, sin rebotes." },
-    { title: "Finaliza", text: "Vuelve a neutro con control." },
-  ];
+/** Parámetros de un modelo: los del programa (progression[model]) sobre los de por defecto. */
+function progressionParams(program, model) {
+  return { ...PROGRESSION_MODELS[model]?.defaults, ...program.progression?.[model] };
 }
 
+/**
+ * Resumen del historial para el modelo "rpe": { [itemId]: { [week]: [{ rpe, recommendation }] } }.
+ * El id del item es estable entre semanas (y no cambia con escaleras o sustituciones).
+ * Solo cuentan los items con resultado registrado.
+ */
+function buildAutoregulation(logs) {
+  const out = {};
+  logs.forEach((L) => {
+    Object.keys(L.actualByItemId ?? {}).forEach((key) => {
+      const byWeek = (out[key] ??= {});
+      (byWeek[L.week] ??= []).push({ rpe: L.rpe, recommendation: L.recommendation });
+    });
+  });
+  return out;
+}
 
-function MuscleIcon({ group, className = "" }) {
-  // Minimalist silhouette + highlight by group (grayscale)
-  const g = group ?? "core";
-  const hi = {
-    push: { chest: 0.9, arms: 0.7 },
-    pull: { back: 0.9, arms: 0.6 },
-    legs: { legs: 0.9 },
-    glutes: { glutes: 0.9 },
-    core: { core: 0.9 },
-    calves: { calves: 0.9 },
-    shoulders: { shoulders: 0.9 },
-    cardio: { full: 0.5 },
-    warmup: { full: 0.4 },
-    cooldown: { full: 0.25 },
+/**
+ * Pasos acumulados del modelo "rpe" hasta la semana indicada (sin incluirla).
+ * Solo hay RPE por sesión, así que la señal es la misma para todos sus ejercicios:
+ * +1 si fue cómoda (RPE ≤ objetivo − 1 y "Avanza"), −1 si fue dura (RPE ≥ objetivo + 1.5
+ * o "Repite más fácil"). Cada semana aporta el signo de la media de sus sesiones.
+ */
+function autoregSteps(program, autoreg, itemId, week) {
+  const { target, maxSteps, minSteps } = progressionParams(program, "rpe");
+  const signal = ({ rpe, recommendation }) => {
+    if (recommendation === "reduce" || rpe >= target + 1.5) return -1;
+    if (recommendation === "advance" && rpe <= target - 1) return 1;
+    return 0;
   };
-  const h = hi[g] ?? hi.core;
+  let steps = 0;
+  Object.entries(autoreg?.[itemId] ?? {})
+    .map(([w, sessions]) => [Number(w), sessions])
+    .filter(([w]) => w < week)
+    .sort((a, b) => a[0] - b[0])
+    .forEach(([, sessions]) => {
+      steps = clamp(steps + Math.sign(mean(sessions.map(signal))), minSteps, maxSteps);
+    });
+  return steps;
+}
 
-  const dim = (v) => (v ? v : 0.12);
+function setsForWeek(program, week) {
+  const rule = program.progression.sets;
+  let sets = rule.base;
+  [...(rule.steps ?? [])]
+    .sort((a, b) => a.fromWeek - b.fromWeek)
+    .forEach((st) => {
+      if (week >= st.fromWeek) sets = st.sets;
+    });
+  if (isDeloadWeek(program, week)) {
+    const d = program.deload.sets ?? {};
+    sets = Math.max(d.min ?? 1, sets + (d.delta ?? 0));
+  }
+  return sets;
+}
 
-  return (
-    <svg
-      viewBox="0 0 120 120"
-      className={`h-9 w-9 ${className}`}
-      aria-label="Grupo muscular"
-    >
-      <g fill="none" stroke="currentColor" strokeWidth="3" opacity="0.6">
-        <circle cx="60" cy="18" r="10" />
-        <path d="M45 34 Q60 28 75 34" />
-        <path d="M40 38 Q60 46 80 38" />
-        <path d="M45 40 Q60 55 75 40" />
-        <path d="M45 40 L40 66" />
-        <path d="M75 40 L80 66" />
-        <path d="M50 58 L50 92" />
-        <path d="M70 58 L70 92" />
-      </g>
+/**
+ * Pasos de progresión de una regla en una semana según el modelo:
+ *  - linear: +1 paso cada rule.everyWeeks semanas
+ *  - double: igual, pero dentro de un rango de `steps` pasos; al superarlo se
+ *    suma una serie y las reps vuelven al inicio (hasta maxExtraSets series)
+ *  - wave: olas de `length` semanas: b, b+1, b+2, b+1, b+2, b+3...
+ *  - rpe: no depende del calendario sino del historial (autoSteps)
+ */
+function progressionSteps(program, week, rule, { model = "linear", autoSteps = 0 } = {}) {
+  const params = progressionParams(program, model);
+  const linear = Math.floor((week - 1) / rule.everyWeeks);
+  if (model === "rpe") return { steps: autoSteps, extraSets: 0 };
+  if (model === "wave") {
+    const w = week - 1;
+    return { steps: Math.floor(w / params.length) + (w % params.length), extraSets: 0 };
+  }
+  if (model === "double") {
+    const cycle = params.steps + 1;
+    const extraSets = Math.min(params.maxExtraSets, Math.floor(linear / cycle));
+    return { steps: linear - extraSets * cycle, extraSets };
+  }
+  return { steps: linear, extraSets: 0 };
+}
 
-      {/* Highlights (filled) */}
-      <g fill="currentColor">
-        {/* Chest */}
-        <path
-          d="M46 40 Q60 48 74 40 Q60 58 46 40"
-          opacity={dim(h.chest)}
-        />
-        {/* Back */}
-        <path
-          d="M44 42 Q60 50 76 42 Q60 70 44 42"
-          opacity={dim(h.back)}
-        />
-        {/* Shoulders */}
-        <circle cx="44" cy="41" r="7" opacity={dim(h.shoulders)} />
-        <circle cx="76" cy="41" r="7" opacity={dim(h.shoulders)} />
-        {/* Arms */}
-        <path d="M40 44 L35 65 L43 67 L46 46 Z" opacity={dim(h.arms)} />
-        <path d="M80 44 L85 65 L77 67 L74 46 Z" opacity={dim(h.arms)} />
-        {/* Core */}
-        <rect x="52" y="50" width="16" height="22" rx="6" opacity={dim(h.core)} />
-        {/* Glutes */}
-        <path
-          d="M50 72 Q60 80 70 72 Q60 90 50 72"
-          opacity={dim(h.glutes)}
-        />
-        {/* Legs */}
-        <rect x="46" y="82" width="10" height="26" rx="5" opacity={dim(h.legs)} />
-        <rect x="64" y="82" width="10" height="26" rx="5" opacity={dim(h.legs)} />
-        {/* Calves */}
-        <rect x="46" y="96" width="10" height="12" rx="5" opacity={dim(h.calves)} />
-        <rect x="64" y="96" width="10" height="12" rx="5" opacity={dim(h.calves)} />
-        {/* Full body */}
-        <rect x="36" y="32" width="48" height="78" rx="18" opacity={dim(h.full)} />
-      </g>
-    </svg>
-  );
+function valueForWeek(program, week, ruleName, base, progression) {
+  const rule = program.progression.rules[ruleName];
+  const { steps } = progressionSteps(program, week, rule, progression);
+  let v = Math.max(1, base + steps * rule.add);
+  if (rule.max != null) v = Math.min(rule.max, v);
+  if (isDeloadWeek(program, week)) {
+    const d = program.deload.rules?.[ruleName];
+    if (d) v = Math.max(d.min ?? 1, v + (d.delta ?? 0));
+  }
+  return v;
 }
 
-function ExerciseIllustration({ exId, step = 0 }) {
-  // Minimal line-art per exercise (grayscale). No external assets.
-  const common = "stroke-current";
+function resolveSets(spec, weekSets) {
+  if (typeof spec === "number") return spec;
+  return Math.max(spec?.min ?? 1, weekSets + (spec?.offset ?? 0));
+}
 
-  const overlay = (
-    <g>
-      <rect x="12" y="10" width="34" height="26" rx="10" fill="currentColor" opacity="0.12" />
-      <text
-        x="29"
-        y="28"
-        textAnchor="middle"
-        fontSize="14"
-        fontWeight="800"
-        fill="currentColor"
-      >
-        {step + 1}
-      </text>
-      {step === 1 ? (
-        <path
-          d="M72 30 C96 16 124 16 148 30"
-          fill="none"
-          stroke="currentColor"
-          strokeWidth="4"
-          strokeLinecap="round"
-          opacity="0.45"
-        />
-      ) : null}
-      {step === 2 ? (
-        <path
-          d="M160 28 l8 8 l16 -18"
-          fill="none"
-          stroke="currentColor"
-          strokeWidth="5"
-          strokeLinecap="round"
-          strokeLinejoin="round"
-          opacity="0.65"
-        />
-      ) : null}
-    </g>
-  );
+function resolveReps(program, week, spec, progression) {
+  if (typeof spec === "number") return spec;
+  const v = valueForWeek(program, week, spec.rule ?? "reps", spec.base, progression);
+  return Math.max(spec.min ?? 1, v + (spec.offset ?? 0));
+}
 
-  const content = (() => {
+/**
+ * Modelo efectivo de un item: el suyo, si no el elegido por el usuario, si no
+ * el del programa. ctx = { model, autoreg } (ver buildWeekPlan).
+ */
+function itemProgression(program, week, it, ctx) {
+  const model = it.model ?? ctx?.model ?? program.progression.model ?? "linear";
+  const autoSteps = model === "rpe" ? autoregSteps(program, ctx?.autoreg, it.id, week) : 0;
+  return { model, autoSteps };
+}
+
+/**
+ * Intervalos resueltos: sets = rondas (minutos en EMOM), reps = reps por ronda
+ * (null si el protocolo no las pide), work/restSeconds en segundos.
+ */
+function resolveInterval(program, week, it, ctx) {
+  const proto = INTERVAL_PROTOCOLS[it.protocol];
+  const progression = itemProgression(program, week, it, ctx);
+  const out = {
+    ...it,
+    sets: it.rounds === undefined ? proto.defaultRounds : resolveReps(program, week, it.rounds, progression),
+    reps: it.reps === undefined ? null : resolveReps(program, week, it.reps, progression),
+    model: progression.model,
+  };
+  delete out.rounds;
+  if (proto.work !== undefined) return { ...out, work: proto.work, restSeconds: proto.restSeconds };
+  return out;
+}
+
+function resolveItem(program, week, weekSets, item, ctx) {
+  if (item.type === "block") return { type: "block", id: item.id, exerciseId: item.exerciseId };
+  if (item.type === "interval") return resolveInterval(program, week, item, ctx);
+  const it = withBaseline(item, ctx?.baseline);
+  const progression = itemProgression(program, week, it, ctx);
+  // Doble progresión: al completar el rango de reps se suma una serie (solo con series relativas)
+  const rule = typeof it.reps === "object" ? program.progression.rules[it.reps.rule ?? "reps"] : null;
+  const extraSets =
+    progression.model === "double" && rule && typeof it.sets !== "number"
+      ? progressionSteps(program, week, rule, progression).extraSets
+      : 0;
+  return {
+    ...it,
+    sets: resolveSets(it.sets, weekSets) + extraSets,
+    reps: resolveReps(program, week, it.reps, progression),
+    model: progression.model,
+  };
+}
+
+/**
+ * Resuelve los items de una sesión. Los grupos se despliegan en un item por
+ * ejercicio (así cada uno se registra y puntúa como los demás), con las rondas
+ * como series, el descanso del grupo y `group: { id, kind, index, size }`.
+ */
+function resolveSessionItems(program, week, weekSets, specItems, ctx) {
+  return specItems.flatMap((it) => {
+    if (it.type !== "group") return [resolveItem(program, week, weekSets, it, ctx)];
+    const sets = resolveSets(it.sets, weekSets);
+    return it.items.map((c, index) => ({
+      ...resolveItem(program, week, weekSets, c, ctx),
+      sets,
+      rest: it.rest,
+      group: { id: it.id, kind: it.kind, index, size: it.items.length },
+    }));
+  });
+}
+
+/** Items de un grupo con el mismo group.id (o solo el propio item si no está agrupado). */
+const groupMembers = (items, item) =>
+  item.group ? items.filter((x) => x.group?.id === item.group.id) : [item];
+
+/** Agrupa items consecutivos del mismo grupo para pintarlos juntos: [{ group, entries: [{ item, idx }] }] */
+function sessionSegments(items) {
+  const out = [];
+  items.forEach((item, idx) => {
+    const last = out[out.length - 1];
+    if (item.group && last?.group?.id === item.group.id) last.entries.push({ item, idx });
+    else out.push({ group: item.group ?? null, entries: [{ item, idx }] });
+  });
+  return out;
+}
+
+/**
+ * Sustituye el ejercicio por el peldaño actual del usuario en su escalera.
+ * baseExerciseId conserva el ejercicio del programa para que la clave del item no cambie.
+ */
+function applyLadder(item, variationLevels) {
+  if (item.type === "block") return item;
+  const ladder = findLadder(item.exerciseId);
+  if (!ladder) return item;
+  const level = variationLevels?.[ladder.id]?.level;
+  const step = level == null ? null : ladder.steps[clamp(level, 0, ladder.steps.length - 1)];
+  if (!step || step.exerciseId === item.exerciseId) return { ...item, ladderId: ladder.id };
+  return {
+    ...item,
+    exerciseId: step.exerciseId,
+    baseExerciseId: item.exerciseId,
+    ladderId: ladder.id,
+    unit: step.unit ?? item.unit,
+  };
+}
+
+const hasEquipment = (ex, equipment) => (ex.requires ?? []).every((k) => equipment.includes(k));
+
+/**
+ * Si falta material para el ejercicio, lo cambia por un equivalente del mismo grupo
+ * muscular: primero sus `substitutes`, después cualquiera de la biblioteca.
+ * Sin alternativa posible, se mantiene y se marca con missingEquipment.
+ */
+function substituteForEquipment(item, equipment, library = exerciseLibrary) {
+  if (item.type === "block" || !equipment) return item;
+  const ex = library[item.exerciseId];
+  if (!ex || hasEquipment(ex, equipment)) return item;
+
+  const usable = (id) => library[id] && hasEquipment(library[id], equipment);
+  const subId =
+    (ex.substitutes ?? []).find(usable) ??
+    Object.values(library).find(
+      (c) => c.muscleGroup === ex.muscleGroup && c.id !== ex.id && usable(c.id)
+    )?.id;
+
+  const missing = (ex.requires ?? []).filter((k) => !equipment.includes(k));
+  if (!subId) return { ...item, missingEquipment: missing };
+
+  const rest = { ...item };
+  delete rest.ladderId;
+  return {
+    ...rest,
+    exerciseId: subId,
+    baseExerciseId: item.baseExerciseId ?? item.exerciseId,
+    substitutedFrom: item.exerciseId,
+    missingEquipment: missing,
+  };
+}
+
+/** Clave de un item en objetivos y registros: su id estable (ver withItemIds). */
+const itemKeyOf = (item) => item.id;
+
+/**
+ * Asegura un `id` estable en cada item de una sesión y en los de sus grupos. Sin id
+ * explícito se usa el ejercicio (o el tipo de grupo), con sufijo -2, -3... si se repite.
+ * Así insertar o mover items no cambia la clave de los demás.
+ */
+function withItemIds(items) {
+  const seen = new Set(items.flatMap((it) => [it.id, ...(it.items ?? []).map((c) => c.id)]).filter(Boolean));
+  const idFor = (it) => {
+    if (it.id) return it.id;
+    const base = it.exerciseId ?? it.kind;
+    let id = base;
+    for (let n = 2; seen.has(id); n++) id = `${base}-${n}`;
+    seen.add(id);
+    return id;
+  };
+  return items.map((it) =>
+    it.type === "group"
+      ? { ...it, id: idFor(it), items: it.items.map((c) => ({ ...c, id: idFor(c) })) }
+      : { ...it, id: idFor(it) }
+  );
+}
+
+/** Id para un item nuevo del editor (no se repite aunque haya otro del mismo ejercicio). */
+const newItemId = (base) => `${base}-${uid().slice(0, 6)}`;
+
+/** Clave de customTargets: objetivo personalizado de un item en una semana y día. */
+const targetPath = (week, dayId, itemKey) => `${week}-${dayId}-${itemKey}`;
+
+/** Inserta items antes de los bloques finales (vuelta a la calma) sin mover las claves previas. */
+function insertBeforeTrailingBlocks(items, extra) {
+  let at = items.length;
+  while (at > 0 && items[at - 1].type === "block") at--;
+  return [...items.slice(0, at), ...extra, ...items.slice(at)];
+}
+
+/**
+ * Items (formato programa) de un día, aplicando ediciones del usuario:
+ * primero las de esa semana, luego las de "todas las semanas".
+ */
+function sessionSpecItems(program, sessionEdits, week, dayId, library = exerciseLibrary) {
+  const edited = sessionEdits?.[editScopeKey(week, dayId)] ?? sessionEdits?.[editScopeKey("*", dayId)];
+  if (edited) {
+    // Quita ejercicios que ya no existen (p. ej. uno propio borrado)
+    return withItemIds(
+      edited
+        .map((it) => (it.type === "group" ? { ...it, items: it.items.filter((c) => library[c.exerciseId]) } : it))
+        .filter((it) => (it.type === "group" ? it.items.length > 0 : library[it.exerciseId]))
+    );
+  }
+  const day = program.days.find((d) => d.id === dayId);
+  return withItemIds(program.sessions.find((x) => x.id === (day.sessionId ?? day.id)).items);
+}
+
+/**
+ * Plan de una semana. Opciones:
+ *  - sessionEdits, variationLevels, equipment, library: ver sessionSpecItems, applyLadder, substituteForEquipment
+ *  - progressionModel: modelo elegido por el usuario (null = el del programa)
+ *  - autoreg: historial resumido para el modelo "rpe" (buildAutoregulation)
+ *  - skillItems: práctica de habilidades por día (skillPracticeItems); series fijas,
+ *    una menos en descarga, sin escaleras ni sustituciones
+ *  - baseline: bases calibradas por el test inicial (calibrateBaseline)
+ */
+function buildWeekPlan(
+  program,
+  week,
+  { sessionEdits, variationLevels, equipment, library, progressionModel, autoreg, skillItems, baseline } = {}
+) {
+  const sets = setsForWeek(program, week);
+  const ctx = { model: progressionModel ?? null, autoreg, baseline };
+  const deload = isDeloadWeek(program, week);
+
+  const sessions = program.days.map((d) => {
+    const s = program.sessions.find((x) => x.id === (d.sessionId ?? d.id));
+    const items = resolveSessionItems(
+      program,
+      week,
+      sets,
+      sessionSpecItems(program, sessionEdits, week, d.id, library),
+      ctx
+    ).map((it) => substituteForEquipment(applyLadder(it, variationLevels), equipment, library));
+    const skill = (skillItems?.[d.id] ?? []).map((it) => ({
+      ...resolveItem(program, week, sets, it, { model: "linear" }),
+      sets: deload ? Math.max(1, it.sets - 1) : it.sets,
+    }));
+    return {
+      id: d.id,
+      sessionId: s.id,
+      title: s.title,
+      items: insertBeforeTrailingBlocks(items, skill),
+    };
+  });
+
+  return { week, sets, sessions };
+}
+
+function buildPlan(program, options = {}) {
+  const weeks = [];
+  for (let w = 1; w <= program.weeks; w++) weeks.push(buildWeekPlan(program, w, options));
+  return weeks;
+}
+
+// -----------------------------
+// Item key migration
+// -----------------------------
+
+/** Claves antiguas: ejercicio del programa + posición en la sesión desplegada ("chairSquat:1"). */
+const LEGACY_ITEM_KEY = /^(.+):(\d+)$/;
+const legacyItemKeyOf = (item, idx) => `${item.baseExerciseId ?? item.exerciseId}:${idx}`;
+
+/**
+ * Traductor de claves guardadas a los ids del plan actual. `sessionItems(week, dayId)`
+ * da los items resueltos de esa sesión. Una clave que ya es un id de la sesión se queda;
+ * una antigua ("ejercicio:posición") se casa por posición y ejercicio y, si no, solo por
+ * ejercicio (`exerciseId` es el registrado, si se conoce). Las demás claves (ids estables
+ * de items que ya no están) y las antiguas sin coincidencia no cambian.
+ */
+function itemKeyMapper(sessionItems) {
+  const cache = {};
+  return (week, dayId, key, exerciseId) => {
+    const scope = `${week}-${dayId}`;
+    if (!cache[scope]) cache[scope] = sessionItems(week, dayId) ?? [];
+    const items = cache[scope];
+    if (items.some((it) => it.id === key)) return key;
+    const m = LEGACY_ITEM_KEY.exec(key);
+    if (!m) return key;
+    const atPos = items[Number(m[2])];
+    if (atPos && legacyItemKeyOf(atPos, Number(m[2])) === key) return atPos.id;
+    const match = items.find(
+      (it) =>
+        it.type !== "block" &&
+        ((it.baseExerciseId ?? it.exerciseId) === m[1] || (exerciseId && it.exerciseId === exerciseId))
+    );
+    return match?.id ?? key;
+  };
+}
+
+/** itemKeyMapper sobre el plan de `program` (ya con sus descargas) con las opciones de buildWeekPlan. */
+function planKeyMapper(program, options) {
+  return itemKeyMapper((week, dayId) =>
+    week >= 1 && week <= program.weeks
+      ? buildWeekPlan(program, week, options).sessions.find((s) => s.id === dayId)?.items
+      : null
+  );
+}
+
+/** Renombra claves sin pisar las que ya son correctas ni repetir destino. */
+function remapKeys(keys, mapOne) {
+  const mapped = keys.map((k) => [k, mapOne(k)]);
+  const used = new Set(mapped.filter(([k, n]) => k === n).map(([k]) => k));
+  return Object.fromEntries(
+    mapped.map(([k, n]) => {
+      if (k === n || used.has(n)) return [k, k];
+      used.add(n);
+      return [k, n];
+    })
+  );
+}
+
+/** customTargets (`semana-día-clave`) con las claves del plan actual. */
+function migrateTargetKeys(customTargets, mapKey) {
+  const paths = Object.keys(customTargets);
+  const renamed = remapKeys(paths, (path) => {
+    const m = /^(\d+)-([^-]+)-(.+)$/.exec(path);
+    return m ? targetPath(m[1], m[2], mapKey(Number(m[1]), m[2], m[3])) : path;
+  });
+  return Object.fromEntries(paths.map((p) => [renamed[p], customTargets[p]]));
+}
+
+/** Registros con actualByItemId, exerciseByItemId y prescription en las claves del plan actual. */
+function migrateLogKeys(logs, mapKey) {
+  const byId = {};
+  Object.entries(logs.byId).forEach(([id, L]) => {
+    const keys = [...new Set([...Object.keys(L.exerciseByItemId ?? {}), ...Object.keys(L.actualByItemId ?? {})])];
+    const renamed = remapKeys(keys, (k) => mapKey(L.week, L.dayId, k, L.exerciseByItemId?.[k]));
+    const remap = (obj) => obj && Object.fromEntries(Object.entries(obj).map(([k, v]) => [renamed[k], v]));
+    byId[id] = {
+      ...L,
+      actualByItemId: remap(L.actualByItemId),
+      exerciseByItemId: remap(L.exerciseByItemId),
+      prescription: remap(L.prescription),
+    };
+  });
+  return { ...logs, byId };
+}
+
+/** Borradores de `programId` (`programa:semana-día`) con actualByItemId en las claves del plan actual. */
+function migrateDraftKeys(drafts, programId, mapKey) {
+  return Object.fromEntries(
+    Object.entries(drafts).map(([key, d]) => {
+      if (!key.startsWith(`${programId}:`) || !d.actualByItemId) return [key, d];
+      const keys = Object.keys(d.actualByItemId);
+      const renamed = remapKeys(keys, (k) => mapKey(d.week, d.dayId, k));
+      const actualByItemId = Object.fromEntries(keys.map((k) => [renamed[k], d.actualByItemId[k]]));
+      return [key, { ...d, actualByItemId }];
+    })
+  );
+}
+
+// -----------------------------
+// Session editor helpers
+// -----------------------------
+
+/**
+ * Ediciones guardadas por ámbito: "3-A" (solo semana 3, día A) o "*-A" (todas las semanas).
+ * Cada valor es la lista completa de items en formato programa.
+ */
+const editScopeKey = (week, dayId) => `${week}-${dayId}`;
+
+const UNIT_OPTIONS = [
+  { unit: "reps", type: "reps", rule: "reps", base: 8 },
+  { unit: "reps/lado", type: "reps", rule: "reps", base: 8 },
+  { unit: "s", type: "time", rule: "seconds", base: 20 },
+  { unit: "min", type: "time", rule: "minutes", base: 5 },
+];
+
+const REST_OPTIONS = ["—", "30s", "45s", "45–60s", "60s", "60–90s", "90s", "2 min"];
+
+function repsSpecForUnit(program, unit, prev) {
+  const opt = UNIT_OPTIONS.find((o) => o.unit === unit) ?? UNIT_OPTIONS[0];
+  const prevRule = prev && typeof prev === "object" ? prev.rule ?? "reps" : null;
+  if (prevRule === opt.rule) return prev;
+  // Si el programa no define la regla, la prescripción queda fija.
+  return program.progression.rules[opt.rule] ? { base: opt.base, rule: opt.rule } : opt.base;
+}
+
+function newItemSpec(program, exerciseId, library = exerciseLibrary) {
+  const ex = library[exerciseId];
+  const id = newItemId(exerciseId);
+  if (ex.muscleGroup === "warmup" || ex.muscleGroup === "cooldown") return { id, type: "block", exerciseId };
+  const unit = ex.muscleGroup === "cardio" ? "min" : "reps";
+  const opt = UNIT_OPTIONS.find((o) => o.unit === unit);
+  return {
+    id,
+    type: opt.type,
+    exerciseId,
+    reps: repsSpecForUnit(program, unit, null),
+    unit,
+    rest: unit === "min" ? "—" : "60s",
+  };
+}
+
+/**
+ * Cambia el formato de un item del editor: series normales o un protocolo de
+ * intervalos. Conserva ejercicio, descanso y, si tiene sentido, las reps.
+ */
+function withFormat(program, spec, format, library = exerciseLibrary) {
+  if (format === "series") return { ...newItemSpec(program, spec.exerciseId, library), id: spec.id, rest: spec.rest };
+  const reps = spec.type === "reps" || spec.type === "interval" ? spec.reps : undefined;
+  const unit = spec.type === "reps" ? spec.unit : "reps";
+  const base = {
+    id: spec.id,
+    type: "interval",
+    protocol: format,
+    exerciseId: spec.exerciseId,
+    unit,
+    rest: spec.rest ?? "60s",
+  };
+  if (format === "emom") return { ...base, rounds: 8, reps: reps ?? 6 };
+  if (format === "amrap") return { ...base, capMinutes: 8, rounds: 4, reps: reps ?? 8 };
+  if (format === "tabata") return base;
+  return { ...base, rounds: 8, work: 30, restSeconds: 30 };
+}
+
+function withTempo(spec, tempo) {
+  const next = { ...spec, tempo };
+  if (!tempo) delete next.tempo;
+  return next;
+}
+
+function withModel(spec, model) {
+  const next = { ...spec, model };
+  if (!model) delete next.model;
+  return next;
+}
+
+/** Ejercicio como miembro de un grupo: series y descanso pasan al grupo. */
+function asGroupMember(it) {
+  const member = { ...it };
+  delete member.sets;
+  delete member.rest;
+  return member;
+}
+
+/**
+ * Une dos items (sueltos o grupos) en un solo grupo. Conserva las series y el
+ * descanso del primero; con más de 2 ejercicios una superserie pasa a serie gigante.
+ */
+function mergeIntoGroup(a, b) {
+  const members = (it) => (it.type === "group" ? it.items : [asGroupMember(it)]);
+  const items = [...members(a), ...members(b)];
+  const kind = (a.type === "group" ? a.kind : b.type === "group" ? b.kind : null) ?? "superset";
+  const group = {
+    id: a.type === "group" ? a.id : newItemId("group"),
+    type: "group",
+    kind: kind === "superset" && items.length > 2 ? "giant" : kind,
+    rest: a.rest ?? b.rest ?? "60s",
+    items,
+  };
+  const sets = a.sets ?? b.sets;
+  return sets === undefined ? group : { ...group, sets };
+}
+
+/** Deshace un grupo: cada ejercicio recupera las series y el descanso del grupo. */
+function splitGroup(group) {
+  return group.items.map((c) => ({ ...c, ...(group.sets === undefined ? {} : { sets: group.sets }), rest: group.rest }));
+}
+
+// -----------------------------
+// Session duration / time budget
+// -----------------------------
+
+const SECONDS_PER_REP = 3;
+const TRANSITION_SECONDS = 30;
+const TIME_BUDGET_OPTIONS = [15, 20, 30, 45];
+
+const MUSCLE_PRIORITY = {
+  push: 1,
+  pull: 1,
+  legs: 1,
+  glutes: 2,
+  core: 2,
+  shoulders: 3,
+  calves: 3,
+  cardio: 3,
+};
+
+/** "45–60s" → 52.5, "2 min" → 120, "—" → 0 */
+function parseRestSeconds(rest) {
+  const nums = String(rest ?? "").match(/\d+(?:[.,]\d+)?/g)?.map((n) => Number(n.replace(",", "."))) ?? [];
+  if (nums.length === 0) return 0;
+  const secs = mean(nums);
+  return /min/.test(rest) ? secs * 60 : secs;
+}
+
+function itemPriority(item, library = exerciseLibrary) {
+  return item.priority ?? MUSCLE_PRIORITY[library[item.exerciseId]?.muscleGroup] ?? 2;
+}
+
+/**
+ * Segundos estimados de un item con sus objetivos efectivos:
+ * series × (trabajo + descanso) + transición. Bloques: durationMin del ejercicio.
+ * En un grupo solo el último ejercicio descansa y solo el primero suma transición.
+ */
+function estimateItemSeconds(item, target, library = exerciseLibrary) {
+  if (item.skipped) return 0;
+  if (item.type === "block") return (library[item.exerciseId]?.durationMin ?? 5) * 60;
+  if (item.type === "interval") {
+    return intervalSeconds(item, Number(target?.sets ?? item.sets)) + parseRestSeconds(item.rest) + TRANSITION_SECONDS;
+  }
+
+  const sets = Number(target?.sets ?? item.sets ?? 1);
+  const reps = Number(target?.reps ?? item.reps ?? 0);
+  let work;
+  if (item.unit === "min") work = reps * 60;
+  else if (item.unit === "s") work = reps;
+  else work = reps * (tempoRepSeconds(item.tempo) ?? SECONDS_PER_REP);
+  if (item.unit?.includes("/lado")) work *= 2;
+
+  const rests = !item.group || item.group.index === item.group.size - 1;
+  const transition = !item.group || item.group.index === 0 ? TRANSITION_SECONDS : 0;
+  return sets * (work + (rests ? parseRestSeconds(item.rest) : 0)) + transition;
+}
+
+function estimateSessionSeconds(items, targetsByItemId, library = exerciseLibrary) {
+  return items.reduce(
+    (acc, it) => acc + estimateItemSeconds(it, targetsByItemId[itemKeyOf(it)], library),
+    0
+  );
+}
+
+/**
+ * Ajusta la sesión a un presupuesto de minutos sin tocar el calentamiento:
+ *  1) recorta series (primero accesorios, nunca por debajo de 2 en principales ni de 1 en el resto)
+ *  2) omite items de menor prioridad (del final hacia delante)
+ *  3) como último recurso omite la vuelta a la calma
+ *  4) devuelve series recortadas si omitir un item liberó tiempo
+ * Los items omitidos se marcan con `skipped` (no se eliminan) para seguir mostrándolos.
+ * Las series recortadas van en `budgetSets` y prevalecen sobre objetivos personalizados.
+ * Un grupo se recorta y se omite entero para que todos sus ejercicios hagan las mismas rondas.
+ */
+function fitSessionToBudget(items, targetsByItemId, budgetMin, library = exerciseLibrary) {
+  const out = items.map((it) => ({ ...it }));
+  const budget = budgetMin * 60;
+  const total = () =>
+    out.reduce((acc, it) => {
+      const t = targetsByItemId[itemKeyOf(it)];
+      return acc + estimateItemSeconds(it, { ...t, sets: it.budgetSets ?? t?.sets }, library);
+    }, 0);
+  const setsOf = (it) => it.budgetSets ?? targetsByItemId[itemKeyOf(it)]?.sets ?? it.sets;
+  const priorityOf = (it) => Math.min(...groupMembers(out, it).map((m) => itemPriority(m, library)));
+  const setBudgetSets = (it, sets) => groupMembers(out, it).forEach((m) => (m.budgetSets = sets));
+  // Un candidato por grupo (su primer ejercicio)
+  const exercises = out
+    .map((it, idx) => ({ it, idx }))
+    .filter(({ it }) => it.type !== "block" && !(it.group?.index > 0))
+    .sort((a, b) => priorityOf(b.it) - priorityOf(a.it) || b.idx - a.idx);
+  // En AMRAP las rondas son un objetivo, no alargan la sesión
+  const trimmable = exercises.filter(({ it }) => it.protocol !== "amrap");
+
+  // 1) Recortar series, de una en una y repartiendo
+  let trimmed = true;
+  while (total() > budget && trimmed) {
+    trimmed = false;
+    for (const { it } of trimmable) {
+      if (total() <= budget) break;
+      const minSets = priorityOf(it) === 1 ? 2 : 1;
+      const sets = setsOf(it);
+      if (sets > minSets) {
+        setBudgetSets(it, sets - 1);
+        trimmed = true;
+      }
+    }
+  }
+
+  // 2) Omitir ejercicios de menor prioridad (siempre queda al menos uno)
+  for (const { it } of exercises) {
+    if (total() <= budget) break;
+    const members = groupMembers(out, it);
+    if (out.filter((x) => x.type !== "block" && !x.skipped).length <= members.length) break;
+    if (priorityOf(it) === 1) continue;
+    members.forEach((m) => {
+      m.skipped = true;
+      delete m.budgetSets;
+    });
+  }
+
+  // 3) Vuelta a la calma
+  if (total() > budget) {
+    out.forEach((it) => {
+      if (it.type === "block" && it.exerciseId !== "warmup") it.skipped = true;
+    });
+  }
+
+  // 4) Devolver series si al omitir algo sobró tiempo (principales primero)
+  for (const { it } of [...trimmable].reverse()) {
+    if (it.skipped) continue;
+    while (it.budgetSets !== undefined) {
+      setBudgetSets(it, it.budgetSets + 1);
+      if (total() > budget) {
+        setBudgetSets(it, it.budgetSets - 1);
+        break;
+      }
+      const original = targetsByItemId[itemKeyOf(it)]?.sets ?? it.sets;
+      if (it.budgetSets >= original) groupMembers(out, it).forEach((m) => delete m.budgetSets);
+    }
+  }
+
+  return out;
+}
+
+// -----------------------------
+// Intervalos (EMOM / AMRAP / Tabata)
+// -----------------------------
+
+/** Fases del temporizador: [{ kind: "work" | "rest", seconds, round }]. AMRAP es una sola fase. */
+function intervalPhases(item, rounds = item.sets) {
+  if (item.protocol === "amrap") return [{ kind: "work", seconds: item.capMinutes * 60, round: 1 }];
+  const out = [];
+  for (let round = 1; round <= rounds; round++) {
+    out.push({ kind: "work", seconds: item.work, round });
+    if (item.restSeconds > 0 && round < rounds) out.push({ kind: "rest", seconds: item.restSeconds, round });
+  }
+  return out;
+}
+
+function intervalSeconds(item, rounds = item.sets) {
+  return intervalPhases(item, rounds).reduce((acc, p) => acc + p.seconds, 0);
+}
+
+/** "EMOM 8 min · 6 reps/min", "AMRAP 10 min · 4 rondas de 8 reps", "Tabata 8×20/10s" */
+function intervalSummary(item, rounds = item.sets, reps = item.reps) {
+  const proto = INTERVAL_PROTOCOLS[item.protocol];
+  if (item.protocol === "emom") return `EMOM ${rounds} min · ${reps} ${item.unit}/min`;
+  if (item.protocol === "amrap") return `AMRAP ${item.capMinutes} min · ${rounds} rondas de ${reps} ${item.unit}`;
+  const base = `${proto.label} ${rounds}×${item.work}/${item.restSeconds}s`;
+  return reps == null ? base : `${base} · ${reps} ${item.unit}`;
+}
+
+// -----------------------------
+// Tempo
+// -----------------------------
+
+const TEMPO_PHASES = [
+  { label: "Bajada", short: "Baja", freq: 440 },
+  { label: "Pausa abajo", short: "Pausa", freq: 330 },
+  { label: "Subida", short: "Sube", freq: 660 },
+  { label: "Pausa arriba", short: "Pausa", freq: 330 },
+];
+const TEMPO_EXPLOSIVE_SECONDS = 0.5;
+const TEMPO_OPTIONS = ["2-0-1-0", "3-0-1-0", "3-1-1-0", "2-0-1-1", "2-0-2-1", "4-0-1-0", "3-1-X-0"];
+
+/** "3-1-1-0" → [3, 1, 1, 0]; X cuenta como TEMPO_EXPLOSIVE_SECONDS. null si no es válido. */
+function parseTempo(tempo) {
+  if (typeof tempo !== "string" || !/^[0-9X](-[0-9X]){3}$/i.test(tempo)) return null;
+  return tempo.split("-").map((x) => (/x/i.test(x) ? TEMPO_EXPLOSIVE_SECONDS : Number(x)));
+}
+
+function tempoRepSeconds(tempo) {
+  const phases = parseTempo(tempo);
+  return phases ? phases.reduce((acc, x) => acc + x, 0) : null;
+}
+
+/** Fases con duración > 0 de un tempo: [{ label, short, freq, seconds }] */
+function tempoPhases(tempo) {
+  return (parseTempo(tempo) ?? [])
+    .map((seconds, i) => ({ ...TEMPO_PHASES[i], seconds }))
+    .filter((p) => p.seconds > 0);
+}
+
+/** Posición en una serie a ritmo de tempo: rep (0..), fase actual y segundos que le quedan. */
+function tempoPosition(phases, elapsed) {
+  const repSeconds = phases.reduce((acc, p) => acc + p.seconds, 0);
+  const rep = Math.floor(elapsed / repSeconds);
+  let t = elapsed - rep * repSeconds;
+  let phase = 0;
+  while (phase < phases.length - 1 && t >= phases[phase].seconds) {
+    t -= phases[phase].seconds;
+    phase += 1;
+  }
+  return { rep, phase, left: phases[phase].seconds - t, progress: t / phases[phase].seconds };
+}
+
+// -----------------------------
+// Scoring / Recommendation
+// -----------------------------
+
+/** Series hechas de un item; en un grupo, las rondas que completaron todos sus ejercicios. */
+function setsDoneOf(items, actualByItemId, it) {
+  if (!it.group) return Number(actualByItemId[itemKeyOf(it)]?.setsDone ?? 0);
+  return Math.min(
+    ...items.map((x) =>
+      x.group?.id === it.group.id ? Number(actualByItemId[itemKeyOf(x)]?.setsDone ?? 0) : Infinity
+    )
+  );
+}
+
+/**
+ * Score por sesión (0..1)
+ *
+ * Por cada ejercicio (no "block"):
+ *  - setsRatio = min(setsDone / targetSets, 1)
+ *  - repsRatio = min(repsDone / targetReps, 1); en unilaterales, media de cada lado;
+ *    con registro por series, media de ese ratio en cada serie (10, 8, 6 de 10 → 0.8)
+ *  - itemScore = 0.5*setsRatio + 0.5*repsRatio
+ *
+ * En un grupo (superserie/circuito) solo cuentan las rondas completas: setsDone
+ * de cada ejercicio es el mínimo de series hechas entre todos los del grupo.
+ *
+ * Intervalos: itemScore = min(roundsDone / rondas objetivo, 1). En EMOM cuenta
+ * los minutos en los que se cumplieron las reps; en AMRAP, las rondas completas.
+ *
+ * pct  = media de itemScore (cumplimiento)
+ * score = pct - penalización por RPE (evita progresar con fatiga excesiva)
+ */
+function scoreSession({ items, actualByItemId, targetsByItemId, rpe }) {
+  let total = 0;
+  let sum = 0;
+
+  items.forEach((it) => {
+    if (it.type === "block" || it.skipped) return;
+    const itemKey = itemKeyOf(it);
+
+    const a = actualByItemId[itemKey];
+    const t = targetsByItemId[itemKey] ?? { sets: it.sets, reps: it.reps };
+
+    const targetSets = Math.max(1, Number(t.sets ?? it.sets ?? 1));
+    const targetReps = Math.max(1, Number(t.reps ?? it.reps ?? 1));
+
+    if (it.type === "interval") {
+      total += 1;
+      sum += clamp(Number(a?.roundsDone ?? 0) / targetSets, 0, 1);
+      return;
+    }
+
+    const setsDone = Math.max(0, setsDoneOf(items, actualByItemId, it));
+
+    const setsRatio = clamp(setsDone / targetSets, 0, 1);
+    const repsRatio = repsRatioOf(it, a, targetReps);
+
+    const itemScore = 0.5 * setsRatio + 0.5 * repsRatio;
+    total += 1;
+    sum += itemScore;
+  });
+
+  const pct = total === 0 ? 0 : sum / total;
+
+  const rpePenalty = rpe >= 9 ? 0.2 : rpe >= 8 ? 0.1 : 0;
+  const score = clamp(pct - rpePenalty, 0, 1);
+
+  return { pct, score };
+}
+
+function recommendationFromScore(scoreObj) {
+  if (scoreObj.score >= 0.8) return { level: "advance", label: "Avanza" };
+  if (scoreObj.score >= 0.55) return { level: "hold", label: "Mantén" };
+  return { level: "reduce", label: "Repite más fácil" };
+}
+
+/**
+ * Prescripción en vigor al guardar, por item: ejercicio (y el del programa si es una
+ * variante o sustitución), series, reps, unidad y descanso, con los objetivos
+ * editados y el recorte por tiempo ya aplicados. Guarda también lo necesario para
+ * volver a puntuar (tipo, grupo, protocolo, omitido).
+ */
+function prescriptionSnapshot(items, targetsByItemId) {
+  return Object.fromEntries(
+    items
+      .filter((it) => it.type !== "block")
+      .map((it) => {
+        const t = targetsByItemId[itemKeyOf(it)] ?? {};
+        const p = {
+          exerciseId: it.exerciseId,
+          baseExerciseId: it.baseExerciseId,
+          ladderId: it.ladderId,
+          type: it.type,
+          sets: t.sets ?? it.sets,
+          reps: t.reps ?? it.reps,
+          unit: it.unit,
+          rest: it.rest,
+          group: it.group,
+          protocol: it.protocol,
+          skipped: it.skipped,
+        };
+        return [itemKeyOf(it), Object.fromEntries(Object.entries(p).filter(([, v]) => v !== undefined))];
+      })
+  );
+}
+
+/** Items y objetivos de un registro a partir de su prescripción guardada. */
+function prescriptionItems(prescription) {
+  const items = Object.entries(prescription).map(([id, p]) => ({ id, ...p }));
+  const targetsByItemId = Object.fromEntries(items.map((it) => [it.id, { sets: it.sets, reps: it.reps }]));
+  return { items, targetsByItemId };
+}
+
+/** Ejercicio registrado en una clave: el de la prescripción o, en registros antiguos, exerciseByItemId. */
+const loggedExerciseOf = (log, key) => log.prescription?.[key]?.exerciseId ?? log.exerciseByItemId?.[key];
+
+/** "3×10 reps" de una prescripción guardada. */
+const formatPrescription = (p) => `${p.sets}×${p.reps ?? "—"}${p.unit ? ` ${p.unit}` : ""}`;
+
+/**
+ * Puntuación y recomendación de un registro editado. No vuelve a aplicar efectos
+ * del guardado (escaleras, descargas, avance de día): solo corrige el registro.
+ */
+function rescoreLog(log, { items, targetsByItemId }) {
+  const scoreObj = scoreSession({ items, actualByItemId: log.actualByItemId ?? {}, targetsByItemId, rpe: log.rpe });
+  return { ...log, score: scoreObj.score, pct: scoreObj.pct, recommendation: recommendationFromScore(scoreObj).level };
+}
+
+/**
+ * Objetivos más fáciles para los ejercicios que no se cumplieron. `targetsByItemId` son
+ * los objetivos guardados (sin recorte por tiempo), que es lo que se rebaja y se guarda.
+ * Las series recortadas por tiempo (budgetSets) no se tocan: se comparan contra lo
+ * recortado y solo pueden bajar las reps. Los omitidos no cuentan, ni los que van con
+ * objetivos rebajados solo por unos días (reentrada o dolor).
+ */
+function suggestReduction({ items, actualByItemId, targetsByItemId, library = exerciseLibrary }) {
+  const out = [];
+
+  items.forEach((it) => {
+    if (it.type === "block" || it.skipped || it.reentry || it.painLimited) return;
+
+    const itemKey = itemKeyOf(it);
+    const ex = library[it.exerciseId];
+    const a = actualByItemId[itemKey];
+    const t = targetsByItemId[itemKey] ?? { sets: it.sets, reps: it.reps };
+
+    const targetSets = Math.max(1, Number(t.sets ?? it.sets ?? 1));
+    const targetReps = Math.max(1, Number(t.reps ?? it.reps ?? 1));
+
+    const setsDone = setsDoneOf(items, actualByItemId, it);
+    const repsDone = Number(a?.repsDone ?? 0);
+
+    const noData = !a;
+
+    const trimmed = it.budgetSets !== undefined;
+
+    // Intervalos: -1 rep por ronda o -1 ronda según el protocolo
+    if (it.type === "interval") {
+      if (!noData && Number(a.roundsDone ?? 0) >= (trimmed ? it.budgetSets : targetSets)) return;
+      const reps = t.reps ?? it.reps;
+      const byReps = INTERVAL_PROTOCOLS[it.protocol].reduce === "reps" && reps != null;
+      if (trimmed && !byReps) return;
+      const to = byReps ? { sets: targetSets, reps: Math.max(1, reps - 1) } : { sets: Math.max(1, targetSets - 1), reps };
+      if (to.sets === targetSets && to.reps === reps) return;
+      out.push({
+        itemKey,
+        exerciseId: it.exerciseId,
+        title: ex?.title ?? it.exerciseId,
+        from: { sets: targetSets, reps, unit: it.unit },
+        to: { ...to, unit: it.unit },
+      });
+      return;
+    }
+
+    let newSets = targetSets;
+    let newReps = targetReps;
+
+    // Ajuste estándar: -1 serie si no llegas a series
+    if (!trimmed && (noData || setsDone < targetSets)) newSets = Math.max(1, targetSets - 1);
+
+    // Ajuste estándar: -2 reps (o -5s / -1min si es tiempo) si no llegas a reps/tiempo
+    if (noData || repsDone < targetReps) {
+      if (it.type === "time") {
+        const delta = it.unit === "min" ? 1 : 5;
+        newReps = Math.max(1, targetReps - delta);
+      } else {
+        newReps = Math.max(1, targetReps - 2);
+      }
+    }
+
+    if (newSets === targetSets && newReps === targetReps) return;
+
+    out.push({
+      itemKey,
+      exerciseId: it.exerciseId,
+      title: ex?.title ?? it.exerciseId,
+      from: { sets: targetSets, reps: targetReps, unit: it.unit },
+      to: { sets: newSets, reps: newReps, unit: it.unit },
+    });
+  });
+
+  return out;
+}
+
+// -----------------------------
+// Progression ladders
+// -----------------------------
+
+/**
+ * Escaleras en las que subir de variante. `logs` va de más reciente a más antiguo
+ * (por fecha de entrenamiento) e incluye la sesión que se acaba de guardar.
+ *
+ * Cuenta solo sesiones registradas desde el último cambio de peldaño (since),
+ * para no reutilizar resultados de una variante anterior; con sesiones anotadas
+ * con fecha pasada, las anteriores al cambio pueden aparecer intercaladas.
+ */
+function ladderPromotions({ items, logs, variationLevels }) {
+  const out = [];
+
+  items.forEach((it) => {
+    if (!it.ladderId || out.some((p) => p.ladderId === it.ladderId)) return;
+    const ladder = EXERCISE_LADDERS[it.ladderId];
+    const level = ladder.steps.findIndex((st) => st.exerciseId === it.exerciseId);
+    if (level < 0 || level >= ladder.steps.length - 1) return;
+
+    const since = variationLevels[ladder.id]?.since ?? "";
+    const results = [];
+    for (const L of logs) {
+      if (results.length >= ladder.promote.sessions) break;
+      if ((L.createdAt ?? "") < since) continue;
+      const keys = Object.keys(L.actualByItemId ?? {}).filter((k) => loggedExerciseOf(L, k) === it.exerciseId);
+      if (keys.length === 0) continue;
+      results.push(keys.some((k) => Number(L.actualByItemId?.[k]?.repsDone ?? 0) >= ladder.promote.reps));
+    }
+    if (results.length < ladder.promote.sessions || !results.every(Boolean)) return;
+
+    out.push({
+      ladderId: ladder.id,
+      level: level + 1,
+      from: it.exerciseId,
+      to: ladder.steps[level + 1].exerciseId,
+    });
+  });
+
+  return out;
+}
+
+// -----------------------------
+// Skill tracks
+// -----------------------------
+
+/** Peldaño actual en una escalera (sin peldaño guardado cuenta el primero). */
+const ladderLevelOf = (variationLevels, ladderId) => variationLevels?.[ladderId]?.level ?? 0;
+
+/**
+ * Hitos de una habilidad con su estado: "done" (completedAt), "current", "locked"
+ * (el actual, con prerrequisitos pendientes en blockedBy) o "pending".
+ * progress = { active, startedAt, completed: { [milestoneId]: fecha }, tests }
+ */
+function skillMilestones(track, progress, variationLevels) {
+  let found = false;
+  return track.milestones.map((ms) => {
+    const completedAt = progress?.completed?.[ms.id] ?? null;
+    if (completedAt) return { ...ms, status: "done", completedAt, blockedBy: [] };
+    if (found) return { ...ms, status: "pending", completedAt: null, blockedBy: [] };
+    found = true;
+    const blockedBy = (ms.prerequisites ?? []).filter((p) => ladderLevelOf(variationLevels, p.ladder) < p.level);
+    return { ...ms, status: blockedBy.length ? "locked" : "current", completedAt: null, blockedBy };
+  });
+}
+
+/**
+ * Días del programa en los que se practica una habilidad: sus posiciones en la semana,
+ * repartidas entre los días que tenga (con menos días, varias caen en el mismo).
+ * Así funciona con cualquier programa, sean cuales sean los ids de sus días.
+ */
+function skillDaysOf(track, days) {
+  if (!days?.length) return [];
+  return [...new Set(track.days.map((i) => days[i % days.length]))];
+}
+
+/**
+ * Práctica de las habilidades activas por día del programa: { [dayId]: items }.
+ * Solo el hito actual desbloqueado y si hay material; los items llevan `skill`.
+ */
+function skillPracticeItems(skills, { variationLevels, equipment, days } = {}) {
+  const out = {};
+  Object.values(SKILL_TRACKS).forEach((track) => {
+    const progress = skills?.[track.id];
+    if (!progress?.active) return;
+    if (equipment && !track.requires.every((k) => equipment.includes(k))) return;
+    const current = skillMilestones(track, progress, variationLevels).find((m) => m.status === "current");
+    if (!current) return;
+    const items = current.practice.map((it) => ({
+      ...it,
+      id: `skill-${track.id}-${it.exerciseId}`,
+      priority: 2,
+      skill: track.id,
+    }));
+    skillDaysOf(track, days).forEach((d) => {
+      out[d.id] = [...(out[d.id] ?? []), ...items];
+    });
+  });
+  return out;
+}
+
+/** Guarda un test de hito; si llega al objetivo, el hito queda completado en esa fecha. */
+function recordSkillTest(progress, milestone, value, date) {
+  const passed = value >= milestone.test.target;
+  return {
+    ...progress,
+    tests: [{ milestoneId: milestone.id, date, value, passed }, ...(progress.tests ?? [])],
+    completed: passed ? { ...progress.completed, [milestone.id]: date } : progress.completed ?? {},
+  };
+}
+
+/** Meses completos entre dos fechas YYYY-MM-DD. */
+function monthsBetween(from, to) {
+  const [y1, m1, d1] = from.split("-").map(Number);
+  const [y2, m2, d2] = to.split("-").map(Number);
+  return Math.max(0, (y2 - y1) * 12 + (m2 - m1) - (d2 < d1 ? 1 : 0));
+}
+
+// -----------------------------
+// Baseline assessment
+// -----------------------------
+
+/**
+ * Test inicial: un máximo por movimiento. La base de la semana 1 es `factor` × el
+ * resultado (redondeado a `step`, entre min y max) y sustituye la `base` de los
+ * items de ese ejercicio con la misma regla; offsets y progresión se mantienen.
+ */
+const BASELINE_TESTS = [
+  {
+    id: "push",
+    exerciseId: "inclinePushUp",
+    rule: "reps",
+    unit: "reps",
+    label: "Máximo de flexiones inclinadas con buena técnica",
+    factor: 0.5,
+    min: 3,
+    max: 20,
+  },
+  {
+    id: "squat",
+    exerciseId: "chairSquat",
+    rule: "reps",
+    unit: "reps",
+    label: "Máximo de sentadillas a silla sin pausas largas",
+    factor: 0.5,
+    min: 5,
+    max: 25,
+  },
+  {
+    id: "row",
+    exerciseId: "tableRow",
+    rule: "reps",
+    unit: "reps",
+    label: "Máximo de remos bajo mesa con el cuerpo en línea",
+    factor: 0.5,
+    min: 3,
+    max: 20,
+  },
+  {
+    id: "bridge",
+    exerciseId: "gluteBridge",
+    rule: "reps",
+    unit: "reps",
+    label: "Máximo de puentes de glúteo con pausa arriba",
+    factor: 0.5,
+    min: 6,
+    max: 25,
+  },
+  {
+    id: "plank",
+    exerciseId: "plank",
+    rule: "seconds",
+    unit: "s",
+    label: "Plancha: máximo tiempo sin hundir la cadera",
+    factor: 0.5,
+    step: 5,
+    min: 10,
+    max: 90,
+  },
+  {
+    id: "stepUp",
+    exerciseId: "stepUp",
+    rule: "reps",
+    unit: "reps en 60 s",
+    label: "Step-ups alternando piernas durante 60 s",
+    factor: 0.25,
+    min: 5,
+    max: 20,
+  },
+];
+
+function baselineBase(test, value) {
+  const step = test.step ?? 1;
+  return clamp(Math.round((value * test.factor) / step) * step, test.min, test.max);
+}
+
+/** results = { [testId]: valor } → { [exerciseId]: { base, rule } } */
+function calibrateBaseline(results) {
+  const out = {};
+  BASELINE_TESTS.forEach((t) => {
+    const v = Number(results?.[t.id]);
+    if (!Number.isFinite(v) || v <= 0) return;
+    out[t.exerciseId] = { base: baselineBase(t, v), rule: t.rule };
+  });
+  return out;
+}
+
+/** Aplica la base calibrada a un item del programa (solo reps relativas con la misma regla). */
+function withBaseline(it, baseline) {
+  const cal = baseline?.[it.exerciseId];
+  if (!cal || typeof it.reps !== "object" || (it.reps.rule ?? "reps") !== cal.rule) return it;
+  return { ...it, reps: { ...it.reps, base: cal.base }, calibrated: true };
+}
+
+// -----------------------------
+// Onboarding
+// -----------------------------
+
+/** startWeek referida al programa de serie (se reescala a la duración elegida). */
+const EXPERIENCE_LEVELS = {
+  none: { key: "none", label: "Nunca o hace años", startWeek: 1 },
+  some: { key: "some", label: "Algo, de forma irregular", startWeek: 3 },
+  regular: { key: "regular", label: "Entreno con regularidad", startWeek: 5 },
+};
+
+const ONBOARDING_GOALS = {
+  habit: { key: "habit", label: "Crear el hábito", weeks: 12 },
+  strength: { key: "strength", label: "Ganar fuerza", weeks: 20, progressionModel: "double" },
+  skill: { key: "skill", label: "Aprender una habilidad", weeks: 20, skill: true },
+  short: { key: "short", label: "Sesiones cortas", weeks: 12, timeBudget: 20 },
+};
+
+/** Molestias: los ejercicios de esos grupos musculares empiezan con menos reps. */
+const INJURY_AREAS = {
+  shoulder: { key: "shoulder", label: "Hombro", muscleGroups: ["push", "pull", "shoulders"] },
+  wrist: { key: "wrist", label: "Muñeca", muscleGroups: ["push"] },
+  knee: { key: "knee", label: "Rodilla", muscleGroups: ["legs"] },
+  lowBack: { key: "lowBack", label: "Lumbar", muscleGroups: ["glutes", "core"] },
+};
+const INJURY_REPS_FACTOR = 0.75;
+const INJURY_WEEKS = 2;
+
+/**
+ * Configuración inicial a partir del cuestionario:
+ * answers = { experience, daysPerWeek, equipment, goal, skillTrack, injuries }. Con el
+ * objetivo de habilidad se activa `skillTrack` si el material da para ella; si no, la
+ * primera que se pueda practicar.
+ * Devuelve { program (null = el de serie), state (parche de appState), customTargets, skills }.
+ */
+function onboardingSetup(answers, baseProgram = DEFAULT_PROGRAM, library = exerciseLibrary) {
+  const goal = ONBOARDING_GOALS[answers.goal] ?? ONBOARDING_GOALS.habit;
+  const weeks = goal.weeks;
+  const daysPerWeek = answers.daysPerWeek ?? baseProgram.days.length;
+  const custom = weeks !== baseProgram.weeks || daysPerWeek !== baseProgram.days.length;
+  const program = custom ? resizeProgram(baseProgram, { weeks, daysPerWeek }) : baseProgram;
+
+  const exp = EXPERIENCE_LEVELS[answers.experience] ?? EXPERIENCE_LEVELS.none;
+  const week = clamp(scaleWeek(exp.startWeek, DEFAULT_PROGRAM.weeks, weeks), 1, weeks);
+
+  const skills = {};
+  if (goal.skill) {
+    const usable = Object.values(SKILL_TRACKS).filter((t) => hasEquipment(t, answers.equipment));
+    const track = usable.find((t) => t.id === answers.skillTrack) ?? usable[0];
+    if (track) skills[track.id] = { active: true, startedAt: todayISO(), completed: {}, tests: [] };
+  }
+
+  // Menos reps en las primeras semanas para los grupos con molestias, sobre el plan tal
+  // como se verá: con el modelo de progresión del objetivo y la práctica de habilidades
+  const planOptions = {
+    equipment: answers.equipment,
+    library,
+    progressionModel: goal.progressionModel ?? null,
+    skillItems: skillPracticeItems(skills, { equipment: answers.equipment, days: program.days }),
+  };
+  const groups = new Set((answers.injuries ?? []).flatMap((k) => INJURY_AREAS[k]?.muscleGroups ?? []));
+  const customTargets = {};
+  for (let w = week; w < Math.min(week + INJURY_WEEKS, weeks + 1) && groups.size; w++) {
+    buildWeekPlan(program, w, planOptions).sessions.forEach((s) =>
+      s.items.forEach((it) => {
+        if (it.type === "block" || it.type === "interval" || !groups.has(library[it.exerciseId]?.muscleGroup)) return;
+        customTargets[targetPath(w, s.id, itemKeyOf(it))] = {
+          sets: it.sets,
+          reps: Math.max(1, Math.round(it.reps * INJURY_REPS_FACTOR)),
+        };
+      })
+    );
+  }
+
+  return {
+    program: custom ? program : null,
+    state: {
+      week,
+      dayId: program.days[0].id,
+      timeBudget: goal.timeBudget ?? null,
+      progressionModel: goal.progressionModel ?? null,
+    },
+    customTargets,
+    skills,
+  };
+}
+
+// -----------------------------
+// Schedule
+// -----------------------------
+
+/** Días de la semana, lunes primero; key = Date#getDay(). */
+const WEEKDAYS = [
+  { key: 1, short: "L", label: "lunes" },
+  { key: 2, short: "M", label: "martes" },
+  { key: 3, short: "X", label: "miércoles" },
+  { key: 4, short: "J", label: "jueves" },
+  { key: 5, short: "V", label: "viernes" },
+  { key: 6, short: "S", label: "sábado" },
+  { key: 0, short: "D", label: "domingo" },
+];
+
+/** Días de entrenamiento sugeridos según los días por semana del programa. */
+const DEFAULT_WEEKDAYS = {
+  1: [3],
+  2: [1, 4],
+  3: [1, 3, 5],
+  4: [1, 2, 4, 5],
+  5: [1, 2, 3, 4, 5],
+  6: [1, 2, 3, 4, 5, 6],
+  7: [0, 1, 2, 3, 4, 5, 6],
+};
+
+const formatDate = (iso, opts = { weekday: "short", day: "numeric", month: "short" }) =>
+  fromISODate(iso).toLocaleDateString("es-ES", opts);
+
+/** Las `count` primeras fechas desde `from` (incluida) que caen en `weekdays`. */
+function trainingDates(from, weekdays, count) {
+  const out = [];
+  if (!weekdays.length) return out;
+  for (let iso = from; out.length < count; iso = addDaysISO(iso, 1)) {
+    if (weekdays.includes(fromISODate(iso).getDay())) out.push(iso);
+  }
+  return out;
+}
+
+/** Sesiones del programa en orden: [{ week, dayId }] */
+function programSessionOrder(program) {
+  const out = [];
+  for (let week = 1; week <= program.weeks; week++) program.days.forEach((d) => out.push({ week, dayId: d.id }));
+  return out;
+}
+
+const sessionIndexOf = (order, { week, dayId }) => order.findIndex((s) => s.week === week && s.dayId === dayId);
+
+/**
+ * Calendario del programa: cada sesión ocupa el siguiente día de entrenamiento
+ * desde schedule.startDate. Con `resume` ({ week, dayId, date }), desde esa sesión
+ * se reparte a partir de resume.date (calendario desplazado tras sesiones perdidas).
+ * schedule = { startDate, weekdays, resume? } → [{ week, dayId, date }]
+ */
+function buildSchedule(program, schedule) {
+  const order = programSessionOrder(program);
+  const at = schedule.resume ? sessionIndexOf(order, schedule.resume) : -1;
+  const head = at >= 0 ? at : order.length;
+  const dates = [
+    ...trainingDates(schedule.startDate, schedule.weekdays, head),
+    ...(at >= 0 ? trainingDates(schedule.resume.date, schedule.weekdays, order.length - head) : []),
+  ];
+  return order.map((s, i) => ({ ...s, date: dates[i] ?? null }));
+}
+
+/**
+ * Fin previsto: las sesiones que quedan desde la actual (incluida) repartidas en los
+ * próximos días de entrenamiento desde hoy (o desde el inicio, si aún no ha llegado).
+ */
+function projectedFinish(program, schedule, { week, dayId }, today = todayISO()) {
+  const order = programSessionOrder(program);
+  const idx = Math.max(0, sessionIndexOf(order, { week, dayId }));
+  const start = schedule.resume?.date ?? schedule.startDate;
+  const dates = trainingDates(today > start ? today : start, schedule.weekdays, order.length - idx);
+  return dates[dates.length - 1] ?? null;
+}
+
+// -----------------------------
+// Missed sessions
+// -----------------------------
+
+/** Reducción de reentrada según los días sin entrenar (de mayor a menor). */
+const LAYOFF_LEVELS = [
+  { minDays: 28, label: "Parón largo", repsFactor: 0.7, setsDelta: -1, sessions: 4 },
+  { minDays: 14, label: "Parón", repsFactor: 0.8, setsDelta: -1, sessions: 3 },
+  { minDays: 7, label: "Semana sin entrenar", repsFactor: 0.9, setsDelta: 0, sessions: 2 },
+];
+/** A partir de aquí se ofrece repetir la semana anterior. */
+const LONG_BREAK_DAYS = 14;
+
+const daysBetween = (from, to) => Math.round((fromISODate(to) - fromISODate(from)) / 86400000);
+
+/**
+ * Sesiones perdidas: las del calendario desde la actual cuya fecha ya pasó.
+ * gapDays cuenta desde el último registro (o desde la primera sesión perdida) y
+ * decide el nivel de reentrada (layoff). logs va de más reciente a más antiguo.
+ */
+function detectMissedSessions({ scheduleDates, logs, position, today = todayISO() }) {
+  const idx = sessionIndexOf(scheduleDates, position);
+  const missed = idx < 0 ? [] : scheduleDates.slice(idx).filter((s) => s.date && s.date < today);
+  const lastDate = logs.map((L) => L.date).filter(Boolean).sort().pop() ?? missed[0]?.date ?? null;
+  const gapDays = lastDate ? Math.max(0, daysBetween(lastDate, today)) : 0;
+  const layoff = LAYOFF_LEVELS.find((l) => gapDays >= l.minDays) ?? null;
+  return { missed, gapDays, layoff };
+}
+
+/**
+ * Junta en una sesión los ejercicios de otra que se perdió (los que no tenga ya,
+ * grupos enteros), con una serie menos, antes de la vuelta a la calma.
+ */
+function mergeMissedSession(session, missed) {
+  const have = new Set(session.items.map((it) => it.exerciseId));
+  const extra = missed.items
+    .filter((it) => it.type !== "block" && !groupMembers(missed.items, it).some((m) => have.has(m.exerciseId)))
+    .map((it) => ({
+      ...it,
+      id: `${missed.id}-${it.id}`,
+      sets: Math.max(1, it.sets - 1),
+      mergedFrom: missed.id,
+      ...(it.group ? { group: { ...it.group, id: `${missed.id}-${it.group.id}` } } : {}),
+    }));
+  return { ...session, items: insertBeforeTrailingBlocks(session.items, extra) };
+}
+
+/**
+ * Marca los ejercicios que van con objetivos de reentrada tras un parón. La rebaja
+ * se aplica sobre el objetivo resuelto (personalizado o del plan) con reentryTarget.
+ */
+function withReentry(items) {
+  return items.map((it) => (it.type === "block" ? it : { ...it, reentry: true }));
+}
+
+/** Objetivo rebajado para volver tras un parón: reentry = { repsFactor, setsDelta }. */
+function reentryTarget(t, reentry) {
+  return {
+    sets: Math.max(1, t.sets + reentry.setsDelta),
+    reps: t.reps == null ? t.reps : Math.max(1, Math.round(t.reps * reentry.repsFactor)),
+  };
+}
+
+// -----------------------------
+// Pain tracking
+// -----------------------------
+
+/** Zonas del mapa corporal y grupos musculares que las cargan. */
+const PAIN_REGIONS = {
+  shoulder: { key: "shoulder", label: "Hombro", muscleGroups: ["push", "pull", "shoulders"] },
+  elbow: { key: "elbow", label: "Codo/brazo", muscleGroups: ["push", "pull"] },
+  wrist: { key: "wrist", label: "Muñeca", muscleGroups: ["push"] },
+  chest: { key: "chest", label: "Pecho/espalda alta", muscleGroups: ["push", "pull"] },
+  lowBack: { key: "lowBack", label: "Lumbar/abdomen", muscleGroups: ["core", "glutes"] },
+  hip: { key: "hip", label: "Cadera", muscleGroups: ["glutes", "legs"] },
+  knee: { key: "knee", label: "Rodilla", muscleGroups: ["legs"] },
+  ankle: { key: "ankle", label: "Tobillo/gemelo", muscleGroups: ["calves", "legs"] },
+};
+
+const PAIN_TYPES = {
+  ache: { key: "ache", label: "Molestia sorda" },
+  sharp: { key: "sharp", label: "Pinchazo" },
+  burning: { key: "burning", label: "Quemazón" },
+  tingling: { key: "tingling", label: "Hormigueo" },
+  stiffness: { key: "stiffness", label: "Rigidez" },
+};
+
+const PAIN_WINDOW_DAYS = 7;
+const PAIN_REDUCE_AT = 4;
+const PAIN_BLOCK_AT = 7;
+const PAIN_REPS_FACTOR = 0.7;
+
+/**
+ * Entradas de dolor de un registro: las de la sesión (log.pain) y las de cada
+ * ejercicio (actual.pain), con la fecha del registro. Entrada = { region, intensity, type }.
+ */
+function logPainEntries(L) {
+  const own = (L.pain ?? []).map((e) => ({ ...e, date: L.date }));
+  const byItem = Object.entries(L.actualByItemId ?? {}).flatMap(([key, a]) =>
+    (a?.pain ?? []).map((e) => ({ ...e, date: L.date, exerciseId: loggedExerciseOf(L, key) }))
+  );
+  return [...own, ...byItem];
+}
+
+/**
+ * Evolución por zona (logs del más reciente al más antiguo): [{ region, entries }],
+ * con las zonas anotadas más recientemente primero.
+ */
+function painHistory(logs) {
+  const byRegion = {};
+  logs.forEach((L) => logPainEntries(L).forEach((e) => (byRegion[e.region] ??= []).push(e)));
+  return Object.entries(byRegion)
+    .map(([region, entries]) => ({ region, entries }))
+    .sort((a, b) => b.entries[0].date.localeCompare(a.entries[0].date));
+}
+
+/**
+ * Límites por dolor reciente. Por zona manda la última sesión de los últimos
+ * PAIN_WINDOW_DAYS días que la anotó (su máximo): desde PAIN_BLOCK_AT se pausan los
+ * ejercicios que la cargan, desde PAIN_REDUCE_AT se rebajan. Anotar menos dolor en
+ * una sesión posterior levanta el límite. `logs` va por fecha, el más reciente primero.
+ * Devuelve { [region]: { level: "block" | "reduce", intensity, date } }.
+ */
+function painRestrictions(logs, today = todayISO()) {
+  const out = {};
+  const seen = new Set();
+  for (const L of logs) {
+    if (daysBetween(L.date, today) > PAIN_WINDOW_DAYS) break;
+    const maxByRegion = {};
+    logPainEntries(L).forEach((e) => (maxByRegion[e.region] = Math.max(maxByRegion[e.region] ?? 0, e.intensity)));
+    Object.entries(maxByRegion).forEach(([region, intensity]) => {
+      if (seen.has(region)) return;
+      seen.add(region);
+      if (intensity >= PAIN_BLOCK_AT) out[region] = { level: "block", intensity, date: L.date };
+      else if (intensity >= PAIN_REDUCE_AT) out[region] = { level: "reduce", intensity, date: L.date };
+    });
+  }
+  return out;
+}
+
+/**
+ * Aplica los límites por dolor: pausa (skipped + painBlocked, fuera de su grupo para
+ * no bloquear las rondas del resto) o marca la rebaja (painLimited), que painTarget
+ * aplica sobre el objetivo resuelto.
+ */
+function withPainLimits(items, restrictions, library = exerciseLibrary) {
+  if (!Object.keys(restrictions).length) return items;
+  return items.map((it) => {
+    if (it.type === "block") return it;
+    const muscleGroup = library[it.exerciseId]?.muscleGroup;
+    const hits = Object.entries(restrictions).filter(([region]) =>
+      PAIN_REGIONS[region]?.muscleGroups.includes(muscleGroup)
+    );
+    if (!hits.length) return it;
+    const [region, r] = hits.find(([, x]) => x.level === "block") ?? hits[0];
+    if (r.level === "block") return { ...it, group: undefined, skipped: true, painBlocked: region };
+    return { ...it, painLimited: region };
+  });
+}
+
+/** Objetivo rebajado por dolor: una serie menos y reps × PAIN_REPS_FACTOR. */
+function painTarget(t) {
+  return {
+    sets: Math.max(1, t.sets - 1),
+    reps: t.reps == null ? t.reps : Math.max(1, Math.round(t.reps * PAIN_REPS_FACTOR)),
+  };
+}
+
+// -----------------------------
+// Fatigue / autoregulated deload
+// -----------------------------
+
+const FATIGUE_WINDOW = 6;
+
+/**
+ * Analiza los últimos registros (más reciente primero) buscando fatiga acumulada:
+ *  - score cayendo: media de las 3 últimas ≥ 10 puntos por debajo de las 3 anteriores
+ *  - RPE subiendo: +1 de media, o media reciente ≥ 8.5
+ *  - "Repite más fácil" en 2 de las 4 últimas sesiones
+ * Dos o más señales = fatiga alta. Una sesión en semana de descarga reinicia el análisis.
+ */
+function analyzeFatigue(recentLogs, isDeload) {
+  const recent = [];
+  for (const L of recentLogs.slice(0, FATIGUE_WINDOW)) {
+    if (isDeload(L.week)) break;
+    recent.push(L);
+  }
+  if (recent.length < 4) return { level: "ok", reasons: [] };
+
+  const last = recent.slice(0, 3);
+  const prev = recent.slice(3, 6);
+  const reasons = [];
+
+  const scoreDrop = mean(prev.map((L) => L.score ?? 0)) - mean(last.map((L) => L.score ?? 0));
+  if (scoreDrop >= 0.1) reasons.push(`Score bajando (−${Math.round(scoreDrop * 100)} puntos).`);
+
+  const rpeLast = mean(last.map((L) => L.rpe ?? 0));
+  const rpeRise = rpeLast - mean(prev.map((L) => L.rpe ?? 0));
+  if (rpeRise >= 1 || rpeLast >= 8.5) reasons.push(`RPE alto o en aumento (media ${rpeLast.toFixed(1)}).`);
+
+  const reduces = recent.slice(0, 4).filter((L) => L.recommendation === "reduce").length;
+  if (reduces >= 2) reasons.push(`${reduces} de las últimas 4 sesiones pidieron repetir más fácil.`);
+
+  const level = reasons.length >= 2 ? "high" : reasons.length === 1 ? "watch" : "ok";
+  return { level, reasons };
+}
+
+/**
+ * Semana en la que programar la descarga: la actual si aún no tiene sesiones, si no la siguiente.
+ */
+function deloadTargetWeek({ week, weeks, recentLogs }) {
+  const startedThisWeek = recentLogs.some((L) => L.week === week);
+  return startedThisWeek ? Math.min(weeks, week + 1) : week;
+}
+
+// -----------------------------
+// Unilateral (izquierda / derecha)
+// -----------------------------
+
+const ASYMMETRY_WINDOW = 5;
+const ASYMMETRY_THRESHOLD = 0.15;
+
+/** Items con unidad "…/lado": se registran reps por cada lado. */
+const isUnilateral = (item) => typeof item.unit === "string" && item.unit.endsWith("/lado");
+
+/**
+ * Proporción de reps cumplidas: en unilaterales, media de cada lado contra el objetivo.
+ * Con registro por series, media de la proporción de cada serie.
+ */
+function repsRatioOf(item, actual, targetReps) {
+  if (actual?.sets?.length) {
+    return mean(actual.sets.map((st) => repsRatioOf(item, { ...st, repsDone: st.reps }, targetReps)));
+  }
+  if (isUnilateral(item) && (actual?.repsLeft !== undefined || actual?.repsRight !== undefined)) {
+    const side = (v) => clamp(Math.max(0, Number(v ?? 0)) / targetReps, 0, 1);
+    return (side(actual.repsLeft) + side(actual.repsRight)) / 2;
+  }
+  return clamp(Math.max(0, Number(actual?.repsDone ?? 0)) / targetReps, 0, 1);
+}
+
+/**
+ * Asimetrías por ejercicio en los últimos registros (más reciente primero).
+ * asym = (derecha − izquierda) / lado mayor, por sesión. Se marca cuando la media
+ * de las últimas ASYMMETRY_WINDOW sesiones supera el umbral y el mismo lado
+ * queda por detrás en todas ellas.
+ */
+function analyzeAsymmetry(recentLogs) {
+  const byExercise = {};
+  recentLogs.forEach((L) => {
+    Object.entries(L.actualByItemId ?? {}).forEach(([key, a]) => {
+      if (a?.repsLeft === undefined || a?.repsRight === undefined) return;
+      const exerciseId = loggedExerciseOf(L, key);
+      const top = Math.max(a.repsLeft, a.repsRight);
+      if (!exerciseId || top === 0) return;
+      const list = (byExercise[exerciseId] ??= []);
+      if (list.length < ASYMMETRY_WINDOW) {
+        list.push({ date: L.date, left: a.repsLeft, right: a.repsRight, asym: (a.repsRight - a.repsLeft) / top });
+      }
+    });
+  });
+
+  return Object.entries(byExercise)
+    .map(([exerciseId, sessions]) => {
+      const meanAsym = mean(sessions.map((x) => x.asym));
+      const weaker = meanAsym < 0 ? "right" : "left";
+      const consistent = sessions.every((x) => (weaker === "left" ? x.asym > 0 : x.asym < 0));
+      return {
+        exerciseId,
+        sessions,
+        meanAsym,
+        weaker,
+        flagged: sessions.length >= 2 && consistent && Math.abs(meanAsym) >= ASYMMETRY_THRESHOLD,
+      };
+    })
+    .sort((a, b) => Math.abs(b.meanAsym) - Math.abs(a.meanAsym));
+}
+
+const SIDE_LABELS = { left: "izquierdo", right: "derecho" };
+
+// -----------------------------
+// Set logging
+// -----------------------------
+
+const RIR_OPTIONS = [0, 1, 2, 3, 4, 5];
+
+/**
+ * Series registradas: actual.sets = [{ reps, rir?, note? }] (reps son segundos o minutos
+ * en ejercicios por tiempo; en unilaterales, repsLeft/repsRight). Los resultados antiguos
+ * solo tienen setsDone/repsDone y se expanden a series iguales.
+ */
+function setsOf(actual) {
+  if (!actual) return [];
+  if (Array.isArray(actual.sets)) return actual.sets;
+  const n = Math.max(0, Number(actual.setsDone ?? 0));
+  const entry =
+    actual.repsLeft !== undefined || actual.repsRight !== undefined
+      ? { repsLeft: actual.repsLeft ?? 0, repsRight: actual.repsRight ?? 0 }
+      : { reps: Number(actual.repsDone ?? 0) };
+  return Array.from({ length: n }, () => ({ ...entry }));
+}
+
+/**
+ * Guarda las series y deriva los totales: setsDone, repsDone (media por serie, en
+ * unilaterales la del lado más débil) y repsLeft/repsRight. Así lo que solo mira
+ * totales (puntuación, sugerencias, escaleras, asimetrías) sigue funcionando.
+ */
+function withSets(actual, sets) {
+  const avg = (field) => (sets.length ? Math.round(mean(sets.map((st) => Number(st[field] ?? 0)))) : 0);
+  const next = { ...(actual ?? {}), sets, setsDone: sets.length };
+  if (sets.some((st) => st.repsLeft !== undefined || st.repsRight !== undefined)) {
+    next.repsLeft = avg("repsLeft");
+    next.repsRight = avg("repsRight");
+    next.repsDone = Math.min(next.repsLeft, next.repsRight);
+  } else {
+    next.repsDone = avg("reps");
+  }
+  return next;
+}
+
+/** Serie nueva: repite las reps de la anterior o, si no hay, las del objetivo. */
+function newSetEntry(item, targetReps, prev) {
+  if (isUnilateral(item)) {
+    return { repsLeft: prev?.repsLeft ?? targetReps ?? 0, repsRight: prev?.repsRight ?? targetReps ?? 0 };
+  }
+  return { reps: prev?.reps ?? targetReps ?? 0 };
+}
+
+/** Ajusta el número de series (rondas de un grupo) recortando o añadiendo al final. */
+function resizeSets(item, actual, count, targetReps) {
+  const sets = setsOf(actual).slice(0, count);
+  while (sets.length < count) sets.push(newSetEntry(item, targetReps, sets[sets.length - 1]));
+  return withSets(actual, sets);
+}
+
+/** "10", "8/7" (izq./der.), con "@2" si hay RIR. */
+function formatSet(st) {
+  const reps = st.repsLeft !== undefined || st.repsRight !== undefined ? `${st.repsLeft ?? 0}/${st.repsRight ?? 0}` : `${st.reps ?? 0}`;
+  return st.rir == null ? reps : `${reps}@${st.rir}`;
+}
+
+// -----------------------------
+// Visual helpers (muscle + exercise drawings)
+// -----------------------------
+
+const VISUAL_STEPS = {
+  warmup: [
+    { title: "Activa", text: "Movilidad suave: hombros y cadera. Sin dolor, sin prisa." },
+    { title: "Eleva temperatura", text: "Marcha suave o pasos en el sitio. Debes poder hablar." },
+    { title: "Listo", text: "1–2 repeticiones de prueba del primer ejercicio antes de empezar." },
+  ],
+  cooldown: [
+    { title: "Baja pulsaciones", text: "Respira 4s inhalar / 6s exhalar durante 60–90s." },
+    { title: "Suelta", text: "Estira suave pectoral y flexores de cadera. Sin rebotes." },
+    { title: "Cierra", text: "Termina con sensación de alivio, no de tensión." },
+  ],
+  inclinePushUp: [
+    { title: "Posición", text: "Manos en mesa/pared. Cuerpo en bloque: glúteos y abdomen activos." },
+    { title: "Baja", text: "Codos 30–45°. Pecho se acerca al apoyo, hombros lejos de orejas." },
+    { title: "Sube", text: "Empuja fuerte el suelo y vuelve a la línea recta sin arquear lumbar." },
+  ],
+  chairSquat: [
+    { title: "Coloca", text: "Pies a ancho de caderas. Pecho alto, mirada al frente." },
+    { title: "Siéntate controlado", text: "Cadera atrás y abajo. Rodillas siguen la línea de los pies." },
+    { title: "Levanta", text: "Empuja el suelo y sube. Pausa 1s arriba para controlar." },
+  ],
+  tableRow: [
+    { title: "Asegura", text: "Mesa estable. Agarre firme. Cuerpo en línea (no cuelgues la cadera)." },
+    { title: "Tira", text: "Pecho hacia la mesa. Escápulas atrás y abajo, cuello largo." },
+    { title: "Baja lento", text: "Controla la bajada sin perder la línea del cuerpo." },
+  ],
+  gluteBridge: [
+    { title: "Coloca", text: "Talones cerca de glúteos. Costillas abajo, cuello relajado." },
+    { title: "Empuja", text: "Sube la cadera empujando con talones, sin arquear la lumbar." },
+    { title: "Pausa", text: "1s arriba apretando glúteos. Baja lento y repite." },
+  ],
+  deadBug: [
+    { title: "Bloquea lumbar", text: "Lumbar pegada al suelo. Costillas abajo." },
+    { title: "Extiende", text: "Brazo y pierna contraria lento. No pierdas el control." },
+    { title: "Vuelve", text: "Regresa al centro manteniendo respiración fluida." },
+  ],
+  plank: [
+    { title: "Alinea", text: "Codos bajo hombros. Glúteos y abdomen firmes." },
+    { title: "Sostén", text: "Respira. Evita hundir cadera o elevarla." },
+    { title: "Termina estable", text: "Sales igual de alineado que entraste. Calidad > tiempo." },
+  ],
+  stepUp: [
+    { title: "Pie arriba", text: "Apoya todo el pie en el escalón. Tronco alto." },
+    { title: "Sube", text: "Empuja con la pierna de arriba. No te impulses con la de abajo." },
+    { title: "Baja controlado", text: "Desciende lento manteniendo rodilla alineada." },
+  ],
+  calfRaise: [
+    { title: "Base", text: "Postura alta. Apoyo en pared si hace falta." },
+    { title: "Sube", text: "Pausa arriba 1s. Siente gemelo trabajando." },
+    { title: "Baja", text: "Baja lento y completo. No rebotes." },
+  ],
+  scapularPushUp: [
+    { title: "Brazos rectos", text: "Manos al ancho hombros. Cuerpo en línea." },
+    { title: "Separa", text: "Empuja el suelo y separa escápulas sin doblar codos." },
+    { title: "Junta", text: "Deja que se acerquen controladas. Movimiento corto." },
+  ],
+  marchInPlace: [
+    { title: "Ritmo cómodo", text: "Marcha suave. Debes poder hablar sin jadear." },
+    { title: "Constante", text: "Brazos acompañan. Postura alta, hombros relajados." },
+    { title: "Cierra", text: "Termina con respiración tranquila, listo para estirar." },
+  ],
+  wallPushUp: [
+    { title: "Posición", text: "Manos en la pared a la altura del pecho. Un paso atrás, cuerpo recto." },
+    { title: "Baja", text: "Pecho hacia la pared con codos a 30–45°." },
+    { title: "Empuja", text: "Vuelve a la línea recta sin encoger hombros." },
+  ],
+  kneePushUp: [
+    { title: "Posición", text: "Rodillas apoyadas. Cadera alineada con hombros y rodillas." },
+    { title: "Baja", text: "Pecho casi al suelo, codos sin abrir en cruz." },
+    { title: "Sube", text: "Empuja el suelo manteniendo el abdomen firme." },
+  ],
+  pushUp: [
+    { title: "Plancha alta", text: "Manos bajo hombros. Glúteos y abdomen activos." },
+    { title: "Baja", text: "Pecho casi al suelo, cuerpo en bloque." },
+    { title: "Sube", text: "Empuja fuerte sin hundir la cadera." },
+  ],
+  declinePushUp: [
+    { title: "Pies arriba", text: "Pies en silla estable, manos en el suelo." },
+    { title: "Baja", text: "Controla la bajada sin colgar la lumbar." },
+    { title: "Sube", text: "Empuja manteniendo el cuerpo en línea." },
+  ],
+  freeSquat: [
+    { title: "Coloca", text: "Pies a ancho de caderas, pecho alto." },
+    { title: "Baja", text: "Cadera atrás y abajo con la espalda neutra." },
+    { title: "Sube", text: "Empuja el suelo con todo el pie." },
+  ],
+  splitSquat: [
+    { title: "Zancada fija", text: "Un pie delante, otro detrás. Tronco alto." },
+    { title: "Baja", text: "En vertical, rodilla de atrás hacia el suelo." },
+    { title: "Sube", text: "Empuja con la pierna de delante. Cambia de lado al terminar." },
+  ],
+  boxPistol: [
+    { title: "Una pierna", text: "Frente a la silla, la otra pierna estirada delante." },
+    { title: "Siéntate", text: "Baja controlado hasta tocar la silla." },
+    { title: "Levanta", text: "Sube sin balanceo, rodilla alineada." },
+  ],
+  pistolSquat: [
+    { title: "Equilibrio", text: "Brazos al frente, pierna libre estirada." },
+    { title: "Baja completo", text: "Talón apoyado, espalda lo más neutra posible." },
+    { title: "Sube", text: "Empuja sin que la rodilla se vaya hacia dentro." },
+  ],
+  singleLegGluteBridge: [
+    { title: "Coloca", text: "Un pie apoyado cerca del glúteo, la otra pierna arriba." },
+    { title: "Empuja", text: "Sube la cadera sin que se incline a un lado." },
+    { title: "Pausa", text: "1s arriba y baja lento." },
+  ],
+  singleLegCalfRaise: [
+    { title: "Base", text: "Sobre un pie, apoyo ligero en pared." },
+    { title: "Sube", text: "Hasta la punta, pausa 1s." },
+    { title: "Baja", text: "Lento y completo, sin rebotar." },
+  ],
+  deadHang: [
+    { title: "Agarra", text: "Manos a ancho de hombros, sube con ayuda de una silla." },
+    { title: "Cuelga", text: "Hombros activos, cuerpo quieto." },
+    { title: "Baja", text: "Apoya los pies antes de soltar la barra." },
+  ],
+  pullUp: [
+    { title: "Cuelga", text: "Brazos estirados, hombros lejos de las orejas." },
+    { title: "Tira", text: "Codos hacia las costillas hasta pasar la barbilla." },
+    { title: "Baja", text: "Controlado hasta estirar del todo." },
+  ],
+  wallPlankHold: [
+    { title: "Coloca", text: "Manos en el suelo, sube los pies por la pared." },
+    { title: "Empuja", text: "Brazos bloqueados, hombros hacia arriba." },
+    { title: "Sal", text: "Baja los pies de uno en uno." },
+  ],
+  chestToWallHandstand: [
+    { title: "Sube", text: "Camina con los pies por la pared mirando hacia ella." },
+    { title: "Alinea", text: "Manos cerca de la pared, cuerpo recto y glúteos firmes." },
+    { title: "Sal", text: "Baja caminando o gira hacia un lado." },
+  ],
+  freeHandstand: [
+    { title: "Entra", text: "Patada suave a pino con una pierna y luego la otra." },
+    { title: "Equilibra", text: "Corrige con los dedos, cuerpo en línea." },
+    { title: "Sal", text: "Gira o baja en voltereta controlada." },
+  ],
+  tuckSupportHold: [
+    { title: "Apoya", text: "Manos en las sillas, brazos estirados." },
+    { title: "Recoge", text: "Despega los pies y sube las rodillas." },
+    { title: "Aguanta", text: "Hombros abajo, respira." },
+  ],
+  oneLegLSit: [
+    { title: "Recoge", text: "Empieza en soporte con rodillas al pecho." },
+    { title: "Estira", text: "Una pierna al frente, rodilla bloqueada." },
+    { title: "Cambia", text: "Alterna la pierna en cada serie." },
+  ],
+  lSit: [
+    { title: "Apoya", text: "Brazos bloqueados, hombros abajo." },
+    { title: "Estira", text: "Piernas juntas al frente a la altura de la cadera." },
+    { title: "Aguanta", text: "Aprieta cuádriceps y respira." },
+  ],
+};
+
+function getVisualSteps(ex) {
+  if (ex.visualSteps?.length) return ex.visualSteps;
+  return VISUAL_STEPS[ex.id] ?? [
+    { title: "Coloca", text: "Ajusta postura: estable y sin dolor." },
+    { title: "Ejecuta", text: "Movimiento controlado, sin rebotes." },
+    { title: "Finaliza", text: "Vuelve a neutro con control." },
+  ];
+}
+
+
+/** Silueta compartida por el icono de grupo muscular y el mapa corporal. */
+function BodyOutline() {
+  return (
+    <g fill="none" stroke="currentColor" strokeWidth="3" opacity="0.6">
+      <circle cx="60" cy="18" r="10" />
+      <path d="M45 34 Q60 28 75 34" />
+      <path d="M40 38 Q60 46 80 38" />
+      <path d="M45 40 Q60 55 75 40" />
+      <path d="M45 40 L40 66" />
+      <path d="M75 40 L80 66" />
+      <path d="M50 58 L50 92" />
+      <path d="M70 58 L70 92" />
+    </g>
+  );
+}
+
+/** Formas de cada zona de PAIN_REGIONS sobre la silueta: c = círculo, r = rectángulo, d = trazo. */
+const PAIN_REGION_SHAPES = {
+  shoulder: [{ c: [44, 41, 7] }, { c: [76, 41, 7] }],
+  elbow: [{ d: "M40 44 L35 65 L43 67 L46 46 Z" }, { d: "M80 44 L85 65 L77 67 L74 46 Z" }],
+  wrist: [{ c: [39, 69, 4] }, { c: [81, 69, 4] }],
+  chest: [{ d: "M46 40 Q60 48 74 40 Q60 58 46 40" }],
+  lowBack: [{ r: [52, 50, 16, 22] }],
+  hip: [{ d: "M50 72 Q60 80 70 72 Q60 90 50 72" }],
+  knee: [{ c: [51, 89, 5] }, { c: [69, 89, 5] }],
+  ankle: [{ r: [46, 96, 10, 12] }, { r: [64, 96, 10, 12] }],
+};
+
+/**
+ * Mapa corporal sobre la silueta de MuscleIcon: cada zona se oscurece según la
+ * intensidad anotada y se elige tocándola.
+ */
+function BodyMap({ entries, selected, onPick }) {
+  const intensityOf = (region) => Math.max(-1, ...entries.filter((e) => e.region === region).map((e) => e.intensity));
+  return (
+    <svg viewBox="20 0 80 120" className="h-48 w-32 text-zinc-900" aria-label="Mapa corporal">
+      <BodyOutline />
+      {Object.entries(PAIN_REGION_SHAPES).map(([region, shapes]) => {
+        const v = intensityOf(region);
+        const opacity = region === selected ? 0.9 : v >= 0 ? 0.3 + v * 0.05 : 0.12;
+        return (
+          <g
+            key={region}
+            fill={v >= PAIN_REDUCE_AT ? "#e11d48" : "currentColor"}
+            opacity={opacity}
+            className="cursor-pointer"
+            role="button"
+            aria-label={PAIN_REGIONS[region].label}
+            onClick={() => onPick(region)}
+          >
+            <title>{PAIN_REGIONS[region].label}</title>
+            {shapes.map((sh, i) =>
+              sh.c ? (
+                <circle key={i} cx={sh.c[0]} cy={sh.c[1]} r={sh.c[2]} />
+              ) : sh.r ? (
+                <rect key={i} x={sh.r[0]} y={sh.r[1]} width={sh.r[2]} height={sh.r[3]} rx="5" />
+              ) : (
+                <path key={i} d={sh.d} />
+              )
+            )}
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+/**
+ * Dolor o molestia: zona en el mapa corporal, intensidad 0–10 y tipo. Tocar una
+ * zona sin entrada la añade; anotar 0 después de un dolor levanta sus límites.
+ */
+function PainLog({ entries = [], onChange }) {
+  const [region, setRegion] = useState(entries[0]?.region ?? null);
+  const current = entries.find((e) => e.region === region) ?? null;
+  const update = (patch) => onChange(entries.map((e) => (e.region === region ? { ...e, ...patch } : e)));
+
+  function pick(key) {
+    setRegion(key);
+    if (!entries.some((e) => e.region === key)) onChange([...entries, { region: key, intensity: 3, type: "ache" }]);
+  }
+
+  return (
+    <div className="flex flex-wrap items-start gap-3">
+      <BodyMap entries={entries} selected={region} onPick={pick} />
+      <div className="min-w-0 flex-1 space-y-2">
+        {current ? (
+          <div className="space-y-2 rounded-xl border border-zinc-200 p-2">
+            <div className="flex items-center justify-between gap-2">
+              <div className="text-sm font-semibold text-zinc-900">{PAIN_REGIONS[current.region]?.label}</div>
+              <button
+                className="rounded-lg p-2 text-zinc-500 hover:bg-zinc-100 hover:text-rose-700"
+                onClick={() => {
+                  onChange(entries.filter((e) => e.region !== region));
+                  setRegion(null);
+                }}
+                aria-label="Quitar zona"
+              >
+                <Trash2 className="h-4 w-4" />
+              </button>
+            </div>
+            <div className="flex items-center justify-between gap-2">
+              <div className="text-xs font-semibold text-zinc-600">Intensidad</div>
+              <Stepper value={current.intensity} min={0} max={10} onChange={(v) => update({ intensity: v })} />
+            </div>
+            <select
+              value={current.type}
+              onChange={(e) => update({ type: e.target.value })}
+              className="w-full rounded-xl border border-zinc-200 bg-white px-2 py-2 text-sm text-zinc-900"
+            >
+              {Object.values(PAIN_TYPES).map((t) => (
+                <option key={t.key} value={t.key}>
+                  {t.label}
+                </option>
+              ))}
+            </select>
+          </div>
+        ) : (
+          <div className="text-xs text-zinc-500">Toca la zona donde notas dolor o molestia.</div>
+        )}
+        {entries.length ? (
+          <div className="flex flex-wrap gap-2">
+            {entries.map((e) => (
+              <button key={e.region} onClick={() => setRegion(e.region)}>
+                <Pill tone={e.intensity >= PAIN_BLOCK_AT ? "bad" : e.intensity >= PAIN_REDUCE_AT ? "warn" : "neutral"}>
+                  {PAIN_REGIONS[e.region]?.label} {e.intensity}/10
+                </Pill>
+              </button>
+            ))}
+          </div>
+        ) : null}
+      </div>
+    </div>
+  );
+}
+
+function MuscleIcon({ group, className = "" }) {
+  // Minimalist silhouette + highlight by group (grayscale)
+  const g = group ?? "core";
+  const hi = {
+    push: { chest: 0.9, arms: 0.7 },
+    pull: { back: 0.9, arms: 0.6 },
+    legs: { legs: 0.9 },
+    glutes: { glutes: 0.9 },
+    core: { core: 0.9 },
+    calves: { calves: 0.9 },
+    shoulders: { shoulders: 0.9 },
+    cardio: { full: 0.5 },
+    warmup: { full: 0.4 },
+    cooldown: { full: 0.25 },
+  };
+  const h = hi[g] ?? hi.core;
+
+  const dim = (v) => (v ? v : 0.12);
+
+  return (
+    <svg
+      viewBox="0 0 120 120"
+      className={`h-9 w-9 ${className}`}
+      aria-label="Grupo muscular"
+    >
+      <BodyOutline />
+
+      {/* Highlights (filled) */}
+      <g fill="currentColor">
+        {/* Chest */}
+        <path
+          d="M46 40 Q60 48 74 40 Q60 58 46 40"
+          opacity={dim(h.chest)}
+        />
+        {/* Back */}
+        <path
+          d="M44 42 Q60 50 76 42 Q60 70 44 42"
+          opacity={dim(h.back)}
+        />
+        {/* Shoulders */}
+        <circle cx="44" cy="41" r="7" opacity={dim(h.shoulders)} />
+        <circle cx="76" cy="41" r="7" opacity={dim(h.shoulders)} />
+        {/* Arms */}
+        <path d="M40 44 L35 65 L43 67 L46 46 Z" opacity={dim(h.arms)} />
+        <path d="M80 44 L85 65 L77 67 L74 46 Z" opacity={dim(h.arms)} />
+        {/* Core */}
+        <rect x="52" y="50" width="16" height="22" rx="6" opacity={dim(h.core)} />
+        {/* Glutes */}
+        <path
+          d="M50 72 Q60 80 70 72 Q60 90 50 72"
+          opacity={dim(h.glutes)}
+        />
+        {/* Legs */}
+        <rect x="46" y="82" width="10" height="26" rx="5" opacity={dim(h.legs)} />
+        <rect x="64" y="82" width="10" height="26" rx="5" opacity={dim(h.legs)} />
+        {/* Calves */}
+        <rect x="46" y="96" width="10" height="12" rx="5" opacity={dim(h.calves)} />
+        <rect x="64" y="96" width="10" height="12" rx="5" opacity={dim(h.calves)} />
+        {/* Full body */}
+        <rect x="36" y="32" width="48" height="78" rx="18" opacity={dim(h.full)} />
+      </g>
+    </svg>
+  );
+}
+
+function ExerciseIllustration({ exId, step = 0 }) {
+  // Minimal line-art per exercise (grayscale). No external assets.
+  const common = "stroke-current";
+
+  const overlay = (
+    <g>
+      <rect x="12" y="10" width="34" height="26" rx="10" fill="currentColor" opacity="0.12" />
+      <text
+        x="29"
+        y="28"
+        textAnchor="middle"
+        fontSize="14"
+        fontWeight="800"
+        fill="currentColor"
+      >
+        {step + 1}
+      </text>
+      {step === 1 ? (
+        <path
+          d="M72 30 C96 16 124 16 148 30"
+          fill="none"
+          stroke="currentColor"
+          strokeWidth="4"
+          strokeLinecap="round"
+          opacity="0.45"
+        />
+      ) : null}
+      {step === 2 ? (
+        <path
+          d="M160 28 l8 8 l16 -18"
+          fill="none"
+          stroke="currentColor"
+          strokeWidth="5"
+          strokeLinecap="round"
+          strokeLinejoin="round"
+          opacity="0.65"
+        />
+      ) : null}
+    </g>
+  );
+
+  const content = (() => {
     switch (exId) {
       case "inclinePushUp":
         return (
@@ -811,15 +3377,125 @@ function ExerciseIllustration({ exId, step = 0 }) {
             strokeLinejoin="round"
           >
             <path d="M20 110 H200" opacity="0.25" />
-            <path d="M150 55 H200 V110" opacity="0.35" />
-            <circle cx={step === 1 ? 74 : 70} cy={step === 1 ? 66 : 60} r="10" />
-            <path d={step === 1 ? "M84 74 L122 78 L150 70" : "M80 68 L120 72 L150 70"} />
-            <path d={step === 1 ? "M122 78 L112 104" : "M120 72 L110 102"} />
-            <path d={step === 1 ? "M150 70 L156 98" : "M150 70 L155 95"} />
-            <path d={step === 1 ? "M112 104 L82 108" : "M110 102 L80 108"} />
+            <path d="M150 55 H200 V110" opacity="0.35" />
+            <circle cx={step === 1 ? 74 : 70} cy={step === 1 ? 66 : 60} r="10" />
+            <path d={step === 1 ? "M84 74 L122 78 L150 70" : "M80 68 L120 72 L150 70"} />
+            <path d={step === 1 ? "M122 78 L112 104" : "M120 72 L110 102"} />
+            <path d={step === 1 ? "M150 70 L156 98" : "M150 70 L155 95"} />
+            <path d={step === 1 ? "M112 104 L82 108" : "M110 102 L80 108"} />
+          </g>
+        );
+      case "chairSquat":
+        return (
+          <g
+            fill="none"
+            className={common}
+            strokeWidth="4"
+            strokeLinecap="round"
+            strokeLinejoin="round"
+          >
+            <path d="M20 110 H200" opacity="0.25" />
+            <path d="M150 62 H190 V110" opacity="0.35" />
+            <path d="M150 62 V110" opacity="0.35" />
+            <path d="M150 72 H190" opacity="0.35" />
+            <circle cx="80" cy={step === 1 ? 50 : 42} r="10" />
+            <path d={step === 1 ? "M80 60 L92 82 L104 98" : "M80 52 L88 74 L98 94"} />
+            <path d={step === 1 ? "M92 82 L70 92" : "M88 74 L68 86"} />
+            <path d={step === 1 ? "M104 98 L84 110" : "M98 94 L80 108"} />
+            <path d={step === 1 ? "M70 92 L62 110" : "M68 86 L60 108"} />
+          </g>
+        );
+      case "tableRow":
+        return (
+          <g
+            fill="none"
+            className={common}
+            strokeWidth="4"
+            strokeLinecap="round"
+            strokeLinejoin="round"
+          >
+            <path d="M40 45 H180" opacity="0.35" />
+            <path d="M50 45 V115" opacity="0.35" />
+            <path d="M170 45 V115" opacity="0.35" />
+            <path d="M20 115 H200" opacity="0.25" />
+            <circle cx={step === 1 ? 98 : 90} cy={step === 1 ? 74 : 80} r="9" />
+            <path d={step === 1 ? "M106 79 L136 72 L160 70" : "M98 85 L130 78 L160 70"} />
+            <path d={step === 1 ? "M136 72 L122 98" : "M130 78 L118 102"} />
+            <path d={step === 1 ? "M122 98 L96 110" : "M118 102 L90 110"} />
+          </g>
+        );
+      case "gluteBridge":
+        return (
+          <g
+            fill="none"
+            className={common}
+            strokeWidth="4"
+            strokeLinecap="round"
+            strokeLinejoin="round"
+          >
+            <path d="M20 110 H200" opacity="0.25" />
+            <circle cx="60" cy="82" r="9" />
+            <path d={step === 1 ? "M68 86 L110 66 L150 86" : "M68 86 L110 76 L150 86"} />
+            <path d={step === 1 ? "M110 66 L122 98" : "M110 76 L120 102"} />
+            <path d="M150 86 L160 110" />
+            <path d="M122 98 L92 110" />
+            <path d="M92 110 H60" />
+          </g>
+        );
+      case "deadBug":
+        return (
+          <g
+            fill="none"
+            className={common}
+            strokeWidth="4"
+            strokeLinecap="round"
+            strokeLinejoin="round"
+          >
+            <path d="M20 115 H200" opacity="0.25" />
+            <circle cx="70" cy="85" r="9" />
+            <path d="M78 90 L120 90" />
+            <path d={step === 1 ? "M95 90 L70 62" : "M95 90 L80 65"} />
+            <path d={step === 1 ? "M115 90 L150 64" : "M115 90 L140 70"} />
+            <path d={step === 1 ? "M105 90 L75 112" : "M105 90 L85 112"} />
+            <path d={step === 1 ? "M120 90 L160 112" : "M120 90 L150 112"} />
+          </g>
+        );
+      case "plank":
+        return (
+          <g
+            fill="none"
+            className={common}
+            strokeWidth="4"
+            strokeLinecap="round"
+            strokeLinejoin="round"
+          >
+            <path d="M20 110 H200" opacity="0.25" />
+            <circle cx={step === 1 ? 62 : 60} cy={step === 1 ? 74 : 70} r="9" />
+            <path d={step === 1 ? "M70 79 L140 84" : "M68 75 L140 80"} />
+            <path d="M90 78 L85 105" />
+            <path d="M140 80 L150 108" />
+            <path d="M85 105 L60 110" />
+          </g>
+        );
+      case "stepUp":
+        return (
+          <g
+            fill="none"
+            className={common}
+            strokeWidth="4"
+            strokeLinecap="round"
+            strokeLinejoin="round"
+          >
+            <path d="M20 110 H200" opacity="0.25" />
+            <path d="M130 90 H180 V110 H130 Z" opacity="0.35" />
+            <circle cx="70" cy={step === 1 ? 40 : 45} r="9" />
+            <path d={step === 1 ? "M70 50 L82 72 L102 90" : "M70 54 L78 76 L92 95"} />
+            <path d={step === 1 ? "M82 72 L64 88" : "M78 76 L60 90"} />
+            <path d={step === 1 ? "M102 90 L136 90" : "M92 95 L130 95"} />
+            <path d={step === 1 ? "M64 88 L56 110" : "M60 90 L55 110"} />
           </g>
         );
-      case "chairSquat":
+      case "calfRaise":
         return (
           <g
             fill="none"
@@ -829,17 +3505,15 @@ function ExerciseIllustration({ exId, step = 0 }) {
             strokeLinejoin="round"
           >
             <path d="M20 110 H200" opacity="0.25" />
-            <path d="M150 62 H190 V110" opacity="0.35" />
-            <path d="M150 62 V110" opacity="0.35" />
-            <path d="M150 72 H190" opacity="0.35" />
-            <circle cx="80" cy={step === 1 ? 50 : 42} r="10" />
-            <path d={step === 1 ? "M80 60 L92 82 L104 98" : "M80 52 L88 74 L98 94"} />
-            <path d={step === 1 ? "M92 82 L70 92" : "M88 74 L68 86"} />
-            <path d={step === 1 ? "M104 98 L84 110" : "M98 94 L80 108"} />
-            <path d={step === 1 ? "M70 92 L62 110" : "M68 86 L60 108"} />
+            <circle cx="90" cy={step === 1 ? 42 : 45} r="9" />
+            <path d={step === 1 ? "M90 51 L90 84" : "M90 54 L90 85"} />
+            <path d="M90 70 L70 80" />
+            <path d={step === 1 ? "M90 84 L78 108" : "M90 85 L75 110"} />
+            <path d={step === 1 ? "M90 84 L108 108" : "M90 85 L105 110"} />
+            <path d="M75 110 Q82 100 90 110" />
           </g>
         );
-      case "tableRow":
+      case "scapularPushUp":
         return (
           <g
             fill="none"
@@ -848,17 +3522,19 @@ function ExerciseIllustration({ exId, step = 0 }) {
             strokeLinecap="round"
             strokeLinejoin="round"
           >
-            <path d="M40 45 H180" opacity="0.35" />
-            <path d="M50 45 V115" opacity="0.35" />
-            <path d="M170 45 V115" opacity="0.35" />
-            <path d="M20 115 H200" opacity="0.25" />
-            <circle cx={step === 1 ? 98 : 90} cy={step === 1 ? 74 : 80} r="9" />
-            <path d={step === 1 ? "M106 79 L136 72 L160 70" : "M98 85 L130 78 L160 70"} />
-            <path d={step === 1 ? "M136 72 L122 98" : "M130 78 L118 102"} />
-            <path d={step === 1 ? "M122 98 L96 110" : "M118 102 L90 110"} />
+            <path d="M20 110 H200" opacity="0.25" />
+            <circle cx="60" cy="70" r="9" />
+            <path d="M68 75 L140 80" />
+            <path d="M90 78 L85 105" />
+            <path d="M140 80 L150 108" />
+            <path d="M85 105 L60 110" />
+            <path
+              d={step === 1 ? "M98 70 Q112 60 126 70" : "M98 70 Q110 65 122 70"}
+              opacity="0.6"
+            />
           </g>
         );
-      case "gluteBridge":
+      case "marchInPlace":
         return (
           <g
             fill="none"
@@ -868,15 +3544,17 @@ function ExerciseIllustration({ exId, step = 0 }) {
             strokeLinejoin="round"
           >
             <path d="M20 110 H200" opacity="0.25" />
-            <circle cx="60" cy="82" r="9" />
-            <path d={step === 1 ? "M68 86 L110 66 L150 86" : "M68 86 L110 76 L150 86"} />
-            <path d={step === 1 ? "M110 66 L122 98" : "M110 76 L120 102"} />
-            <path d="M150 86 L160 110" />
-            <path d="M122 98 L92 110" />
-            <path d="M92 110 H60" />
+            <circle cx={step === 1 ? 100 : 95} cy={step === 1 ? 40 : 42} r="9" />
+            <path d={step === 1 ? "M100 50 L104 78" : "M95 52 L98 78"} />
+            <path d={step === 1 ? "M104 66 L84 76" : "M98 66 L78 76"} />
+            <path d={step === 1 ? "M104 66 L124 76" : "M98 66 L118 76"} />
+            <path d={step === 1 ? "M104 78 L88 98" : "M98 78 L85 100"} />
+            <path d={step === 1 ? "M104 78 L128 94" : "M98 78 L120 92"} />
+            <path d="M88 98 L80 110" />
+            <path d="M128 94 L136 110" />
           </g>
         );
-      case "deadBug":
+      case "warmup":
         return (
           <g
             fill="none"
@@ -885,16 +3563,36 @@ function ExerciseIllustration({ exId, step = 0 }) {
             strokeLinecap="round"
             strokeLinejoin="round"
           >
-            <path d="M20 115 H200" opacity="0.25" />
-            <circle cx="70" cy="85" r="9" />
-            <path d="M78 90 L120 90" />
-            <path d={step === 1 ? "M95 90 L70 62" : "M95 90 L80 65"} />
-            <path d={step === 1 ? "M115 90 L150 64" : "M115 90 L140 70"} />
-            <path d={step === 1 ? "M105 90 L75 112" : "M105 90 L85 112"} />
-            <path d={step === 1 ? "M120 90 L160 112" : "M120 90 L150 112"} />
+            <path d="M20 110 H200" opacity="0.25" />
+            <circle cx="95" cy="42" r="9" />
+            <path d="M95 52 L95 80" />
+            <path d="M95 62 L70 65" />
+            <path d="M95 62 L120 65" />
+            <path d="M95 80 L80 110" />
+            <path d="M95 80 L110 110" />
+            <path d="M55 45 Q40 60 55 75" opacity={step === 1 ? 0.75 : 0.5} />
+            <path d="M135 45 Q150 60 135 75" opacity={step === 1 ? 0.75 : 0.5} />
           </g>
         );
-      case "plank":
+      case "cooldown":
+        return (
+          <g
+            fill="none"
+            className={common}
+            strokeWidth="4"
+            strokeLinecap="round"
+            strokeLinejoin="round"
+          >
+            <path d="M20 110 H200" opacity="0.25" />
+            <circle cx="85" cy="55" r="9" />
+            <path d="M85 65 L105 82" />
+            <path d="M105 82 L140 90" />
+            <path d="M105 82 L98 108" />
+            <path d="M140 90 L160 110" />
+            <path d="M55 70 Q65 60 75 70" opacity={step === 1 ? 0.75 : 0.5} />
+          </g>
+        );
+      default:
         return (
           <g
             fill="none"
@@ -903,361 +3601,1855 @@ function ExerciseIllustration({ exId, step = 0 }) {
             strokeLinecap="round"
             strokeLinejoin="round"
           >
-            <path d="M20 110 H200" opacity="0.25" />
-            <circle cx={step === 1 ? 62 : 60} cy={step === 1 ? 74 : 70} r="9" />
-            <path d={step === 1 ? "M70 79 L140 84" : "M68 75 L140 80"} />
-            <path d="M90 78 L85 105" />
-            <path d="M140 80 L150 108" />
-            <path d="M85 105 L60 110" />
-          </g>
-        );
-      case "stepUp":
-        return (
-          <g
-            fill="none"
-            className={common}
-            strokeWidth="4"
-            strokeLinecap="round"
-            strokeLinejoin="round"
+            <path d="M20 110 H200" opacity="0.25" />
+            <circle cx="70" cy="60" r="10" />
+            <path d="M80 70 L140 85" />
+            <path d="M100 80 L90 110" />
+          </g>
+        );
+    }
+  })();
+
+  return (
+    <svg
+      viewBox="0 0 220 140"
+      className="h-40 w-full text-zinc-900"
+      aria-label="Ilustración del ejercicio"
+    >
+      {content}
+      {overlay}
+    </svg>
+  );
+}
+
+// -----------------------------
+// UI Components
+// -----------------------------
+
+function Pill({ children, tone = "neutral" }) {
+  const map = {
+    neutral: "bg-zinc-100 text-zinc-800 border-zinc-200",
+    good: "bg-emerald-50 text-emerald-800 border-emerald-200",
+    warn: "bg-amber-50 text-amber-900 border-amber-200",
+    bad: "bg-rose-50 text-rose-800 border-rose-200",
+  };
+  return (
+    <span
+      className={`inline-flex items-center gap-2 rounded-full border px-3 py-1 text-xs font-medium ${
+        map[tone] ?? map.neutral
+      }`}
+    >
+      {children}
+    </span>
+  );
+}
+
+function Stepper({ value, onChange, min = 0, max = 999 }) {
+  return (
+    <div className="inline-flex items-center rounded-xl border border-zinc-200 bg-white shadow-sm">
+      <button
+        className="p-2 active:scale-[0.98]"
+        onClick={() => onChange(clamp(value - 1, min, max))}
+        aria-label="Disminuir"
+      >
+        <Minus className="h-4 w-4" />
+      </button>
+      <div className="min-w-[40px] px-2 text-center text-sm font-semibold tabular-nums">
+        {value}
+      </div>
+      <button
+        className="p-2 active:scale-[0.98]"
+        onClick={() => onChange(clamp(value + 1, min, max))}
+        aria-label="Aumentar"
+      >
+        <Plus className="h-4 w-4" />
+      </button>
+    </div>
+  );
+}
+
+function Card({ title, icon: Icon, right, children }) {
+  return (
+    <div className="rounded-2xl border border-zinc-200 bg-white p-4 shadow-sm">
+      <div className="mb-3 flex items-start justify-between gap-3">
+        <div className="flex items-center gap-2">
+          {Icon ? (
+            <div className="grid h-9 w-9 place-items-center rounded-xl bg-zinc-100">
+              <Icon className="h-5 w-5" />
+            </div>
+          ) : null}
+          <div>
+            <div className="text-sm font-semibold text-zinc-900">{title}</div>
+          </div>
+        </div>
+        {right}
+      </div>
+      {children}
+    </div>
+  );
+}
+
+function SmallButton({ onClick, children, tone = "neutral", className = "", disabled = false }) {
+  const map = {
+    neutral:
+      "border-zinc-200 bg-white text-zinc-900 hover:bg-zinc-50 active:bg-zinc-100",
+    primary:
+      "border-zinc-900 bg-zinc-900 text-white hover:bg-zinc-800 active:bg-zinc-700",
+    ghost: "border-transparent bg-transparent text-zinc-900 hover:bg-zinc-100",
+  };
+  return (
+    <button
+      onClick={onClick}
+      disabled={disabled}
+      className={`rounded-xl border px-3 py-2 text-sm font-semibold shadow-sm active:scale-[0.99] ${
+        map[tone] ?? map.neutral
+      } ${disabled ? "opacity-50 pointer-events-none" : ""} ${className}`}
+    >
+      {children}
+    </button>
+  );
+}
+
+function Toggle({ checked, onChange, label }) {
+  return (
+    <button
+      onClick={() => onChange(!checked)}
+      className="flex w-full items-center justify-between rounded-2xl border border-zinc-200 bg-white px-4 py-3 shadow-sm"
+    >
+      <div className="text-sm font-semibold text-zinc-900">{label}</div>
+      <div
+        className={`relative h-7 w-12 rounded-full border transition-colors ${
+          checked ? "bg-zinc-900 border-zinc-900" : "bg-zinc-100 border-zinc-200"
+        }`}
+      >
+        <div
+          className={`absolute top-1 h-5 w-5 rounded-full bg-white shadow transition-transform ${
+            checked ? "translate-x-6" : "translate-x-1"
+          }`}
+        />
+      </div>
+    </button>
+  );
+}
+
+function TopBar({
+  programTitle,
+  week,
+  weeks,
+  day,
+  onPrevWeek,
+  onNextWeek,
+  onOpenHistory,
+  onOpenSkills,
+  onOpenProgram,
+}) {
+  return (
+    <div className="sticky top-0 z-20 border-b border-zinc-200 bg-white/90 backdrop-blur">
+      <div className="mx-auto flex max-w-xl items-center justify-between px-4 py-3">
+        <div className="flex items-center gap-2">
+          <div className="grid h-10 w-10 place-items-center rounded-2xl bg-zinc-900 text-white shadow">
+            <Dumbbell className="h-5 w-5" />
+          </div>
+          <div>
+            <div className="text-xs text-zinc-500">{programTitle}</div>
+            <div className="text-sm font-semibold text-zinc-900">
+              Semana {week}/{weeks} · {day}
+            </div>
+          </div>
+        </div>
+        <div className="flex items-center gap-2">
+          <button
+            className="grid h-10 w-10 place-items-center rounded-2xl border border-zinc-200 bg-white shadow-sm active:scale-[0.99] disabled:opacity-40"
+            onClick={onPrevWeek}
+            disabled={week <= 1}
+            aria-label="Semana anterior"
+          >
+            <ChevronLeft className="h-5 w-5" />
+          </button>
+          <button
+            className="grid h-10 w-10 place-items-center rounded-2xl border border-zinc-200 bg-white shadow-sm active:scale-[0.99] disabled:opacity-40"
+            onClick={onNextWeek}
+            disabled={week >= weeks}
+            aria-label="Semana siguiente"
           >
-            <path d="M20 110 H200" opacity="0.25" />
-            <path d="M130 90 H180 V110 H130 Z" opacity="0.35" />
-            <circle cx="70" cy={step === 1 ? 40 : 45} r="9" />
-            <path d={step === 1 ? "M70 50 L82 72 L102 90" : "M70 54 L78 76 L92 95"} />
-            <path d={step === 1 ? "M82 72 L64 88" : "M78 76 L60 90"} />
-            <path d={step === 1 ? "M102 90 L136 90" : "M92 95 L130 95"} />
-            <path d={step === 1 ? "M64 88 L56 110" : "M60 90 L55 110"} />
-          </g>
-        );
-      case "calfRaise":
-        return (
-          <g
-            fill="none"
-            className={common}
-            strokeWidth="4"
-            strokeLinecap="round"
-            strokeLinejoin="round"
+            <ChevronRight className="h-5 w-5" />
+          </button>
+          <button
+            className="grid h-10 w-10 place-items-center rounded-2xl border border-zinc-200 bg-white shadow-sm active:scale-[0.99]"
+            onClick={onOpenHistory}
+            aria-label="Historial"
           >
-            <path d="M20 110 H200" opacity="0.25" />
-            <circle cx="90" cy={step === 1 ? 42 : 45} r="9" />
-            <path d={step === 1 ? "M90 51 L90 84" : "M90 54 L90 85"} />
-            <path d="M90 70 L70 80" />
-            <path d={step === 1 ? "M90 84 L78 108" : "M90 85 L75 110"} />
-            <path d={step === 1 ? "M90 84 L108 108" : "M90 85 L105 110"} />
-            <path d="M75 110 Q82 100 90 110" />
-          </g>
-        );
-      case "scapularPushUp":
-        return (
-          <g
-            fill="none"
-            className={common}
-            strokeWidth="4"
-            strokeLinecap="round"
-            strokeLinejoin="round"
+            <History className="h-5 w-5" />
+          </button>
+          <button
+            className="grid h-10 w-10 place-items-center rounded-2xl border border-zinc-200 bg-white shadow-sm active:scale-[0.99]"
+            onClick={onOpenSkills}
+            aria-label="Habilidades"
           >
-            <path d="M20 110 H200" opacity="0.25" />
-            <circle cx="60" cy="70" r="9" />
-            <path d="M68 75 L140 80" />
-            <path d="M90 78 L85 105" />
-            <path d="M140 80 L150 108" />
-            <path d="M85 105 L60 110" />
-            <path
-              d={step === 1 ? "M98 70 Q112 60 126 70" : "M98 70 Q110 65 122 70"}
-              opacity="0.6"
-            />
-          </g>
-        );
-      case "marchInPlace":
-        return (
-          <g
-            fill="none"
-            className={common}
-            strokeWidth="4"
-            strokeLinecap="round"
-            strokeLinejoin="round"
+            <Trophy className="h-5 w-5" />
+          </button>
+          <button
+            className="grid h-10 w-10 place-items-center rounded-2xl border border-zinc-200 bg-white shadow-sm active:scale-[0.99]"
+            onClick={onOpenProgram}
+            aria-label="Programa"
           >
-            <path d="M20 110 H200" opacity="0.25" />
-            <circle cx={step === 1 ? 100 : 95} cy={step === 1 ? 40 : 42} r="9" />
-            <path d={step === 1 ? "M100 50 L104 78" : "M95 52 L98 78"} />
-            <path d={step === 1 ? "M104 66 L84 76" : "M98 66 L78 76"} />
-            <path d={step === 1 ? "M104 66 L124 76" : "M98 66 L118 76"} />
-            <path d={step === 1 ? "M104 78 L88 98" : "M98 78 L85 100"} />
-            <path d={step === 1 ? "M104 78 L128 94" : "M98 78 L120 92"} />
-            <path d="M88 98 L80 110" />
-            <path d="M128 94 L136 110" />
-          </g>
-        );
-      case "warmup":
-        return (
-          <g
-            fill="none"
-            className={common}
-            strokeWidth="4"
-            strokeLinecap="round"
-            strokeLinejoin="round"
+            <Settings className="h-5 w-5" />
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function Tabs({ days, value, onChange }) {
+  return (
+    <div className="mx-auto max-w-xl px-4 pt-4">
+      <div
+        className="grid gap-2 rounded-2xl bg-zinc-100 p-2"
+        style={{ gridTemplateColumns: `repeat(${days.length}, minmax(0, 1fr))` }}
+      >
+        {days.map((d) => {
+          const active = value === d.id;
+          return (
+            <button
+              key={d.id}
+              onClick={() => onChange(d.id)}
+              className={`rounded-xl py-2 font-semibold transition ${
+                days.length > 4 ? "px-1 text-xs" : "px-3 text-sm"
+              } ${
+                active
+                  ? "bg-white text-zinc-900 shadow-sm"
+                  : "text-zinc-600 hover:text-zinc-900"
+              }`}
+            >
+              {d.name}
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+function ExerciseDetails({ ex }) {
+  return (
+    <div className="mt-3 space-y-2 text-sm text-zinc-700">
+      {ex.equipment ? (
+        <div className="flex items-center justify-between rounded-xl bg-zinc-50 px-3 py-2">
+          <span className="text-xs font-semibold text-zinc-600">Equipo</span>
+          <span className="text-xs font-semibold text-zinc-900">{ex.equipment}</span>
+        </div>
+      ) : null}
+      {ex.safety ? (
+        <div className="rounded-xl border border-amber-200 bg-amber-50 p-3 text-amber-900">
+          <div className="mb-1 flex items-center gap-2 text-xs font-semibold">
+            <Shield className="h-4 w-4" />
+            Seguridad
+          </div>
+          <div className="text-xs leading-relaxed">{ex.safety}</div>
+        </div>
+      ) : null}
+
+      {ex.cues ? (
+        <div className="rounded-xl border border-zinc-200 bg-white p-3">
+          <div className="mb-2 text-xs font-semibold text-zinc-600">Técnica</div>
+          <ul className="list-disc space-y-1 pl-5 text-xs leading-relaxed">
+            {ex.cues.map((c, i) => (
+              <li key={i}>{c}</li>
+            ))}
+          </ul>
+        </div>
+      ) : null}
+
+      {ex.scaling ? (
+        <div className="rounded-xl border border-zinc-200 bg-white p-3">
+          <div className="mb-2 text-xs font-semibold text-zinc-600">Progresión</div>
+          <ul className="list-disc space-y-1 pl-5 text-xs leading-relaxed">
+            {ex.scaling.map((c, i) => (
+              <li key={i}>{c}</li>
+            ))}
+          </ul>
+        </div>
+      ) : null}
+
+      {ex.tips ? (
+        <div className="rounded-xl bg-zinc-50 p-3 text-xs leading-relaxed">{ex.tips}</div>
+      ) : null}
+      {ex.videoHint ? (
+        <div className="rounded-xl border border-zinc-200 bg-white p-3">
+          <div className="mb-1 text-xs font-semibold text-zinc-600">Qué buscar en un vídeo</div>
+          <div className="text-xs leading-relaxed text-zinc-700">{ex.videoHint}</div>
+        </div>
+      ) : null}
+    </div>
+  );
+}
+
+function Modal({ open, onClose, title, subtitle = "Visual", children }) {
+  return (
+    <AnimatePresence>
+      {open ? (
+        <motion.div
+          className="fixed inset-0 z-40"
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+        >
+          <div className="absolute inset-0 bg-black/40" onClick={onClose} aria-hidden />
+          <motion.div
+            className="absolute inset-x-0 bottom-0 mx-auto max-w-xl rounded-t-3xl border border-zinc-200 bg-white p-4 shadow-2xl"
+            initial={{ y: 30, opacity: 0 }}
+            animate={{ y: 0, opacity: 1 }}
+            exit={{ y: 30, opacity: 0 }}
+            transition={{ type: "spring", stiffness: 250, damping: 26 }}
+            role="dialog"
+            aria-modal="true"
+          >
+            <div className="mb-3 flex items-start justify-between gap-3">
+              <div>
+                <div className="text-xs text-zinc-500">{subtitle}</div>
+                <div className="text-sm font-semibold text-zinc-900">{title}</div>
+              </div>
+              <SmallButton onClick={onClose} tone="ghost">
+                Cerrar
+              </SmallButton>
+            </div>
+            <div className="max-h-[75vh] overflow-auto pb-4">{children}</div>
+          </motion.div>
+        </motion.div>
+      ) : null}
+    </AnimatePresence>
+  );
+}
+
+function WarmupChecklist({ ex, storageKey }) {
+  const [checked, setChecked] = useState(() => loadLS(storageKey, {}));
+  useEffect(() => saveLS(storageKey, checked), [storageKey, checked]);
+
+  return (
+    <div className="mt-3 rounded-2xl border border-zinc-200 bg-white p-3">
+      <div className="mb-2 flex items-center justify-between">
+        <div className="text-xs font-semibold text-zinc-600">Checklist</div>
+        <Pill>
+          <Timer className="h-4 w-4" />
+          5–7 min
+        </Pill>
+      </div>
+      <div className="space-y-2">
+        {ex.checklist?.map((it, i) => {
+          const k = `${i}`;
+          const on = !!checked[k];
+          return (
+            <button
+              key={k}
+              onClick={() => setChecked((s) => ({ ...s, [k]: !s[k] }))}
+              className="flex w-full items-center justify-between rounded-xl border border-zinc-200 bg-zinc-50 px-3 py-2 text-left"
+            >
+              <div className="text-xs font-semibold text-zinc-900">{it.label}</div>
+              <Pill tone={on ? "good" : "neutral"}>{on ? "OK" : "—"}</Pill>
+            </button>
+          );
+        })}
+      </div>
+      <div className="mt-2 text-xs text-zinc-600">
+        Si hoy estás rígido o hace frío, repite una vuelta extra de movilidad.
+      </div>
+    </div>
+  );
+}
+
+function LadderPanel({ ladderId, exerciseId, onChangeLevel }) {
+  const ladder = EXERCISE_LADDERS[ladderId];
+  const level = ladder.steps.findIndex((st) => st.exerciseId === exerciseId);
+  const last = ladder.steps.length - 1;
+
+  return (
+    <div className="rounded-2xl border border-zinc-200 bg-white p-3">
+      <div className="mb-2 flex items-center justify-between gap-2">
+        <div className="text-xs font-semibold text-zinc-600">Variante · {ladder.title}</div>
+        <Pill>
+          {level + 1}/{ladder.steps.length}
+        </Pill>
+      </div>
+      <div className="flex flex-wrap gap-1">
+        {ladder.steps.map((st, i) => (
+          <span
+            key={st.exerciseId}
+            className={`rounded-lg px-2 py-1 text-[11px] font-semibold ${
+              i === level ? "bg-zinc-900 text-white" : i < level ? "bg-zinc-200 text-zinc-700" : "bg-zinc-50 text-zinc-500"
+            }`}
           >
-            <path d="M20 110 H200" opacity="0.25" />
-            <circle cx="95" cy="42" r="9" />
-            <path d="M95 52 L95 80" />
-            <path d="M95 62 L70 65" />
-            <path d="M95 62 L120 65" />
-            <path d="M95 80 L80 110" />
-            <path d="M95 80 L110 110" />
-            <path d="M55 45 Q40 60 55 75" opacity={step === 1 ? 0.75 : 0.5} />
-            <path d="M135 45 Q150 60 135 75" opacity={step === 1 ? 0.75 : 0.5} />
-          </g>
-        );
-      case "cooldown":
-        return (
-          <g
-            fill="none"
-            className={common}
-            strokeWidth="4"
-            strokeLinecap="round"
-            strokeLinejoin="round"
+            {exerciseLibrary[st.exerciseId].title}
+          </span>
+        ))}
+      </div>
+      <div className="mt-3 flex items-center justify-between gap-2">
+        <SmallButton onClick={() => onChangeLevel(level - 1)} disabled={level <= 0}>
+          <span className="inline-flex items-center gap-1">
+            <ChevronLeft className="h-4 w-4" /> Más fácil
+          </span>
+        </SmallButton>
+        <SmallButton onClick={() => onChangeLevel(level + 1)} disabled={level >= last}>
+          <span className="inline-flex items-center gap-1">
+            Más difícil <ChevronRight className="h-4 w-4" />
+          </span>
+        </SmallButton>
+      </div>
+      {level < last ? (
+        <div className="mt-2 text-xs text-zinc-600">
+          Sube sola de variante con {ladder.promote.reps}+ reps en {ladder.promote.sessions} sesiones seguidas.
+        </div>
+      ) : null}
+    </div>
+  );
+}
+
+const formatClock = (secs) => {
+  const total = Math.max(0, Math.ceil(secs));
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, "0")}`;
+};
+
+/**
+ * Temporizador de intervalos. Cuenta con Date.now() (no acumula ticks) para no
+ * desviarse si el navegador ralentiza el setInterval en segundo plano.
+ */
+function IntervalTimer({ item, rounds }) {
+  const phases = useMemo(() => intervalPhases(item, rounds), [item, rounds]);
+  const total = phases.reduce((acc, p) => acc + p.seconds, 0);
+
+  const [elapsed, setElapsed] = useState(0);
+  const [running, setRunning] = useState(false);
+  const startedAt = useRef(0);
+
+  useEffect(() => {
+    if (!running) return;
+    const t = setInterval(() => {
+      const e = (Date.now() - startedAt.current) / 1000;
+      if (e >= total) {
+        setElapsed(total);
+        setRunning(false);
+      } else {
+        setElapsed(e);
+      }
+    }, 250);
+    return () => clearInterval(t);
+  }, [running, total]);
+
+  let phaseIndex = 0;
+  let phaseEnd = phases[0]?.seconds ?? 0;
+  while (phaseIndex < phases.length - 1 && elapsed >= phaseEnd) {
+    phaseIndex += 1;
+    phaseEnd += phases[phaseIndex].seconds;
+  }
+  const phase = phases[phaseIndex];
+  const finished = elapsed >= total;
+
+  // Aviso al cambiar de fase (si el dispositivo vibra)
+  useEffect(() => {
+    if (running && phaseIndex > 0) navigator.vibrate?.(150);
+  }, [running, phaseIndex]);
+
+  function toggle() {
+    if (running) {
+      setRunning(false);
+      return;
+    }
+    const from = finished ? 0 : elapsed;
+    startedAt.current = Date.now() - from * 1000;
+    setElapsed(from);
+    setRunning(true);
+  }
+
+  function reset() {
+    setRunning(false);
+    setElapsed(0);
+  }
+
+  const roundLabel =
+    item.protocol === "emom" ? `Minuto ${phase.round}/${rounds}` : item.protocol === "amrap" ? "Tiempo límite" : `Ronda ${phase.round}/${rounds}`;
+
+  return (
+    <div className={`rounded-2xl border p-3 ${phase.kind === "rest" ? "border-sky-200 bg-sky-50" : "border-zinc-200 bg-white"}`}>
+      <div className="flex items-center justify-between gap-3">
+        <div>
+          <div className="text-xs font-semibold text-zinc-600">
+            {finished ? "Terminado" : phase.kind === "rest" ? "Descanso" : "Trabajo"} · {roundLabel}
+          </div>
+          <div className="text-3xl font-bold tabular-nums text-zinc-900">
+            {formatClock(finished ? 0 : phaseEnd - elapsed)}
+          </div>
+        </div>
+        <div className="flex items-center gap-2">
+          <SmallButton onClick={reset} disabled={elapsed === 0}>
+            <RefreshCw className="h-4 w-4" />
+          </SmallButton>
+          <SmallButton tone="primary" onClick={toggle}>
+            {running ? <Pause className="h-4 w-4" /> : <Play className="h-4 w-4" />}
+          </SmallButton>
+        </div>
+      </div>
+      <div className="mt-3 h-2 overflow-hidden rounded-full bg-zinc-100">
+        <div className="h-full bg-zinc-900" style={{ width: `${total ? (elapsed / total) * 100 : 0}%` }} />
+      </div>
+      <div className="mt-1 text-right text-xs tabular-nums text-zinc-500">
+        {formatClock(elapsed)} / {formatClock(total)}
+      </div>
+    </div>
+  );
+}
+
+/** Pitido corto con Web Audio (sin ficheros de sonido). */
+function beep(ctx, freq, ms = 120) {
+  const osc = ctx.createOscillator();
+  const gain = ctx.createGain();
+  osc.frequency.value = freq;
+  gain.gain.value = 0.15;
+  osc.connect(gain).connect(ctx.destination);
+  osc.start();
+  osc.stop(ctx.currentTime + ms / 1000);
+}
+
+/**
+ * Metrónomo de tempo para una serie: marca cada fase (bajada, pausa, subida,
+ * pausa) con un pitido de distinto tono y la resalta en pantalla.
+ */
+function TempoMetronome({ tempo, reps }) {
+  const phases = useMemo(() => tempoPhases(tempo), [tempo]);
+  const total = phases.reduce((acc, p) => acc + p.seconds, 0) * reps;
+
+  const [running, setRunning] = useState(false);
+  const [elapsed, setElapsed] = useState(0);
+  const [sound, setSound] = useState(true);
+  const startedAt = useRef(0);
+  const audio = useRef(null);
+  const lastCue = useRef(-1);
+
+  useEffect(() => {
+    if (!running) return;
+    const t = setInterval(() => {
+      const e = (Date.now() - startedAt.current) / 1000;
+      if (e >= total) {
+        setElapsed(total);
+        setRunning(false);
+        return;
+      }
+      const pos = tempoPosition(phases, e);
+      const cue = pos.rep * phases.length + pos.phase;
+      if (cue !== lastCue.current) {
+        lastCue.current = cue;
+        if (sound && audio.current) beep(audio.current, phases[pos.phase].freq);
+      }
+      setElapsed(e);
+    }, 50);
+    return () => clearInterval(t);
+  }, [running, total, phases, sound]);
+
+  // El AudioContext se crea al primer uso; se cierra al desmontar (los navegadores limitan cuántos hay a la vez)
+  useEffect(
+    () => () => {
+      audio.current?.close?.();
+      audio.current = null;
+    },
+    []
+  );
+
+  if (phases.length === 0) return null;
+
+  function start() {
+    if (running) {
+      setRunning(false);
+      setElapsed(0);
+      return;
+    }
+    try {
+      audio.current ??= new (window.AudioContext || window.webkitAudioContext)();
+      audio.current.resume?.();
+    } catch {
+      // sin audio: queda solo la guía visual
+    }
+    lastCue.current = -1;
+    startedAt.current = Date.now();
+    setElapsed(0);
+    setRunning(true);
+  }
+
+  const finished = !running && elapsed >= total;
+  const pos = running ? tempoPosition(phases, elapsed) : null;
+
+  return (
+    <div className="rounded-2xl border border-zinc-200 bg-white p-3">
+      <div className="flex items-center justify-between gap-3">
+        <div>
+          <div className="text-xs font-semibold text-zinc-600">Metrónomo · tempo {tempo}</div>
+          <div className="text-lg font-bold text-zinc-900">
+            {pos ? phases[pos.phase].label : finished ? "Serie terminada" : "Listo"}
+          </div>
+          <div className="text-xs tabular-nums text-zinc-500">
+            {pos ? `Rep ${pos.rep + 1}/${reps} · ${Math.ceil(pos.left)} s` : `${reps} reps · ${formatClock(total)}`}
+          </div>
+        </div>
+        <div className="flex items-center gap-2">
+          <SmallButton onClick={() => setSound((v) => !v)} tone="ghost">
+            {sound ? <Volume2 className="h-4 w-4" /> : <VolumeX className="h-4 w-4" />}
+          </SmallButton>
+          <SmallButton tone="primary" onClick={start}>
+            {running ? <Pause className="h-4 w-4" /> : <Play className="h-4 w-4" />}
+          </SmallButton>
+        </div>
+      </div>
+      <div className="mt-3 flex gap-1">
+        {phases.map((p, i) => (
+          <div
+            key={p.label}
+            className="relative h-6 overflow-hidden rounded-lg bg-zinc-100"
+            style={{ flexGrow: p.seconds, flexBasis: 0 }}
           >
-            <path d="M20 110 H200" opacity="0.25" />
-            <circle cx="85" cy="55" r="9" />
-            <path d="M85 65 L105 82" />
-            <path d="M105 82 L140 90" />
-            <path d="M105 82 L98 108" />
-            <path d="M140 90 L160 110" />
-            <path d="M55 70 Q65 60 75 70" opacity={step === 1 ? 0.75 : 0.5} />
-          </g>
-        );
-      default:
+            {pos?.phase === i ? (
+              <div className="absolute inset-y-0 left-0 bg-zinc-900" style={{ width: `${pos.progress * 100}%` }} />
+            ) : null}
+            <div
+              className={`relative px-1 text-center text-[10px] font-semibold leading-6 ${
+                pos?.phase === i ? "text-white mix-blend-difference" : "text-zinc-600"
+              }`}
+            >
+              {p.short} {p.seconds}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function SessionItem({
+  item,
+  index,
+  customTarget,
+  target,
+  onChangeCustomTarget,
+  actual,
+  onChangeActual,
+  onOpenVisual,
+  onChangeVariation,
+  warmupStorageKey,
+  library,
+  asymmetry,
+}) {
+  const ex = library[item.exerciseId];
+
+  if (item.skipped) {
+    return (
+      <div className="flex items-center justify-between gap-3 rounded-2xl border border-dashed border-zinc-300 bg-zinc-50 px-4 py-3 text-sm text-zinc-500">
+        <span className="font-semibold">{ex.title}</span>
+        <span className="text-xs">
+          {item.painBlocked ? `Pausado por dolor: ${PAIN_REGIONS[item.painBlocked].label.toLowerCase()}` : "Omitido por tiempo"}
+        </span>
+      </div>
+    );
+  }
+
+  if (item.type === "block") {
+    const mg = MUSCLE_GROUPS[ex.muscleGroup] ?? MUSCLE_GROUPS.warmup;
+    return (
+      <Card
+        title={ex.title}
+        icon={ClipboardList}
+        right={
+          <div className="flex items-center gap-2 text-zinc-900">
+            <div className="hidden sm:block text-xs font-semibold text-zinc-600">{mg.label}</div>
+            <div className="grid h-10 w-10 place-items-center rounded-2xl bg-zinc-100 text-zinc-900">
+              <MuscleIcon group={ex.muscleGroup} className="h-8 w-8" />
+            </div>
+          </div>
+        }
+      >
+        <div className="grid gap-3">
+          <div className="flex items-center justify-between gap-3">
+            <div className="text-sm text-zinc-700">{ex.tips}</div>
+            <SmallButton
+              onClick={() => onOpenVisual(ex.id)}
+              className="shrink-0"
+            >
+              <span className="inline-flex items-center gap-2">
+                <Eye className="h-4 w-4" /> Ver visual
+              </span>
+            </SmallButton>
+          </div>
+
+          {ex.id === "warmup" ? <WarmupChecklist ex={ex} storageKey={warmupStorageKey} /> : null}
+
+          {ex.videoHint ? (
+            <div className="rounded-xl bg-zinc-50 p-3 text-xs text-zinc-700">
+              <span className="font-semibold text-zinc-900">Sugerencia: </span>
+              {ex.videoHint}
+            </div>
+          ) : null}
+        </div>
+      </Card>
+    );
+  }
+
+  // Guardado = lo que se edita; target = el objetivo de hoy (con reentrada y dolor aplicados)
+  const storedSets = customTarget?.sets ?? item.sets;
+  const storedReps = customTarget?.reps ?? item.reps;
+  const plannedSets = target?.sets ?? storedSets;
+  const targetSets = item.budgetSets ?? plannedSets;
+  const targetReps = target?.reps ?? storedReps;
+  const adjustedNote =
+    plannedSets !== storedSets || targetReps !== storedReps ? (
+      <div className="mt-2 text-xs text-amber-800">
+        {item.painLimited ? "Rebajado por dolor" : "Reentrada"}: hoy {plannedSets}×{targetReps ?? "—"} en vez de{" "}
+        {storedSets}×{storedReps ?? "—"} {item.unit}.
+      </div>
+    ) : null;
+
+  // Los steppers muestran el objetivo de hoy: lo guardado se mueve lo mismo que se pulse
+  function changeTarget({ sets, reps }) {
+    onChangeCustomTarget({
+      ...(customTarget ?? {}),
+      sets: sets === undefined ? storedSets : Math.max(1, storedSets + sets - targetSets),
+      reps: reps === undefined ? storedReps : Math.max(1, storedReps + reps - targetReps),
+    });
+  }
+  const mg = MUSCLE_GROUPS[ex.muscleGroup] ?? MUSCLE_GROUPS.core;
+  // En un grupo, series/rondas y descanso se controlan desde la cabecera del grupo
+  const grouped = !!item.group;
+  const isInterval = item.type === "interval";
+
+  return (
+    <Card
+      title={ex.title}
+      icon={Dumbbell}
+      right={
+        <div className="flex items-center gap-2">
+          {isInterval ? (
+            <Pill>{intervalSummary(item, targetSets, targetReps)}</Pill>
+          ) : (
+            <Pill>
+              {grouped ? `${item.group.index + 1}/${item.group.size}` : item.rest} ·{" "}
+              {grouped ? "" : `${targetSets}×`}
+              {targetReps} {item.unit}
+            </Pill>
+          )}
+          <div className="grid h-10 w-10 place-items-center rounded-2xl bg-zinc-100 text-zinc-900" title={mg.label}>
+            <MuscleIcon group={ex.muscleGroup} className="h-8 w-8" />
+          </div>
+        </div>
+      }
+    >
+      <div className="grid gap-3">
+        <div className="flex items-center justify-between gap-3">
+          <div className="flex flex-wrap items-center gap-2">
+            <Pill>{mg.label}</Pill>
+            {item.calibrated ? <Pill>Base personal</Pill> : null}
+            {item.reentry ? <Pill tone="warn">Reentrada</Pill> : null}
+            {item.painLimited ? <Pill tone="warn">Rebajado por dolor: {PAIN_REGIONS[item.painLimited].label}</Pill> : null}
+            {item.mergedFrom ? <Pill>Recupera sesión {item.mergedFrom}</Pill> : null}
+            {item.skill ? <Pill tone="good">Habilidad: {SKILL_TRACKS[item.skill].title}</Pill> : null}
+            {item.tempo ? <Pill>Tempo {item.tempo}</Pill> : null}
+            {item.model && item.model !== "linear" ? <Pill>{PROGRESSION_MODELS[item.model]?.label}</Pill> : null}
+          </div>
+          <SmallButton onClick={() => onOpenVisual(ex.id)}>
+            <span className="inline-flex items-center gap-2">
+              <Eye className="h-4 w-4" /> Ver visual
+            </span>
+          </SmallButton>
+        </div>
+
+        {item.missingEquipment?.length ? (
+          <div className="rounded-2xl border border-amber-200 bg-amber-50 p-3 text-xs text-amber-900">
+            <span className="font-semibold">
+              {item.substitutedFrom ? `Sustituye a ${library[item.substitutedFrom].title}` : "Falta material"}
+            </span>
+            {" · "}sin {item.missingEquipment.map((k) => EQUIPMENT[k]?.label.toLowerCase() ?? k).join(", ")}
+          </div>
+        ) : null}
+
+        {item.ladderId ? (
+          <LadderPanel
+            ladderId={item.ladderId}
+            exerciseId={item.exerciseId}
+            onChangeLevel={(level) => onChangeVariation(item.ladderId, level)}
+          />
+        ) : null}
+
+        {item.type === "reps" && item.tempo ? <TempoMetronome tempo={item.tempo} reps={targetReps} /> : null}
+
+        {asymmetry?.flagged ? (
+          <div className="rounded-2xl border border-amber-200 bg-amber-50 p-3 text-xs text-amber-900">
+            <span className="font-semibold">
+              Lado {SIDE_LABELS[asymmetry.weaker]} ~{Math.round(Math.abs(asymmetry.meanAsym) * 100)}% por detrás
+            </span>{" "}
+            en las últimas {asymmetry.sessions.length} sesiones. Empieza por ese lado y no hagas más reps con el otro.
+          </div>
+        ) : null}
+
+        {isInterval ? (
+          <IntervalLog
+            item={item}
+            targetSets={targetSets}
+            targetReps={targetReps}
+            plannedSets={plannedSets}
+            adjustedNote={adjustedNote}
+            onChangeTarget={changeTarget}
+            actual={actual}
+            onChangeActual={onChangeActual}
+          />
+        ) : (
+          <>
+            <div className="rounded-2xl border border-zinc-200 bg-zinc-50 p-3">
+              <div className="mb-2 text-xs font-semibold text-zinc-600">Objetivo (editable)</div>
+              <div className="flex items-center justify-between gap-3">
+                {grouped ? null : (
+                  <div className="flex items-center gap-2">
+                    <div className="text-xs font-semibold text-zinc-600">Series</div>
+                    <Stepper
+                      value={targetSets}
+                      min={1}
+                      max={10}
+                      onChange={(v) => changeTarget({ sets: v })}
+                    />
+                  </div>
+                )}
+                <div className="flex items-center gap-2">
+                  <div className="text-xs font-semibold text-zinc-600">
+                    {item.type === "time" ? "Tiempo" : "Reps"}
+                  </div>
+                  <Stepper
+                    value={targetReps}
+                    min={1}
+                    max={200}
+                    onChange={(v) => changeTarget({ reps: v })}
+                  />
+                </div>
+              </div>
+              {adjustedNote}
+              {item.budgetSets !== undefined && !grouped ? (
+                <div className="mt-2 text-xs text-amber-800">
+                  Ajustado por tiempo: {item.budgetSets} de {plannedSets} series.
+                </div>
+              ) : null}
+            </div>
+
+            <div className="rounded-2xl border border-zinc-200 bg-white p-3">
+              <div className="mb-2 text-xs font-semibold text-zinc-600">Resultado (lo que hiciste hoy)</div>
+              <SetLog
+                item={item}
+                targetSets={targetSets}
+                targetReps={targetReps}
+                grouped={grouped}
+                actual={actual}
+                onChangeActual={onChangeActual}
+              />
+            </div>
+          </>
+        )}
+
+        <details className="rounded-2xl border border-zinc-200 bg-white p-3">
+          <summary className="cursor-pointer select-none text-sm font-semibold text-zinc-900">
+            Ver técnica
+          </summary>
+          <ExerciseDetails ex={ex} />
+        </details>
+
+        <div className="rounded-2xl border border-zinc-200 bg-white p-3">
+          <div className="mb-2 text-xs font-semibold text-zinc-600">Notas</div>
+          <textarea
+            value={actual?.notes ?? ""}
+            onChange={(e) => onChangeActual({ ...(actual ?? {}), notes: e.target.value })}
+            placeholder="Ej.: mesa un poco alta, hice lento..."
+            className="min-h-[80px] w-full resize-none rounded-xl border border-zinc-200 bg-white p-3 text-sm outline-none focus:ring-2 focus:ring-zinc-200"
+          />
+        </div>
+
+        <details className="rounded-2xl border border-zinc-200 bg-white p-3">
+          <summary className="cursor-pointer select-none text-sm font-semibold text-zinc-900">
+            Dolor o molestia en este ejercicio
+          </summary>
+          <div className="mt-3">
+            <PainLog
+              entries={actual?.pain ?? []}
+              onChange={(pain) => onChangeActual({ ...(actual ?? {}), pain: pain.length ? pain : undefined })}
+            />
+          </div>
+        </details>
+      </div>
+    </Card>
+  );
+}
+
+/**
+ * Resultado serie a serie: reps (o tiempo), RIR y nota opcionales por serie. En un
+ * grupo, el número de filas lo marcan las rondas hechas del grupo.
+ */
+function SetLog({ item, targetSets, targetReps, grouped, actual, onChangeActual }) {
+  const unilateral = isUnilateral(item);
+  const sets = setsOf(actual);
+  const done = sets.length >= targetSets && repsRatioOf(item, actual, targetReps) >= 1;
+
+  const update = (idx, patch) =>
+    onChangeActual(withSets(actual, sets.map((st, i) => (i === idx ? { ...st, ...patch } : st))));
+  const remove = (idx) => onChangeActual(withSets(actual, sets.filter((_, i) => i !== idx)));
+  const add = () => onChangeActual(withSets(actual, [...sets, newSetEntry(item, targetReps, sets[sets.length - 1])]));
+
+  return (
+    <>
+      {sets.length === 0 ? (
+        <div className="text-xs text-zinc-500">
+          {grouped ? "Marca las rondas hechas en el grupo." : "Añade cada serie al terminarla."}
+        </div>
+      ) : (
+        <div className="space-y-2">
+          {sets.map((st, idx) => (
+            <div key={idx} className="rounded-xl border border-zinc-200 p-2">
+              <div className="flex flex-wrap items-center gap-2">
+                <div className="w-6 text-xs font-semibold tabular-nums text-zinc-500">{idx + 1}</div>
+                {unilateral ? (
+                  <>
+                    <div className="text-xs font-semibold text-zinc-600">Izq.</div>
+                    <Stepper value={st.repsLeft ?? 0} min={0} max={999} onChange={(v) => update(idx, { repsLeft: v })} />
+                    <div className="text-xs font-semibold text-zinc-600">Der.</div>
+                    <Stepper value={st.repsRight ?? 0} min={0} max={999} onChange={(v) => update(idx, { repsRight: v })} />
+                  </>
+                ) : (
+                  <>
+                    <div className="text-xs font-semibold text-zinc-600">{item.type === "time" ? "Tiempo" : "Reps"}</div>
+                    <Stepper value={st.reps ?? 0} min={0} max={999} onChange={(v) => update(idx, { reps: v })} />
+                  </>
+                )}
+                <select
+                  value={st.rir ?? ""}
+                  onChange={(e) => update(idx, { rir: e.target.value === "" ? undefined : Number(e.target.value) })}
+                  className="rounded-xl border border-zinc-200 bg-white px-2 py-2 text-xs text-zinc-900"
+                  aria-label="Reps en reserva"
+                >
+                  <option value="">RIR —</option>
+                  {RIR_OPTIONS.map((n) => (
+                    <option key={n} value={n}>
+                      RIR {n}
+                    </option>
+                  ))}
+                </select>
+                {grouped ? null : (
+                  <button
+                    className="ml-auto rounded-lg p-2 text-zinc-500 hover:bg-zinc-100 hover:text-rose-700"
+                    onClick={() => remove(idx)}
+                    aria-label="Quitar serie"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                )}
+              </div>
+              <input
+                value={st.note ?? ""}
+                onChange={(e) => update(idx, { note: e.target.value || undefined })}
+                placeholder="Nota (opcional)"
+                className="mt-2 w-full rounded-lg border border-zinc-200 bg-white px-2 py-1 text-xs outline-none focus:ring-2 focus:ring-zinc-200"
+              />
+            </div>
+          ))}
+        </div>
+      )}
+      {grouped ? null : (
+        <SmallButton tone="ghost" className="mt-2 w-full" onClick={add}>
+          <span className="inline-flex items-center gap-2">
+            <Plus className="h-4 w-4" /> Añadir serie
+          </span>
+        </SmallButton>
+      )}
+      <div className="mt-3 flex items-center justify-between rounded-xl bg-zinc-50 px-3 py-2">
+        <div className="text-xs font-semibold text-zinc-600">
+          Completado · {sets.length}/{targetSets} series
+        </div>
+        <Pill tone={done ? "good" : "neutral"}>
+          {done ? (
+            <>
+              <Check className="h-4 w-4" /> OK
+            </>
+          ) : (
+            "—"
+          )}
+        </Pill>
+      </div>
+    </>
+  );
+}
+
+/**
+ * Edición de un registro guardado: resultados por ejercicio, RPE, fecha y notas.
+ * `items`/`targetsByItemId` describen la sesión tal como se puntúa (ver logContext).
+ */
+function LogEditor({ log, items, targetsByItemId, library, onSave, onCancel }) {
+  const [form, setForm] = useState(() => ({
+    actualByItemId: log.actualByItemId ?? {},
+    rpe: log.rpe,
+    date: log.date,
+    time: log.time ?? "",
+    notes: log.notes ?? "",
+    pain: log.pain ?? [],
+  }));
+  const setActual = (key, actual) =>
+    setForm((f) => ({ ...f, actualByItemId: { ...f.actualByItemId, [key]: actual } }));
+  const editable = items.filter((it) => it.type !== "block" && !it.skipped);
+
+  return (
+    <div className="space-y-3">
+      <div className="text-sm font-semibold text-zinc-900">
+        Semana {log.week} · {log.dayId} — {log.sessionTitle}
+      </div>
+      <div className="flex items-center justify-between gap-2">
+        <div className="text-xs font-semibold text-zinc-600">Fecha</div>
+        <div className="flex gap-2">
+          <input
+            type="date"
+            value={form.date}
+            max={todayISO()}
+            onChange={(e) => e.target.value && setForm((f) => ({ ...f, date: e.target.value }))}
+            className="rounded-xl border border-zinc-200 bg-white px-2 py-1 text-sm text-zinc-900"
+          />
+          <input
+            type="time"
+            value={form.time}
+            onChange={(e) => setForm((f) => ({ ...f, time: e.target.value }))}
+            className="rounded-xl border border-zinc-200 bg-white px-2 py-1 text-sm text-zinc-900"
+            aria-label="Hora (opcional)"
+          />
+        </div>
+      </div>
+
+      {editable.map((it) => {
+        const key = itemKeyOf(it);
+        const actual = form.actualByItemId[key] ?? null;
+        const t = targetsByItemId[key] ?? { sets: it.sets, reps: it.reps };
         return (
-          <g
-            fill="none"
-            className={common}
-            strokeWidth="4"
-            strokeLinecap="round"
-            strokeLinejoin="round"
-          >
-            <path d="M20 110 H200" opacity="0.25" />
-            <circle cx="70" cy="60" r="10" />
-            <path d="M80 70 L140 85" />
-            <path d="M100 80 L90 110" />
-          </g>
+          <div key={key} className="rounded-2xl border border-zinc-200 bg-white p-3">
+            <div className="mb-2 text-sm font-semibold text-zinc-900">
+              {library[it.exerciseId]?.title ?? it.exerciseId ?? key}
+            </div>
+            {it.type === "interval" ? (
+              <div className="flex items-center justify-between gap-3">
+                <div className="text-xs font-semibold text-zinc-600">
+                  {it.protocol === "emom" ? "Minutos cumplidos" : "Rondas completadas"}
+                </div>
+                <Stepper
+                  value={actual?.roundsDone ?? 0}
+                  min={0}
+                  max={99}
+                  onChange={(v) => setActual(key, { ...(actual ?? {}), roundsDone: v })}
+                />
+              </div>
+            ) : (
+              <SetLog
+                item={it}
+                targetSets={Math.max(1, Number(t.sets ?? 1))}
+                targetReps={t.reps}
+                grouped={false}
+                actual={actual}
+                onChangeActual={(a) => setActual(key, a)}
+              />
+            )}
+            <input
+              value={actual?.notes ?? ""}
+              onChange={(e) => setActual(key, { ...(actual ?? {}), notes: e.target.value })}
+              placeholder="Notas del ejercicio"
+              className="mt-2 w-full rounded-lg border border-zinc-200 bg-white px-2 py-1 text-xs outline-none focus:ring-2 focus:ring-zinc-200"
+            />
+          </div>
         );
-    }
-  })();
+      })}
+
+      <div className="rounded-2xl border border-zinc-200 bg-zinc-50 p-3">
+        <div className="mb-2 text-xs font-semibold text-zinc-600">Esfuerzo percibido (RPE)</div>
+        <div className="flex items-center justify-between gap-3">
+          <input
+            type="range"
+            min={5}
+            max={10}
+            value={form.rpe}
+            onChange={(e) => setForm((f) => ({ ...f, rpe: Number(e.target.value) }))}
+            className="w-full"
+          />
+          <div className="w-12 text-right text-sm font-bold tabular-nums text-zinc-900">{form.rpe}</div>
+        </div>
+      </div>
+
+      <div className="rounded-2xl border border-zinc-200 bg-white p-3">
+        <div className="mb-2 text-xs font-semibold text-zinc-600">Dolor o molestias (sesión)</div>
+        <PainLog entries={form.pain} onChange={(pain) => setForm((f) => ({ ...f, pain }))} />
+      </div>
+
+      <textarea
+        value={form.notes}
+        onChange={(e) => setForm((f) => ({ ...f, notes: e.target.value }))}
+        placeholder="Notas de la sesión"
+        className="min-h-[64px] w-full resize-none rounded-xl border border-zinc-200 bg-white p-3 text-sm outline-none focus:ring-2 focus:ring-zinc-200"
+      />
+
+      <div className="grid gap-2">
+        <SmallButton
+          tone="primary"
+          onClick={() =>
+            onSave({
+              ...log,
+              ...form,
+              time: form.time || undefined,
+              notes: form.notes.trim() || undefined,
+              pain: form.pain.length ? form.pain : undefined,
+            })
+          }
+        >
+          Guardar cambios
+        </SmallButton>
+        <SmallButton onClick={onCancel}>Cancelar</SmallButton>
+      </div>
+    </div>
+  );
+}
+
+/** Desglose serie a serie de un registro del historial, con el objetivo que tenía. */
+function LogBreakdown({ log, library }) {
+  const rows = Object.entries(log.actualByItemId ?? {})
+    .map(([key, a]) => ({ key, a, sets: setsOf(a), exerciseId: loggedExerciseOf(log, key), p: log.prescription?.[key] }))
+    .filter((r) => r.sets.length || r.a?.roundsDone);
+  if (!rows.length) return null;
 
   return (
-    <svg
-      viewBox="0 0 220 140"
-      className="h-40 w-full text-zinc-900"
-      aria-label="Ilustración del ejercicio"
-    >
-      {content}
-      {overlay}
-    </svg>
+    <details className="mt-2 text-xs">
+      <summary className="cursor-pointer select-none font-semibold text-zinc-600">Series</summary>
+      <div className="mt-1 space-y-1">
+        {rows.map(({ key, a, sets, exerciseId, p }) => (
+          <div key={key}>
+            <span className="font-semibold text-zinc-900">{library[exerciseId]?.title ?? exerciseId ?? key}</span>
+            <span className="tabular-nums text-zinc-600">
+              {" "}
+              {sets.length ? sets.map(formatSet).join(" · ") : `${a.roundsDone} rondas`}
+            </span>
+            {p ? <span className="tabular-nums text-zinc-400"> (objetivo {formatPrescription(p)})</span> : null}
+            {sets.map((st, i) =>
+              st.note ? (
+                <div key={i} className="text-zinc-500">
+                  Serie {i + 1}: {st.note}
+                </div>
+              ) : null
+            )}
+          </div>
+        ))}
+      </div>
+    </details>
   );
 }
 
-// -----------------------------
-// UI Components
-// -----------------------------
+/**
+ * Objetivo, temporizador y resultado de un item de intervalos. Se registran las
+ * rondas completadas (roundsDone), que es lo que puntúa.
+ */
+function IntervalLog({ item, targetSets, targetReps, plannedSets, adjustedNote, onChangeTarget, actual, onChangeActual }) {
+  const proto = INTERVAL_PROTOCOLS[item.protocol];
+  const roundsDone = actual?.roundsDone ?? 0;
+  const done = roundsDone >= targetSets;
 
-function Pill({ children, tone = "neutral" }) {
-  const map = {
-    neutral: "bg-zinc-100 text-zinc-800 border-zinc-200",
-    good: "bg-emerald-50 text-emerald-800 border-emerald-200",
-    warn: "bg-amber-50 text-amber-900 border-amber-200",
-    bad: "bg-rose-50 text-rose-800 border-rose-200",
-  };
   return (
-    <span
-      className={`inline-flex items-center gap-2 rounded-full border px-3 py-1 text-xs font-medium ${
-        map[tone] ?? map.neutral
-      }`}
-    >
-      {children}
-    </span>
+    <>
+      <div className="rounded-2xl border border-zinc-200 bg-zinc-50 p-3">
+        <div className="mb-2 text-xs font-semibold text-zinc-600">Objetivo (editable)</div>
+        <div className="flex items-center justify-between gap-3">
+          <div className="flex items-center gap-2">
+            <div className="text-xs font-semibold text-zinc-600">{proto.rounds}</div>
+            <Stepper
+              value={targetSets}
+              min={1}
+              max={60}
+              onChange={(v) => onChangeTarget({ sets: v })}
+            />
+          </div>
+          {targetReps == null ? null : (
+            <div className="flex items-center gap-2">
+              <div className="text-xs font-semibold text-zinc-600">Reps/ronda</div>
+              <Stepper
+                value={targetReps}
+                min={1}
+                max={200}
+                onChange={(v) => onChangeTarget({ reps: v })}
+              />
+            </div>
+          )}
+        </div>
+        {adjustedNote}
+        {item.budgetSets !== undefined ? (
+          <div className="mt-2 text-xs text-amber-800">
+            Ajustado por tiempo: {item.budgetSets} de {plannedSets} {proto.rounds.toLowerCase()}.
+          </div>
+        ) : null}
+      </div>
+
+      <IntervalTimer item={item} rounds={targetSets} />
+
+      <div className="rounded-2xl border border-zinc-200 bg-white p-3">
+        <div className="mb-2 text-xs font-semibold text-zinc-600">Resultado (lo que hiciste hoy)</div>
+        <div className="flex items-center justify-between gap-3">
+          <div className="text-xs font-semibold text-zinc-600">
+            {item.protocol === "emom" ? "Minutos cumplidos" : "Rondas completadas"}
+          </div>
+          <Stepper
+            value={roundsDone}
+            min={0}
+            max={99}
+            onChange={(v) => onChangeActual({ ...(actual ?? {}), roundsDone: v })}
+          />
+        </div>
+        <div className="mt-3 flex items-center justify-between rounded-xl bg-zinc-50 px-3 py-2">
+          <div className="text-xs font-semibold text-zinc-600">Completado</div>
+          <Pill tone={done ? "good" : "neutral"}>
+            {done ? (
+              <>
+                <Check className="h-4 w-4" /> OK
+              </>
+            ) : (
+              "—"
+            )}
+          </Pill>
+        </div>
+      </div>
+    </>
   );
 }
 
-function Stepper({ value, onChange, min = 0, max = 999 }) {
+/**
+ * Superserie / circuito: las series (rondas) objetivo y hechas se comparten
+ * entre todos sus ejercicios y se cambian a la vez desde aquí.
+ */
+function ItemGroup({ group, rest, rounds, plannedRounds, roundsDone, skipped, onChangeRounds, onChangeRoundsDone, children }) {
+  const kind = GROUP_KINDS[group.kind] ?? GROUP_KINDS.superset;
   return (
-    <div className="inline-flex items-center rounded-xl border border-zinc-200 bg-white shadow-sm">
-      <button
-        className="p-2 active:scale-[0.98]"
-        onClick={() => onChange(clamp(value - 1, min, max))}
-        aria-label="Disminuir"
-      >
-        <Minus className="h-4 w-4" />
-      </button>
-      <div className="min-w-[40px] px-2 text-center text-sm font-semibold tabular-nums">
-        {value}
+    <div className="rounded-3xl border-2 border-dashed border-zinc-300 p-2">
+      <div className="mb-2 rounded-2xl bg-zinc-50 p-3">
+        <div className="flex items-center justify-between gap-2">
+          <div className="inline-flex items-center gap-2 text-sm font-semibold text-zinc-900">
+            <Repeat className="h-4 w-4" /> {kind.label} · {group.size} ejercicios
+          </div>
+          <Pill>Descanso {rest} tras cada ronda</Pill>
+        </div>
+        {skipped ? null : (
+          <div className="mt-3 flex flex-wrap items-center justify-between gap-3">
+            <div className="flex items-center gap-2">
+              <div className="text-xs font-semibold text-zinc-600">{kind.rounds} objetivo</div>
+              <Stepper value={rounds} min={1} max={10} onChange={onChangeRounds} />
+            </div>
+            <div className="flex items-center gap-2">
+              <div className="text-xs font-semibold text-zinc-600">{kind.rounds} hechas</div>
+              <Stepper value={roundsDone} min={0} max={20} onChange={onChangeRoundsDone} />
+            </div>
+          </div>
+        )}
+        {!skipped && rounds !== plannedRounds ? (
+          <div className="mt-2 text-xs text-amber-800">
+            Ajustado por tiempo: {rounds} de {plannedRounds} {kind.rounds.toLowerCase()}.
+          </div>
+        ) : null}
       </div>
-      <button
-        className="p-2 active:scale-[0.98]"
-        onClick={() => onChange(clamp(value + 1, min, max))}
-        aria-label="Aumentar"
-      >
-        <Plus className="h-4 w-4" />
-      </button>
+      <div className="space-y-3">{children}</div>
     </div>
   );
 }
 
-function Card({ title, icon: Icon, right, children }) {
+function EditorGroupRow({ row, library, onChange, onRemove, onGroupNext, onUngroup }) {
+  const controls = useDragControls();
+  const group = row.spec;
+  const restOptions = REST_OPTIONS.includes(group.rest) ? REST_OPTIONS : [group.rest, ...REST_OPTIONS];
+
   return (
-    <div className="rounded-2xl border border-zinc-200 bg-white p-4 shadow-sm">
-      <div className="mb-3 flex items-start justify-between gap-3">
-        <div className="flex items-center gap-2">
-          {Icon ? (
-            <div className="grid h-9 w-9 place-items-center rounded-xl bg-zinc-100">
-              <Icon className="h-5 w-5" />
-            </div>
-          ) : null}
-          <div>
-            <div className="text-sm font-semibold text-zinc-900">{title}</div>
+    <Reorder.Item
+      value={row}
+      dragListener={false}
+      dragControls={controls}
+      className="rounded-2xl border-2 border-dashed border-zinc-300 bg-white p-3 shadow-sm"
+    >
+      <div className="flex items-center gap-2">
+        <button
+          className="cursor-grab touch-none rounded-lg p-1 text-zinc-400 active:cursor-grabbing"
+          onPointerDown={(e) => controls.start(e)}
+          aria-label="Arrastrar para reordenar"
+        >
+          <GripVertical className="h-5 w-5" />
+        </button>
+        <div className="grid h-9 w-9 shrink-0 place-items-center rounded-xl bg-zinc-100 text-zinc-900">
+          <Repeat className="h-5 w-5" />
+        </div>
+        <div className="min-w-0 flex-1">
+          <div className="truncate text-sm font-semibold text-zinc-900">
+            {group.items.map((c) => library[c.exerciseId].title).join(" + ")}
           </div>
+          <div className="text-xs text-zinc-500">{(GROUP_KINDS[group.kind] ?? GROUP_KINDS.superset).label}</div>
         </div>
-        {right}
+        <button
+          className="rounded-lg p-2 text-zinc-500 hover:bg-zinc-100 hover:text-zinc-900"
+          onClick={onUngroup}
+          aria-label="Desagrupar"
+        >
+          <Unlink className="h-4 w-4" />
+        </button>
+        <button
+          className="rounded-lg p-2 text-zinc-500 hover:bg-zinc-100 hover:text-rose-700"
+          onClick={onRemove}
+          aria-label="Quitar grupo"
+        >
+          <Trash2 className="h-4 w-4" />
+        </button>
+      </div>
+
+      <div className="mt-3 grid grid-cols-2 gap-2">
+        <label className="grid gap-1 text-xs font-semibold text-zinc-600">
+          Tipo
+          <select
+            value={group.kind}
+            onChange={(e) => onChange({ ...group, kind: e.target.value })}
+            className="rounded-xl border border-zinc-200 bg-white px-2 py-2 text-sm text-zinc-900"
+          >
+            {Object.entries(GROUP_KINDS).map(([k, g]) => (
+              <option key={k} value={k}>
+                {g.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="grid gap-1 text-xs font-semibold text-zinc-600">
+          Descanso por ronda
+          <select
+            value={group.rest}
+            onChange={(e) => onChange({ ...group, rest: e.target.value })}
+            className="rounded-xl border border-zinc-200 bg-white px-2 py-2 text-sm text-zinc-900"
+          >
+            {restOptions.map((r) => (
+              <option key={r} value={r}>
+                {r}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+      {onGroupNext ? (
+        <SmallButton tone="ghost" className="mt-2 w-full" onClick={onGroupNext}>
+          <span className="inline-flex items-center gap-2">
+            <Link2 className="h-4 w-4" /> Añadir el siguiente al grupo
+          </span>
+        </SmallButton>
+      ) : null}
+    </Reorder.Item>
+  );
+}
+
+function EditorRow({ row, program, library, onChange, onRemove, onGroupNext }) {
+  const controls = useDragControls();
+  const ex = library[row.spec.exerciseId];
+  const mg = MUSCLE_GROUPS[ex.muscleGroup] ?? MUSCLE_GROUPS.core;
+  const isBlock = row.spec.type === "block";
+  const isInterval = row.spec.type === "interval";
+  const restOptions = REST_OPTIONS.includes(row.spec.rest) ? REST_OPTIONS : [row.spec.rest, ...REST_OPTIONS];
+  const tempoOptions =
+    !row.spec.tempo || TEMPO_OPTIONS.includes(row.spec.tempo) ? TEMPO_OPTIONS : [row.spec.tempo, ...TEMPO_OPTIONS];
+
+  function setUnit(unit) {
+    const opt = UNIT_OPTIONS.find((o) => o.unit === unit);
+    const spec = { ...row.spec, type: opt.type, unit, reps: repsSpecForUnit(program, unit, row.spec.reps) };
+    // El tempo solo aplica a ejercicios por repeticiones
+    onChange(opt.type === "reps" ? spec : withTempo(spec, null));
+  }
+
+  return (
+    <Reorder.Item
+      value={row}
+      dragListener={false}
+      dragControls={controls}
+      className="rounded-2xl border border-zinc-200 bg-white p-3 shadow-sm"
+    >
+      <div className="flex items-center gap-2">
+        <button
+          className="cursor-grab touch-none rounded-lg p-1 text-zinc-400 active:cursor-grabbing"
+          onPointerDown={(e) => controls.start(e)}
+          aria-label="Arrastrar para reordenar"
+        >
+          <GripVertical className="h-5 w-5" />
+        </button>
+        <div className="grid h-9 w-9 shrink-0 place-items-center rounded-xl bg-zinc-100 text-zinc-900">
+          <MuscleIcon group={ex.muscleGroup} className="h-7 w-7" />
+        </div>
+        <div className="min-w-0 flex-1">
+          <div className="truncate text-sm font-semibold text-zinc-900">{ex.title}</div>
+          <div className="text-xs text-zinc-500">{mg.label}</div>
+        </div>
+        <button
+          className="rounded-lg p-2 text-zinc-500 hover:bg-zinc-100 hover:text-rose-700"
+          onClick={onRemove}
+          aria-label="Quitar ejercicio"
+        >
+          <Trash2 className="h-4 w-4" />
+        </button>
+      </div>
+
+      {!isBlock ? (
+        <div className="mt-3 grid grid-cols-2 gap-2">
+          <label className="grid gap-1 text-xs font-semibold text-zinc-600">
+            Descanso
+            <select
+              value={row.spec.rest}
+              onChange={(e) => onChange({ ...row.spec, rest: e.target.value })}
+              className="rounded-xl border border-zinc-200 bg-white px-2 py-2 text-sm text-zinc-900"
+            >
+              {restOptions.map((r) => (
+                <option key={r} value={r}>
+                  {r}
+                </option>
+              ))}
+            </select>
+          </label>
+          {isInterval ? null : (
+            <label className="grid gap-1 text-xs font-semibold text-zinc-600">
+              Unidad
+              <select
+                value={row.spec.unit}
+                onChange={(e) => setUnit(e.target.value)}
+                className="rounded-xl border border-zinc-200 bg-white px-2 py-2 text-sm text-zinc-900"
+              >
+                {UNIT_OPTIONS.map((o) => (
+                  <option key={o.unit} value={o.unit}>
+                    {o.unit}
+                  </option>
+                ))}
+              </select>
+            </label>
+          )}
+          {row.spec.type === "reps" ? (
+            <label className="grid gap-1 text-xs font-semibold text-zinc-600">
+              Tempo
+              <select
+                value={row.spec.tempo ?? ""}
+                onChange={(e) => onChange(withTempo(row.spec, e.target.value))}
+                className="rounded-xl border border-zinc-200 bg-white px-2 py-2 text-sm text-zinc-900"
+              >
+                <option value="">Libre</option>
+                {tempoOptions.map((t) => (
+                  <option key={t} value={t}>
+                    {t}
+                  </option>
+                ))}
+              </select>
+            </label>
+          ) : null}
+          <label className="grid gap-1 text-xs font-semibold text-zinc-600">
+            Progresión
+            <select
+              value={row.spec.model ?? ""}
+              onChange={(e) => onChange(withModel(row.spec, e.target.value))}
+              className="rounded-xl border border-zinc-200 bg-white px-2 py-2 text-sm text-zinc-900"
+            >
+              <option value="">Por defecto</option>
+              {Object.entries(PROGRESSION_MODELS).map(([k, m]) => (
+                <option key={k} value={k}>
+                  {m.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="grid gap-1 text-xs font-semibold text-zinc-600">
+            Formato
+            <select
+              value={isInterval ? row.spec.protocol : "series"}
+              onChange={(e) => onChange(withFormat(program, row.spec, e.target.value, library))}
+              className="rounded-xl border border-zinc-200 bg-white px-2 py-2 text-sm text-zinc-900"
+            >
+              <option value="series">Series</option>
+              {Object.entries(INTERVAL_PROTOCOLS).map(([k, p]) => (
+                <option key={k} value={k}>
+                  {p.label}
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+      ) : null}
+      {!isBlock && onGroupNext ? (
+        <SmallButton tone="ghost" className="mt-2 w-full" onClick={onGroupNext}>
+          <span className="inline-flex items-center gap-2">
+            <Link2 className="h-4 w-4" /> Agrupar con el siguiente
+          </span>
+        </SmallButton>
+      ) : null}
+    </Reorder.Item>
+  );
+}
+
+/**
+ * Editor de la sesión del día. Calentamiento y vuelta a la calma iniciales/finales
+ * quedan fijos; el resto se puede añadir, quitar y reordenar.
+ */
+function SessionEditor({
+  program,
+  library,
+  week,
+  dayName,
+  items,
+  editedScopes,
+  onSave,
+  onResetScope,
+  onCreateExercise,
+  onClose,
+}) {
+  const [head, tail, initialRows] = useMemo(() => {
+    let a = 0;
+    while (a < items.length && items[a].type === "block") a++;
+    let b = items.length;
+    while (b > a && items[b - 1].type === "block") b--;
+    return [
+      items.slice(0, a),
+      items.slice(b),
+      items.slice(a, b).map((spec) => ({ key: uid(), spec })),
+    ];
+  }, [items]);
+
+  const [rows, setRows] = useState(initialRows);
+  const [scope, setScope] = useState("week");
+  const [addId, setAddId] = useState("");
+
+  const addable = Object.values(library).filter(
+    (ex) => ex.muscleGroup !== "warmup" && ex.muscleGroup !== "cooldown"
+  );
+
+  function addExercise() {
+    if (!addId) return;
+    setRows((r) => [...r, { key: uid(), spec: newItemSpec(program, addId, library) }]);
+    setAddId("");
+  }
+
+  function groupWithNext(key) {
+    setRows((rs) => {
+      const i = rs.findIndex((r) => r.key === key);
+      if (i < 0 || i >= rs.length - 1) return rs;
+      return [...rs.slice(0, i), { key: uid(), spec: mergeIntoGroup(rs[i].spec, rs[i + 1].spec) }, ...rs.slice(i + 2)];
+    });
+  }
+
+  function ungroup(key) {
+    setRows((rs) =>
+      rs.flatMap((r) => (r.key === key ? splitGroup(r.spec).map((spec) => ({ key: uid(), spec })) : [r]))
+    );
+  }
+
+  // Solo se agrupan ejercicios por series (no bloques ni intervalos) con el siguiente
+  const groupable = (spec) => spec.type !== "block" && spec.type !== "interval";
+  const canGroupWithNext = (i) => i < rows.length - 1 && groupable(rows[i].spec) && groupable(rows[i + 1].spec);
+
+  return (
+    <div className="space-y-4">
+      <div className="rounded-2xl border border-zinc-200 bg-white p-3">
+        <div className="mb-2 text-xs font-semibold text-zinc-600">Aplicar cambios a</div>
+        <div className="grid grid-cols-2 gap-2">
+          <SmallButton tone={scope === "week" ? "primary" : "neutral"} onClick={() => setScope("week")}>
+            Solo semana {week}
+          </SmallButton>
+          <SmallButton tone={scope === "all" ? "primary" : "neutral"} onClick={() => setScope("all")}>
+            Todas las semanas
+          </SmallButton>
+        </div>
+        <div className="mt-2 text-xs text-zinc-600">
+          {scope === "all"
+            ? `${dayName} de todas las semanas. Sustituye también los cambios hechos solo en semanas concretas.`
+            : `Solo ${dayName} de la semana ${week}.`}
+        </div>
+      </div>
+
+      {head.map((it, i) => (
+        <div key={`head-${i}`} className="rounded-2xl bg-zinc-100 px-3 py-2 text-xs font-semibold text-zinc-600">
+          {library[it.exerciseId].title} · fijo
+        </div>
+      ))}
+
+      <Reorder.Group axis="y" values={rows} onReorder={setRows} className="space-y-2">
+        {rows.map((row, i) => {
+          const onChange = (spec) => setRows((rs) => rs.map((r) => (r.key === row.key ? { ...r, spec } : r)));
+          const onRemove = () => setRows((rs) => rs.filter((r) => r.key !== row.key));
+          const onGroupNext = canGroupWithNext(i) ? () => groupWithNext(row.key) : null;
+          return row.spec.type === "group" ? (
+            <EditorGroupRow
+              key={row.key}
+              row={row}
+              library={library}
+              onChange={onChange}
+              onRemove={onRemove}
+              onGroupNext={onGroupNext}
+              onUngroup={() => ungroup(row.key)}
+            />
+          ) : (
+            <EditorRow
+              key={row.key}
+              row={row}
+              program={program}
+              library={library}
+              onChange={onChange}
+              onRemove={onRemove}
+              onGroupNext={onGroupNext}
+            />
+          );
+        })}
+      </Reorder.Group>
+
+      {rows.length === 0 ? (
+        <div className="rounded-2xl border border-dashed border-zinc-300 p-3 text-center text-xs text-zinc-600">
+          Sin ejercicios. Añade al menos uno.
+        </div>
+      ) : null}
+
+      {tail.map((it, i) => (
+        <div key={`tail-${i}`} className="rounded-2xl bg-zinc-100 px-3 py-2 text-xs font-semibold text-zinc-600">
+          {library[it.exerciseId].title} · fijo
+        </div>
+      ))}
+
+      <div className="flex items-center gap-2 rounded-2xl border border-zinc-200 bg-white p-3">
+        <select
+          value={addId}
+          onChange={(e) => setAddId(e.target.value)}
+          className="min-w-0 flex-1 rounded-xl border border-zinc-200 bg-white px-2 py-2 text-sm text-zinc-900"
+        >
+          <option value="">Añadir ejercicio…</option>
+          {addable.map((ex) => (
+            <option key={ex.id} value={ex.id}>
+              {ex.custom ? "★ " : ""}
+              {ex.title} · {(MUSCLE_GROUPS[ex.muscleGroup] ?? MUSCLE_GROUPS.core).label}
+            </option>
+          ))}
+        </select>
+        <SmallButton onClick={addExercise} disabled={!addId}>
+          <Plus className="h-4 w-4" />
+        </SmallButton>
+      </div>
+      <SmallButton tone="ghost" className="w-full" onClick={onCreateExercise}>
+        Crear ejercicio propio
+      </SmallButton>
+
+      <div className="grid gap-2">
+        <SmallButton
+          tone="primary"
+          disabled={rows.length === 0}
+          onClick={() => onSave(scope, [...head, ...rows.map((r) => r.spec), ...tail])}
+        >
+          Guardar cambios
+        </SmallButton>
+        {editedScopes[scope] ? (
+          <SmallButton onClick={() => onResetScope(scope)}>
+            {scope === "all" ? "Restaurar sesión original (todas las semanas)" : `Quitar cambios de la semana ${week}`}
+          </SmallButton>
+        ) : null}
+        <SmallButton tone="ghost" onClick={onClose}>
+          Cancelar
+        </SmallButton>
       </div>
-      {children}
     </div>
   );
 }
 
-function SmallButton({ onClick, children, tone = "neutral", className = "", disabled = false }) {
-  const map = {
-    neutral:
-      "border-zinc-200 bg-white text-zinc-900 hover:bg-zinc-50 active:bg-zinc-100",
-    primary:
-      "border-zinc-900 bg-zinc-900 text-white hover:bg-zinc-800 active:bg-zinc-700",
-    ghost: "border-transparent bg-transparent text-zinc-900 hover:bg-zinc-100",
-  };
-  return (
-    <button
-      onClick={onClick}
-      disabled={disabled}
-      className={`rounded-xl border px-3 py-2 text-sm font-semibold shadow-sm active:scale-[0.99] ${
-        map[tone] ?? map.neutral
-      } ${disabled ? "opacity-50 pointer-events-none" : ""} ${className}`}
-    >
-      {children}
-    </button>
-  );
-}
+function VisualPanel({ ex }) {
+  const mg = MUSCLE_GROUPS[ex.muscleGroup] ?? MUSCLE_GROUPS.core;
+  const steps = getVisualSteps(ex);
 
-function Toggle({ checked, onChange, label }) {
-  return (
-    <button
-      onClick={() => onChange(!checked)}
-      className="flex w-full items-center justify-between rounded-2xl border border-zinc-200 bg-white px-4 py-3 shadow-sm"
-    >
-      <div className="text-sm font-semibold text-zinc-900">{label}</div>
-      <div
-        className={`relative h-7 w-12 rounded-full border transition-colors ${
-          checked ? "bg-zinc-900 border-zinc-900" : "bg-zinc-100 border-zinc-200"
-        }`}
-      >
-        <div
-          className={`absolute top-1 h-5 w-5 rounded-full bg-white shadow transition-transform ${
-            checked ? "translate-x-6" : "translate-x-1"
-          }`}
-        />
-      </div>
-    </button>
-  );
-}
+  const [step, setStep] = useState(0);
+  const [playing, setPlaying] = useState(true);
+  const [speedMs, setSpeedMs] = useState(1500); // 1×=1500, 1.5×=1000, 2×=700
+  const [tick, setTick] = useState(0); // forces rerender for progress
+
+  // Reset when opening a new exercise
+  useEffect(() => {
+    setStep(0);
+    setPlaying(true);
+  }, [ex.id]);
+
+  // Autoplay step switching
+  useEffect(() => {
+    if (!playing) return;
+    const t = setInterval(() => {
+      setStep((s) => (s + 1) % steps.length);
+    }, speedMs);
+    return () => clearInterval(t);
+  }, [playing, speedMs, steps.length]);
+
+  // Lightweight progress tick (for the animated bar)
+  useEffect(() => {
+    if (!playing) return;
+    const t = setInterval(() => setTick((x) => x + 1), 50);
+    return () => clearInterval(t);
+  }, [playing]);
+
+  function cycleSpeed() {
+    setSpeedMs((s) => (s === 1500 ? 1000 : s === 1000 ? 700 : 1500));
+  }
+
+  function speedLabel() {
+    return speedMs === 1500 ? "1×" : speedMs === 1000 ? "1.5×" : "2×";
+  }
+
+  function goTo(i) {
+    setPlaying(false);
+    setStep(i);
+  }
+
+  function prev() {
+    setPlaying(false);
+    setStep((s) => Math.max(0, s - 1));
+  }
+
+  function next() {
+    setPlaying(false);
+    setStep((s) => Math.min(steps.length - 1, s + 1));
+  }
 
-function TopBar({ week, day, onPrevWeek, onNextWeek, onOpenHistory }) {
   return (
-    <div className="sticky top-0 z-20 border-b border-zinc-200 bg-white/90 backdrop-blur">
-      <div className="mx-auto flex max-w-xl items-center justify-between px-4 py-3">
-        <div className="flex items-center gap-2">
-          <div className="grid h-10 w-10 place-items-center rounded-2xl bg-zinc-900 text-white shadow">
-            <Dumbbell className="h-5 w-5" />
-          </div>
+    <div className="space-y-4">
+      <div className="rounded-2xl border border-zinc-200 bg-white p-3">
+        <div className="flex items-start justify-between gap-3">
           <div>
-            <div className="text-xs text-zinc-500">Calistenia • 20 semanas</div>
-            <div className="text-sm font-semibold text-zinc-900">
-              Semana {week} · {day}
-            </div>
+            <div className="text-xs text-zinc-500">Grupo muscular</div>
+            <div className="text-sm font-semibold text-zinc-900">{mg.label}</div>
+          </div>
+          <div className="grid h-12 w-12 place-items-center rounded-2xl bg-zinc-100 text-zinc-900">
+            <MuscleIcon group={ex.muscleGroup} className="h-10 w-10" />
           </div>
-        </div>
-        <div className="flex items-center gap-2">
-          <button
-            className="grid h-10 w-10 place-items-center rounded-2xl border border-zinc-200 bg-white shadow-sm active:scale-[0.99]"
-            onClick={onPrevWeek}
-            aria-label="Semana anterior"
-          >
-            <ChevronLeft className="h-5 w-5" />
-          </button>
-          <button
-            className="grid h-10 w-10 place-items-center rounded-2xl border border-zinc-200 bg-white shadow-sm active:scale-[0.99]"
-            onClick={onNextWeek}
-            aria-label="Semana siguiente"
-          >
-            <ChevronRight className="h-5 w-5" />
-          </button>
-          <button
-            className="grid h-10 w-10 place-items-center rounded-2xl border border-zinc-200 bg-white shadow-sm active:scale-[0.99]"
-            onClick={onOpenHistory}
-            aria-label="Historial"
-          >
-            <History className="h-5 w-5" />
-          </button>
         </div>
       </div>
-    </div>
-  );
-}
 
-function Tabs({ value, onChange }) {
-  return (
-    <div className="mx-auto max-w-xl px-4 pt-4">
-      <div className="grid grid-cols-4 gap-2 rounded-2xl bg-zinc-100 p-2">
-        {DAYS.map((d) => {
-          const active = value === d.id;
-          return (
+      <div className="rounded-2xl border border-zinc-200 bg-white p-3 text-zinc-900">
+        <div className="mb-2 flex flex-wrap items-center justify-between gap-2">
+          <div className="text-xs font-semibold text-zinc-600">Paso a paso</div>
+
+          <div className="flex items-center gap-2">
+            <SmallButton
+              tone={playing ? "primary" : "neutral"}
+              onClick={() => setPlaying((p) => !p)}
+              className="px-3 py-2"
+            >
+              <span className="inline-flex items-center gap-2">
+                {playing ? <Pause className="h-4 w-4" /> : <Play className="h-4 w-4" />}
+                {playing ? "Pausa" : "Play"}
+              </span>
+            </SmallButton>
+
             <button
-              key={d.id}
-              onClick={() => onChange(d.id)}
-              className={`rounded-xl px-3 py-2 text-sm font-semibold transition ${
-                active
-                  ? "bg-white text-zinc-900 shadow-sm"
-                  : "text-zinc-600 hover:text-zinc-900"
-              }`}
+              onClick={cycleSpeed}
+              className="rounded-xl border border-zinc-200 bg-white px-3 py-2 text-sm font-semibold shadow-sm active:scale-[0.99]"
+              aria-label="Cambiar velocidad"
+              title="Velocidad"
             >
-              {d.name}
+              <span className="inline-flex items-center gap-2">
+                <Timer className="h-4 w-4" />
+                {speedLabel()}
+              </span>
             </button>
-          );
-        })}
-      </div>
-    </div>
-  );
-}
 
-function ExerciseDetails({ ex }) {
-  return (
-    <div className="mt-3 space-y-2 text-sm text-zinc-700">
-      {ex.equipment ? (
-        <div className="flex items-center justify-between rounded-xl bg-zinc-50 px-3 py-2">
-          <span className="text-xs font-semibold text-zinc-600">Equipo</span>
-          <span className="text-xs font-semibold text-zinc-900">{ex.equipment}</span>
-        </div>
-      ) : null}
-      {ex.safety ? (
-        <div className="rounded-xl border border-amber-200 bg-amber-50 p-3 text-amber-900">
-          <div className="mb-1 flex items-center gap-2 text-xs font-semibold">
-            <Shield className="h-4 w-4" />
-            Seguridad
+            <Pill>
+              <Timer className="h-4 w-4" />
+              {step + 1}/{steps.length}
+            </Pill>
+          </div>
+        </div>
+
+        {/* Story-like progress */}
+        <div className="mb-3 grid grid-cols-3 gap-2">
+          {steps.map((_, i) => {
+            const isDone = i < step;
+            const isActive = i === step;
+            return (
+              <div key={i} className="h-1.5 overflow-hidden rounded-full bg-zinc-200">
+                {isDone ? (
+                  <div className="h-full w-full bg-zinc-900" />
+                ) : isActive ? (
+                  <motion.div
+                    key={`${ex.id}-${step}-${speedMs}-${playing}-${tick}`}
+                    className="h-full bg-zinc-900"
+                    initial={{ width: "0%" }}
+                    animate={{ width: playing ? "100%" : "0%" }}
+                    transition={
+                      playing
+                        ? { duration: speedMs / 1000, ease: "linear" }
+                        : { duration: 0.15, ease: "easeOut" }
+                    }
+                  />
+                ) : (
+                  <div className="h-full w-0" />
+                )}
+              </div>
+            );
+          })}
+        </div>
+
+        <div className="rounded-2xl bg-zinc-50 p-3">
+          <AnimatePresence mode="wait">
+            <motion.div
+              key={`ill-${ex.id}-${step}`}
+              initial={{ opacity: 0, y: 6, filter: "blur(2px)" }}
+              animate={{ opacity: 1, y: 0, filter: "blur(0px)" }}
+              exit={{ opacity: 0, y: -6, filter: "blur(2px)" }}
+              transition={{ duration: 0.18 }}
+            >
+              <ExerciseIllustration exId={ex.illustration ?? ex.id} step={step} />
+            </motion.div>
+          </AnimatePresence>
+        </div>
+
+        <div className="mt-3 grid gap-2">
+          <AnimatePresence mode="wait">
+            <motion.div
+              key={`txt-${ex.id}-${step}`}
+              className="rounded-2xl border border-zinc-200 bg-white p-3"
+              initial={{ opacity: 0, y: 8 }}
+              animate={{ opacity: 1, y: 0 }}
+              exit={{ opacity: 0, y: -8 }}
+              transition={{ duration: 0.18 }}
+            >
+              <div className="text-xs text-zinc-500">Paso {step + 1}</div>
+              <div className="text-sm font-semibold text-zinc-900">{steps[step]?.title}</div>
+              <div className="mt-1 text-xs leading-relaxed text-zinc-700">{steps[step]?.text}</div>
+            </motion.div>
+          </AnimatePresence>
+
+          <div className="flex items-center justify-between gap-2">
+            <SmallButton onClick={prev} disabled={step === 0}>
+              <span className="inline-flex items-center gap-2">
+                <ChevronLeft className="h-4 w-4" /> Anterior
+              </span>
+            </SmallButton>
+
+            <div className="flex items-center gap-2">
+              {steps.map((_, i) => {
+                const active = i === step;
+                return (
+                  <button
+                    key={i}
+                    onClick={() => goTo(i)}
+                    className={`h-2.5 w-2.5 rounded-full border transition ${
+                      active ? "bg-zinc-900 border-zinc-900" : "bg-white border-zinc-300"
+                    }`}
+                    aria-label={`Ir al paso ${i + 1}`}
+                  />
+                );
+              })}
+            </div>
+
+            <SmallButton onClick={next} disabled={step === steps.length - 1} tone="primary">
+              <span className="inline-flex items-center gap-2">
+                Siguiente <ChevronRight className="h-4 w-4" />
+              </span>
+            </SmallButton>
           </div>
-          <div className="text-xs leading-relaxed">{ex.safety}</div>
         </div>
-      ) : null}
+
+        <div className="mt-2 text-xs text-zinc-600">
+          Tip premium: deja el modo Play para entender el flujo, y pausa para ajustar la técnica.
+        </div>
+      </div>
 
       {ex.cues ? (
-        <div className="rounded-xl border border-zinc-200 bg-white p-3">
-          <div className="mb-2 text-xs font-semibold text-zinc-600">Técnica</div>
-          <ul className="list-disc space-y-1 pl-5 text-xs leading-relaxed">
-            {ex.cues.map((c, i) => (
+        <div className="rounded-2xl border border-zinc-200 bg-white p-3">
+          <div className="mb-2 text-xs font-semibold text-zinc-600">Checklist técnico</div>
+          <ul className="list-disc space-y-1 pl-5 text-xs leading-relaxed text-zinc-700">
+            {ex.cues.slice(0, 5).map((c, i) => (
               <li key={i}>{c}</li>
             ))}
           </ul>
@@ -1265,9 +5457,9 @@ function ExerciseDetails({ ex }) {
       ) : null}
 
       {ex.scaling ? (
-        <div className="rounded-xl border border-zinc-200 bg-white p-3">
-          <div className="mb-2 text-xs font-semibold text-zinc-600">Progresión</div>
-          <ul className="list-disc space-y-1 pl-5 text-xs leading-relaxed">
+        <div className="rounded-2xl border border-zinc-200 bg-white p-3">
+          <div className="mb-2 text-xs font-semibold text-zinc-600">Cómo hacerlo más fácil/difícil</div>
+          <ul className="list-disc space-y-1 pl-5 text-xs leading-relaxed text-zinc-700">
             {ex.scaling.map((c, i) => (
               <li key={i}>{c}</li>
             ))}
@@ -1275,510 +5467,955 @@ function ExerciseDetails({ ex }) {
         </div>
       ) : null}
 
-      {ex.tips ? (
-        <div className="rounded-xl bg-zinc-50 p-3 text-xs leading-relaxed">{ex.tips}</div>
-      ) : null}
-      {ex.videoHint ? (
-        <div className="rounded-xl border border-zinc-200 bg-white p-3">
-          <div className="mb-1 text-xs font-semibold text-zinc-600">Qué buscar en un vídeo</div>
-          <div className="text-xs leading-relaxed text-zinc-700">{ex.videoHint}</div>
+      {ex.safety ? (
+        <div className="rounded-2xl border border-amber-200 bg-amber-50 p-3 text-amber-900">
+          <div className="mb-1 flex items-center gap-2 text-xs font-semibold">
+            <Shield className="h-4 w-4" />
+            Seguridad
+          </div>
+          <div className="text-xs leading-relaxed">{ex.safety}</div>
         </div>
       ) : null}
     </div>
   );
 }
 
-function Modal({ open, onClose, title, children }) {
-  return (
-    <AnimatePresence>
-      {open ? (
-        <motion.div
-          className="fixed inset-0 z-40"
-          initial={{ opacity: 0 }}
-          animate={{ opacity: 1 }}
-          exit={{ opacity: 0 }}
-        >
-          <div className="absolute inset-0 bg-black/40" onClick={onClose} aria-hidden />
-          <motion.div
-            className="absolute inset-x-0 bottom-0 mx-auto max-w-xl rounded-t-3xl border border-zinc-200 bg-white p-4 shadow-2xl"
-            initial={{ y: 30, opacity: 0 }}
-            animate={{ y: 0, opacity: 1 }}
-            exit={{ y: 30, opacity: 0 }}
-            transition={{ type: "spring", stiffness: 250, damping: 26 }}
-            role="dialog"
-            aria-modal="true"
-          >
-            <div className="mb-3 flex items-start justify-between gap-3">
-              <div>
-                <div className="text-xs text-zinc-500">Visual</div>
-                <div className="text-sm font-semibold text-zinc-900">{title}</div>
-              </div>
-              <SmallButton onClick={onClose} tone="ghost">
-                Cerrar
-              </SmallButton>
-            </div>
-            <div className="max-h-[75vh] overflow-auto pb-4">{children}</div>
-          </motion.div>
-        </motion.div>
-      ) : null}
-    </AnimatePresence>
-  );
-}
+function ProgramPanel({ program, library, isCustom, onImport, onReset }) {
+  const [errors, setErrors] = useState([]);
+  const [variant, setVariant] = useState({ weeks: program.weeks, daysPerWeek: program.days.length });
+
+  function handleFile(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    file
+      .text()
+      .then((text) => {
+        let parsed;
+        try {
+          parsed = JSON.parse(text);
+        } catch {
+          setErrors(["El archivo no es JSON válido."]);
+          return;
+        }
+        const errs = validateProgram(parsed, library);
+        setErrors(errs);
+        if (errs.length === 0) onImport(parsed);
+      })
+      .catch(() => setErrors(["No se pudo leer el archivo."]));
+  }
 
-function WarmupChecklist({ ex, storageKey }) {
-  const [checked, setChecked] = useState(() => loadLS(storageKey, {}));
-  useEffect(() => saveLS(storageKey, checked), [storageKey, checked]);
+  function exportProgram() {
+    const blob = new Blob([JSON.stringify(program, null, 2)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `${program.id}-v${program.version ?? 1}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
 
   return (
-    <div className="mt-3 rounded-2xl border border-zinc-200 bg-white p-3">
-      <div className="mb-2 flex items-center justify-between">
-        <div className="text-xs font-semibold text-zinc-600">Checklist</div>
-        <Pill>
-          <Timer className="h-4 w-4" />
-          5–7 min
-        </Pill>
+    <div className="space-y-4">
+      <div className="rounded-2xl border border-zinc-200 bg-white p-3">
+        <div className="flex items-start justify-between gap-3">
+          <div>
+            <div className="text-xs text-zinc-500">Programa activo</div>
+            <div className="text-sm font-semibold text-zinc-900">{program.title}</div>
+          </div>
+          <Pill tone={isCustom ? "warn" : "neutral"}>{isCustom ? "Importado" : "Por defecto"}</Pill>
+        </div>
+        {program.description ? (
+          <div className="mt-2 text-xs leading-relaxed text-zinc-700">{program.description}</div>
+        ) : null}
+        <div className="mt-3 flex flex-wrap gap-2">
+          <Pill>{program.weeks} semanas</Pill>
+          <Pill>{program.days.length} días/semana</Pill>
+          <Pill>v{program.version ?? 1}</Pill>
+          {program.deload?.weeks?.length ? (
+            <Pill tone="warn">Descarga: sem {program.deload.weeks.join(", ")}</Pill>
+          ) : null}
+        </div>
       </div>
-      <div className="space-y-2">
-        {ex.checklist?.map((it, i) => {
-          const k = `${i}`;
-          const on = !!checked[k];
-          return (
-            <button
-              key={k}
-              onClick={() => setChecked((s) => ({ ...s, [k]: !s[k] }))}
-              className="flex w-full items-center justify-between rounded-xl border border-zinc-200 bg-zinc-50 px-3 py-2 text-left"
+
+      <div className="rounded-2xl border border-zinc-200 bg-white p-3">
+        <div className="mb-2 text-xs font-semibold text-zinc-600">Crear variante</div>
+        <div className="mb-1 text-xs text-zinc-500">Semanas</div>
+        <div className="mb-3 flex flex-wrap gap-2">
+          {PROGRAM_LENGTH_OPTIONS.map((w) => (
+            <SmallButton
+              key={w}
+              tone={variant.weeks === w ? "primary" : "neutral"}
+              onClick={() => setVariant((v) => ({ ...v, weeks: w }))}
             >
-              <div className="text-xs font-semibold text-zinc-900">{it.label}</div>
-              <Pill tone={on ? "good" : "neutral"}>{on ? "OK" : "—"}</Pill>
-            </button>
-          );
-        })}
+              {w}
+            </SmallButton>
+          ))}
+        </div>
+        <div className="mb-1 text-xs text-zinc-500">Días por semana</div>
+        <div className="mb-3 flex flex-wrap gap-2">
+          {PROGRAM_DAYS_OPTIONS.map((n) => (
+            <SmallButton
+              key={n}
+              tone={variant.daysPerWeek === n ? "primary" : "neutral"}
+              onClick={() => setVariant((v) => ({ ...v, daysPerWeek: n }))}
+            >
+              {n}
+            </SmallButton>
+          ))}
+        </div>
+        <SmallButton
+          className="w-full"
+          onClick={() => {
+            setErrors([]);
+            onImport(resizeProgram(program, variant));
+          }}
+          disabled={variant.weeks === program.weeks && variant.daysPerWeek === program.days.length}
+        >
+          Activar {variant.weeks} semanas × {variant.daysPerWeek} días
+        </SmallButton>
       </div>
-      <div className="mt-2 text-xs text-zinc-600">
-        Si hoy estás rígido o hace frío, repite una vuelta extra de movilidad.
+
+      <div className="grid gap-2">
+        <label className="cursor-pointer rounded-xl border border-zinc-900 bg-zinc-900 px-3 py-2 text-center text-sm font-semibold text-white shadow-sm active:scale-[0.99]">
+          <span className="inline-flex items-center gap-2">
+            <Upload className="h-4 w-4" /> Importar programa (JSON)
+          </span>
+          <input type="file" accept="application/json,.json" className="hidden" onChange={handleFile} />
+        </label>
+        <SmallButton onClick={exportProgram}>
+          <span className="inline-flex items-center gap-2">
+            <Download className="h-4 w-4" /> Exportar programa
+          </span>
+        </SmallButton>
+        {isCustom ? (
+          <SmallButton onClick={onReset}>Volver al programa por defecto</SmallButton>
+        ) : null}
+      </div>
+
+      {errors.length ? (
+        <div className="rounded-2xl border border-rose-200 bg-rose-50 p-3 text-xs text-rose-900">
+          <div className="font-semibold">El programa no es válido</div>
+          <ul className="mt-2 list-disc space-y-1 pl-5">
+            {errors.slice(0, 8).map((e, i) => (
+              <li key={i}>{e}</li>
+            ))}
+          </ul>
+          {errors.length > 8 ? <div className="mt-1">…y {errors.length - 8} más</div> : null}
+        </div>
+      ) : null}
+
+      <div className="rounded-2xl bg-zinc-50 p-3 text-xs text-zinc-700">
+        Los objetivos personalizados y el historial se conservan al cambiar de programa.
       </div>
     </div>
   );
 }
 
-function SessionItem({
-  item,
-  index,
-  customTarget,
-  onChangeCustomTarget,
-  actual,
-  onChangeActual,
-  onOpenVisual,
-  warmupStorageKey,
-}) {
-  const ex = exerciseLibrary[item.exerciseId];
+function EquipmentChips({ value, onChange, noneLabel }) {
+  const toggle = (k) => onChange(value.includes(k) ? value.filter((x) => x !== k) : [...value, k]);
+  return (
+    <div className="flex flex-wrap gap-2">
+      <SmallButton tone={value.length === 0 ? "primary" : "neutral"} onClick={() => onChange([])}>
+        {noneLabel}
+      </SmallButton>
+      {Object.values(EQUIPMENT).map((eq) => (
+        <SmallButton
+          key={eq.key}
+          tone={value.includes(eq.key) ? "primary" : "neutral"}
+          onClick={() => toggle(eq.key)}
+        >
+          {eq.label}
+        </SmallButton>
+      ))}
+    </div>
+  );
+}
 
-  if (item.type === "block") {
-    const mg = MUSCLE_GROUPS[ex.muscleGroup] ?? MUSCLE_GROUPS.warmup;
-    return (
-      <Card
-        title={ex.title}
-        icon={ClipboardList}
-        right={
-          <div className="flex items-center gap-2 text-zinc-900">
-            <div className="hidden sm:block text-xs font-semibold text-zinc-600">{mg.label}</div>
-            <div className="grid h-10 w-10 place-items-center rounded-2xl bg-zinc-100 text-zinc-900">
-              <MuscleIcon group={ex.muscleGroup} className="h-8 w-8" />
-            </div>
-          </div>
-        }
-      >
-        <div className="grid gap-3">
-          <div className="flex items-center justify-between gap-3">
-            <div className="text-sm text-zinc-700">{ex.tips}</div>
-            <SmallButton
-              onClick={() => onOpenVisual(ex.id)}
-              className="shrink-0"
-            >
-              <span className="inline-flex items-center gap-2">
-                <Eye className="h-4 w-4" /> Ver visual
-              </span>
-            </SmallButton>
-          </div>
+function ExerciseForm({ initial, onSave, onCancel }) {
+  const [form, setForm] = useState(() => toExerciseForm(initial ?? emptyCustomExercise()));
+  const [errors, setErrors] = useState([]);
+  const inputClass =
+    "w-full rounded-xl border border-zinc-200 bg-white px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-zinc-200";
 
-          {ex.id === "warmup" ? <WarmupChecklist ex={ex} storageKey={warmupStorageKey} /> : null}
+  const set = (patch) => setForm((f) => ({ ...f, ...patch }));
 
-          {ex.videoHint ? (
-            <div className="rounded-xl bg-zinc-50 p-3 text-xs text-zinc-700">
-              <span className="font-semibold text-zinc-900">Sugerencia: </span>
-              {ex.videoHint}
-            </div>
-          ) : null}
-        </div>
-      </Card>
-    );
+  function setStep(i, patch) {
+    setForm((f) => ({
+      ...f,
+      visualSteps: f.visualSteps.map((st, j) => (j === i ? { ...st, ...patch } : st)),
+    }));
   }
 
-  const targetSets = customTarget?.sets ?? item.sets;
-  const targetReps = customTarget?.reps ?? item.reps;
-  const mg = MUSCLE_GROUPS[ex.muscleGroup] ?? MUSCLE_GROUPS.core;
+  function submit() {
+    const errs = validateCustomExercise(form);
+    setErrors(errs);
+    if (errs.length === 0) onSave(normalizeCustomExercise(form));
+  }
 
   return (
-    <Card
-      title={ex.title}
-      icon={Dumbbell}
-      right={
-        <div className="flex items-center gap-2">
-          <Pill>
-            {item.rest} · {targetSets}×{targetReps} {item.unit}
-          </Pill>
-          <div className="grid h-10 w-10 place-items-center rounded-2xl bg-zinc-100 text-zinc-900" title={mg.label}>
-            <MuscleIcon group={ex.muscleGroup} className="h-8 w-8" />
-          </div>
-        </div>
-      }
-    >
-      <div className="grid gap-3">
-        <div className="flex items-center justify-between gap-3">
-          <Pill>{mg.label}</Pill>
-          <SmallButton onClick={() => onOpenVisual(ex.id)}>
-            <span className="inline-flex items-center gap-2">
-              <Eye className="h-4 w-4" /> Ver visual
-            </span>
-          </SmallButton>
-        </div>
+    <div className="space-y-3">
+      <label className="grid gap-1 text-xs font-semibold text-zinc-600">
+        Nombre
+        <input
+          value={form.title}
+          onChange={(e) => set({ title: e.target.value })}
+          placeholder="Ej.: Pike push-up"
+          className={inputClass}
+        />
+      </label>
+
+      <div className="grid grid-cols-2 gap-2">
+        <label className="grid gap-1 text-xs font-semibold text-zinc-600">
+          Grupo muscular
+          <select
+            value={form.muscleGroup}
+            onChange={(e) => set({ muscleGroup: e.target.value })}
+            className={inputClass}
+          >
+            {CUSTOM_EXERCISE_GROUPS.map((g) => (
+              <option key={g.key} value={g.key}>
+                {g.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="grid gap-1 text-xs font-semibold text-zinc-600">
+          Equipo
+          <input
+            value={form.equipment}
+            onChange={(e) => set({ equipment: e.target.value })}
+            placeholder="Ej.: banda elástica"
+            className={inputClass}
+          />
+        </label>
+      </div>
 
-        <div className="rounded-2xl border border-zinc-200 bg-zinc-50 p-3">
-          <div className="mb-2 text-xs font-semibold text-zinc-600">Objetivo (editable)</div>
-          <div className="flex items-center justify-between gap-3">
-            <div className="flex items-center gap-2">
-              <div className="text-xs font-semibold text-zinc-600">Series</div>
-              <Stepper
-                value={targetSets}
-                min={1}
-                max={10}
-                onChange={(v) =>
-                  onChangeCustomTarget({
-                    ...(customTarget ?? {}),
-                    sets: v,
-                    reps: targetReps,
-                  })
-                }
-              />
-            </div>
-            <div className="flex items-center gap-2">
-              <div className="text-xs font-semibold text-zinc-600">
-                {item.type === "time" ? "Tiempo" : "Reps"}
-              </div>
-              <Stepper
-                value={targetReps}
-                min={1}
-                max={200}
-                onChange={(v) =>
-                  onChangeCustomTarget({
-                    ...(customTarget ?? {}),
-                    sets: targetSets,
-                    reps: v,
-                  })
-                }
-              />
-            </div>
+      <div className="grid gap-1">
+        <div className="text-xs font-semibold text-zinc-600">Necesita</div>
+        <EquipmentChips
+          value={form.requires}
+          onChange={(requires) => set({ requires })}
+          noneLabel="Nada"
+        />
+      </div>
+
+      <label className="grid gap-1 text-xs font-semibold text-zinc-600">
+        Técnica (una indicación por línea)
+        <textarea
+          value={form.cues.join("\n")}
+          onChange={(e) => set({ cues: e.target.value.split("\n") })}
+          className={`${inputClass} min-h-[80px] resize-none`}
+        />
+      </label>
+
+      <label className="grid gap-1 text-xs font-semibold text-zinc-600">
+        Progresión (una por línea)
+        <textarea
+          value={form.scaling.join("\n")}
+          onChange={(e) => set({ scaling: e.target.value.split("\n") })}
+          placeholder={"Más fácil: ...\nMás difícil: ..."}
+          className={`${inputClass} min-h-[64px] resize-none`}
+        />
+      </label>
+
+      <label className="grid gap-1 text-xs font-semibold text-zinc-600">
+        Seguridad
+        <textarea
+          value={form.safety}
+          onChange={(e) => set({ safety: e.target.value })}
+          className={`${inputClass} min-h-[48px] resize-none`}
+        />
+      </label>
+
+      <div className="rounded-2xl border border-zinc-200 bg-zinc-50 p-3">
+        <div className="mb-2 flex items-center justify-between gap-2">
+          <div className="text-xs font-semibold text-zinc-600">Visual paso a paso</div>
+          <div className="grid h-10 w-10 place-items-center rounded-2xl bg-white text-zinc-900">
+            <MuscleIcon group={form.muscleGroup} className="h-8 w-8" />
           </div>
         </div>
-
-        <div className="rounded-2xl border border-zinc-200 bg-white p-3">
-          <div className="mb-2 text-xs font-semibold text-zinc-600">Resultado (lo que hiciste hoy)</div>
-          <div className="flex items-center justify-between gap-3">
-            <div className="flex items-center gap-2">
-              <div className="text-xs font-semibold text-zinc-600">Series</div>
-              <Stepper
-                value={actual?.setsDone ?? 0}
-                min={0}
-                max={20}
-                onChange={(v) => onChangeActual({ ...(actual ?? {}), setsDone: v })}
+        <label className="mb-2 grid gap-1 text-xs font-semibold text-zinc-600">
+          Dibujo
+          <select
+            value={form.illustration}
+            onChange={(e) => set({ illustration: e.target.value })}
+            className={inputClass}
+          >
+            <option value="">Genérico</option>
+            {ILLUSTRATED_EXERCISES.map((id) => (
+              <option key={id} value={id}>
+                Como {exerciseLibrary[id].title.toLowerCase()}
+              </option>
+            ))}
+          </select>
+        </label>
+        <div className="space-y-2">
+          {form.visualSteps.map((st, i) => (
+            <div key={i} className="grid gap-1">
+              <input
+                value={st.title}
+                onChange={(e) => setStep(i, { title: e.target.value })}
+                placeholder={`Paso ${i + 1}: título`}
+                className={inputClass}
               />
-            </div>
-            <div className="flex items-center gap-2">
-              <div className="text-xs font-semibold text-zinc-600">
-                {item.type === "time" ? "Tiempo" : "Reps"}
-              </div>
-              <Stepper
-                value={actual?.repsDone ?? 0}
-                min={0}
-                max={999}
-                onChange={(v) => onChangeActual({ ...(actual ?? {}), repsDone: v })}
+              <input
+                value={st.text}
+                onChange={(e) => setStep(i, { text: e.target.value })}
+                placeholder="Descripción"
+                className={inputClass}
               />
             </div>
-          </div>
-          <div className="mt-3 flex items-center justify-between rounded-xl bg-zinc-50 px-3 py-2">
-            <div className="text-xs font-semibold text-zinc-600">Completado</div>
-            <Pill
-              tone={
-                (actual?.setsDone ?? 0) >= targetSets && (actual?.repsDone ?? 0) >= targetReps
-                  ? "good"
-                  : "neutral"
-              }
-            >
-              {(actual?.setsDone ?? 0) >= targetSets && (actual?.repsDone ?? 0) >= targetReps ? (
-                <>
-                  <Check className="h-4 w-4" /> OK
-                </>
-              ) : (
-                "—"
-              )}
-            </Pill>
-          </div>
+          ))}
         </div>
+      </div>
 
-        <details className="rounded-2xl border border-zinc-200 bg-white p-3">
-          <summary className="cursor-pointer select-none text-sm font-semibold text-zinc-900">
-            Ver técnica
-          </summary>
-          <ExerciseDetails ex={ex} />
-        </details>
-
-        <div className="rounded-2xl border border-zinc-200 bg-white p-3">
-          <div className="mb-2 text-xs font-semibold text-zinc-600">Notas</div>
-          <textarea
-            value={actual?.notes ?? ""}
-            onChange={(e) => onChangeActual({ ...(actual ?? {}), notes: e.target.value })}
-            placeholder="Ej.: mesa un poco alta, hice lento, dolor 0/10..."
-            className="min-h-[80px] w-full resize-none rounded-xl border border-zinc-200 bg-white p-3 text-sm outline-none focus:ring-2 focus:ring-zinc-200"
-          />
+      {errors.length ? (
+        <div className="rounded-2xl border border-rose-200 bg-rose-50 p-3 text-xs text-rose-900">
+          <ul className="list-disc space-y-1 pl-5">
+            {errors.map((e) => (
+              <li key={e}>{e}</li>
+            ))}
+          </ul>
         </div>
+      ) : null}
+
+      <div className="grid gap-2">
+        <SmallButton tone="primary" onClick={submit}>
+          Guardar ejercicio
+        </SmallButton>
+        <SmallButton tone="ghost" onClick={onCancel}>
+          Cancelar
+        </SmallButton>
       </div>
-    </Card>
+    </div>
   );
 }
 
-function VisualPanel({ ex }) {
-  const mg = MUSCLE_GROUPS[ex.muscleGroup] ?? MUSCLE_GROUPS.core;
-  const steps = getVisualSteps(ex.id);
-
-  const [step, setStep] = useState(0);
-  const [playing, setPlaying] = useState(true);
-  const [speedMs, setSpeedMs] = useState(1500); // 1×=1500, 1.5×=1000, 2×=700
-  const [tick, setTick] = useState(0); // forces rerender for progress
+function CustomExercisesPanel({ exercises, onCreate, onEdit, onDelete }) {
+  const list = Object.values(exercises);
+  return (
+    <div className="mt-4 space-y-2">
+      <div className="text-xs font-semibold text-zinc-600">Mis ejercicios</div>
+      {list.length === 0 ? (
+        <div className="rounded-2xl border border-zinc-200 bg-white p-3 text-xs text-zinc-600">
+          Añade movimientos que no están en la biblioteca para usarlos en cualquier sesión.
+        </div>
+      ) : (
+        list.map((ex) => (
+          <div
+            key={ex.id}
+            className="flex items-center gap-2 rounded-2xl border border-zinc-200 bg-white p-3"
+          >
+            <div className="grid h-9 w-9 shrink-0 place-items-center rounded-xl bg-zinc-100 text-zinc-900">
+              <MuscleIcon group={ex.muscleGroup} className="h-7 w-7" />
+            </div>
+            <div className="min-w-0 flex-1">
+              <div className="truncate text-sm font-semibold text-zinc-900">{ex.title}</div>
+              <div className="text-xs text-zinc-500">{MUSCLE_GROUPS[ex.muscleGroup]?.label}</div>
+            </div>
+            <button
+              className="rounded-lg p-2 text-zinc-500 hover:bg-zinc-100"
+              onClick={() => onEdit(ex)}
+              aria-label="Editar ejercicio"
+            >
+              <Pencil className="h-4 w-4" />
+            </button>
+            <button
+              className="rounded-lg p-2 text-zinc-500 hover:bg-zinc-100 hover:text-rose-700"
+              onClick={() => onDelete(ex)}
+              aria-label="Borrar ejercicio"
+            >
+              <Trash2 className="h-4 w-4" />
+            </button>
+          </div>
+        ))
+      )}
+      <SmallButton className="w-full" onClick={onCreate}>
+        <span className="inline-flex items-center gap-2">
+          <Plus className="h-4 w-4" /> Nuevo ejercicio
+        </span>
+      </SmallButton>
+    </div>
+  );
+}
 
-  // Reset when opening a new exercise
-  useEffect(() => {
-    setStep(0);
-    setPlaying(true);
-  }, [ex.id]);
+function EquipmentSettings({ equipment, onChange }) {
+  return (
+    <div className="mt-4 space-y-2">
+      <div className="text-xs font-semibold text-zinc-600">Material disponible</div>
+      <div className="rounded-2xl border border-zinc-200 bg-white p-3">
+        <EquipmentChips value={equipment} onChange={onChange} noneLabel="Sin material" />
+        <div className="mt-2 text-xs text-zinc-600">
+          Si falta material, el plan cambia el ejercicio por uno equivalente del mismo grupo muscular.
+        </div>
+      </div>
+    </div>
+  );
+}
 
-  // Autoplay step switching
-  useEffect(() => {
-    if (!playing) return;
-    const t = setInterval(() => {
-      setStep((s) => (s + 1) % steps.length);
-    }, speedMs);
-    return () => clearInterval(t);
-  }, [playing, speedMs, steps.length]);
+function DeloadSettings({ program, fixed, auto, scheduled, onChange, onRemoveScheduled }) {
+  const fixedWeeks = program.deload?.weeks ?? [];
+  return (
+    <div className="mt-4 space-y-2">
+      <div className="text-xs font-semibold text-zinc-600">Descargas</div>
+      <Toggle
+        checked={fixed}
+        onChange={(v) => onChange({ fixedDeloads: v })}
+        label={fixedWeeks.length ? `Descargas fijas (sem ${fixedWeeks.join(", ")})` : "Descargas fijas"}
+      />
+      <Toggle
+        checked={auto}
+        onChange={(v) => onChange({ autoDeload: v })}
+        label="Programar descarga al detectar fatiga"
+      />
+      <div className="rounded-2xl border border-zinc-200 bg-white p-3">
+        <div className="mb-2 text-xs font-semibold text-zinc-600">Descargas por fatiga</div>
+        {scheduled.length ? (
+          <div className="flex flex-wrap gap-2">
+            {scheduled.map((w) => (
+              <button key={w} onClick={() => onRemoveScheduled(w)} aria-label={`Quitar descarga semana ${w}`}>
+                <Pill tone="warn">Semana {w} ✕</Pill>
+              </button>
+            ))}
+          </div>
+        ) : (
+          <div className="text-xs text-zinc-600">
+            Ninguna. La app analiza score, RPE y recomendaciones recientes y te avisa si conviene descargar.
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
 
-  // Lightweight progress tick (for the animated bar)
-  useEffect(() => {
-    if (!playing) return;
-    const t = setInterval(() => setTick((x) => x + 1), 50);
-    return () => clearInterval(t);
-  }, [playing]);
+function ProgressionSettings({ program, value, onChange }) {
+  const programModel = program.progression.model ?? "linear";
+  const active = value ?? programModel;
+  return (
+    <div className="mt-4 space-y-2">
+      <div className="text-xs font-semibold text-zinc-600">Modelo de progresión</div>
+      <select
+        value={value ?? ""}
+        onChange={(e) => onChange(e.target.value || null)}
+        className="w-full rounded-xl border border-zinc-200 bg-white px-2 py-2 text-sm text-zinc-900"
+      >
+        <option value="">Del programa ({PROGRESSION_MODELS[programModel]?.label ?? programModel})</option>
+        {Object.entries(PROGRESSION_MODELS).map(([k, m]) => (
+          <option key={k} value={k}>
+            {m.label}
+          </option>
+        ))}
+      </select>
+      <div className="text-xs text-zinc-600">{PROGRESSION_MODELS[active]?.description}</div>
+      <div className="text-xs text-zinc-500">
+        Los ejercicios con un modelo propio (editor de sesión) lo mantienen.
+      </div>
+    </div>
+  );
+}
 
-  function cycleSpeed() {
-    setSpeedMs((s) => (s === 1500 ? 1000 : s === 1000 ? 700 : 1500));
-  }
+function TimeBudgetBar({ budget, estimatedMin, fullMin, onChange }) {
+  return (
+    <div className="mt-3 rounded-2xl border border-zinc-200 bg-zinc-50 p-3">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div className="text-xs font-semibold text-zinc-600">Tiempo disponible</div>
+        <div className="flex flex-wrap gap-2">
+          <SmallButton onClick={() => onChange(null)} tone={budget ? "neutral" : "primary"}>
+            Sin límite
+          </SmallButton>
+          {TIME_BUDGET_OPTIONS.map((m) => (
+            <SmallButton key={m} onClick={() => onChange(m)} tone={budget === m ? "primary" : "neutral"}>
+              {m} min
+            </SmallButton>
+          ))}
+        </div>
+      </div>
+      {budget ? (
+        <div className="mt-2 flex flex-wrap items-center justify-between gap-2 text-xs text-zinc-600">
+          <span>
+            Sesión ajustada: ≈ {estimatedMin} min (completa ≈ {fullMin} min).
+            {estimatedMin > budget ? " Ni con el mínimo cabe del todo; prioriza los básicos." : ""}
+          </span>
+          <Stepper value={budget} min={5} max={180} onChange={onChange} />
+        </div>
+      ) : null}
+    </div>
+  );
+}
 
-  function speedLabel() {
-    return speedMs === 1500 ? "1×" : speedMs === 1000 ? "1.5×" : "2×";
-  }
+function BaselineForm({ initial, library, onSave, onCancel }) {
+  const [values, setValues] = useState(() => initial?.results ?? {});
+  const tested = BASELINE_TESTS.some((t) => (values[t.id] ?? 0) > 0);
 
-  function goTo(i) {
-    setPlaying(false);
-    setStep(i);
-  }
+  return (
+    <div className="space-y-3">
+      <div className="text-xs text-zinc-600">
+        Haz cada prueba una vez, descansando 2–3 min entre ellas. Para en cuanto pierdas la técnica. Deja a 0
+        lo que no quieras medir: mantendrá el objetivo del programa.
+      </div>
+      {BASELINE_TESTS.map((t) => {
+        const v = values[t.id] ?? 0;
+        return (
+          <div key={t.id} className="rounded-2xl border border-zinc-200 bg-white p-3">
+            <div className="text-sm font-semibold text-zinc-900">{library[t.exerciseId]?.title}</div>
+            <div className="mb-2 text-xs text-zinc-600">{t.label}</div>
+            <div className="flex items-center justify-between gap-2">
+              <Stepper value={v} max={300} onChange={(n) => setValues((s) => ({ ...s, [t.id]: n }))} />
+              <span className="text-xs text-zinc-500">
+                {v > 0 ? `${t.unit} → base ${baselineBase(t, v)} ${t.rule === "seconds" ? "s" : "reps"}` : t.unit}
+              </span>
+            </div>
+          </div>
+        );
+      })}
+      <div className="grid gap-2">
+        <SmallButton tone="primary" disabled={!tested} onClick={() => onSave({ date: todayISO(), results: values })}>
+          Guardar y ajustar el plan
+        </SmallButton>
+        <SmallButton onClick={onCancel}>Cancelar</SmallButton>
+      </div>
+    </div>
+  );
+}
 
-  function prev() {
-    setPlaying(false);
-    setStep((s) => Math.max(0, s - 1));
-  }
+const ONBOARDING_STEPS = ["Experiencia", "Días", "Material", "Objetivo", "Molestias"];
 
-  function next() {
-    setPlaying(false);
-    setStep((s) => Math.min(steps.length - 1, s + 1));
-  }
+function Onboarding({ onFinish, onSkip }) {
+  const [step, setStep] = useState(0);
+  const [answers, setAnswers] = useState({
+    experience: "none",
+    daysPerWeek: DEFAULT_PROGRAM.days.length,
+    equipment: DEFAULT_EQUIPMENT,
+    goal: "habit",
+    skillTrack: null,
+    injuries: [],
+  });
+  const set = (patch) => setAnswers((a) => ({ ...a, ...patch }));
+  const last = step === ONBOARDING_STEPS.length - 1;
+  // Habilidades que se pueden practicar con el material elegido
+  const skillOptions = Object.values(SKILL_TRACKS)
+    .filter((t) => hasEquipment(t, answers.equipment))
+    .map((t) => ({ key: t.id, label: t.title }));
+
+  const choices = (options, value, onPick) => (
+    <div className="grid gap-2">
+      {options.map((o) => (
+        <SmallButton key={o.key} tone={value === o.key ? "primary" : "neutral"} onClick={() => onPick(o.key)}>
+          {o.label}
+        </SmallButton>
+      ))}
+    </div>
+  );
 
   return (
     <div className="space-y-4">
-      <div className="rounded-2xl border border-zinc-200 bg-white p-3">
-        <div className="flex items-start justify-between gap-3">
-          <div>
-            <div className="text-xs text-zinc-500">Grupo muscular</div>
-            <div className="text-sm font-semibold text-zinc-900">{mg.label}</div>
+      <div className="flex flex-wrap gap-2">
+        {ONBOARDING_STEPS.map((label, i) => (
+          <Pill key={label} tone={i === step ? "good" : "neutral"}>
+            {i + 1}. {label}
+          </Pill>
+        ))}
+      </div>
+
+      {step === 0 ? (
+        <div className="space-y-2">
+          <div className="text-sm font-semibold text-zinc-900">¿Cuánta experiencia tienes entrenando?</div>
+          {choices(Object.values(EXPERIENCE_LEVELS), answers.experience, (experience) => set({ experience }))}
+        </div>
+      ) : step === 1 ? (
+        <div className="space-y-2">
+          <div className="text-sm font-semibold text-zinc-900">¿Cuántos días por semana puedes entrenar?</div>
+          <div className="flex flex-wrap gap-2">
+            {PROGRAM_DAYS_OPTIONS.map((n) => (
+              <SmallButton
+                key={n}
+                tone={answers.daysPerWeek === n ? "primary" : "neutral"}
+                onClick={() => set({ daysPerWeek: n })}
+              >
+                {n} días
+              </SmallButton>
+            ))}
           </div>
-          <div className="grid h-12 w-12 place-items-center rounded-2xl bg-zinc-100 text-zinc-900">
-            <MuscleIcon group={ex.muscleGroup} className="h-10 w-10" />
+        </div>
+      ) : step === 2 ? (
+        <div className="space-y-2">
+          <div className="text-sm font-semibold text-zinc-900">¿Qué material tienes en casa?</div>
+          <EquipmentChips
+            value={answers.equipment}
+            onChange={(equipment) => set({ equipment })}
+            noneLabel="Nada"
+          />
+        </div>
+      ) : step === 3 ? (
+        <div className="space-y-2">
+          <div className="text-sm font-semibold text-zinc-900">¿Cuál es tu objetivo principal?</div>
+          {choices(Object.values(ONBOARDING_GOALS), answers.goal, (goal) => set({ goal }))}
+          {answers.goal === "skill" ? (
+            <>
+              <div className="pt-2 text-sm font-semibold text-zinc-900">¿Cuál?</div>
+              {skillOptions.length ? (
+                choices(
+                  skillOptions,
+                  skillOptions.some((o) => o.key === answers.skillTrack) ? answers.skillTrack : skillOptions[0].key,
+                  (skillTrack) => set({ skillTrack })
+                )
+              ) : (
+                <div className="text-xs text-zinc-600">
+                  Con el material elegido no hay ninguna disponible. Puedes activarlas más adelante.
+                </div>
+              )}
+            </>
+          ) : null}
+        </div>
+      ) : (
+        <div className="space-y-2">
+          <div className="text-sm font-semibold text-zinc-900">¿Tienes molestias o lesiones en alguna zona?</div>
+          <div className="flex flex-wrap gap-2">
+            {Object.values(INJURY_AREAS).map((a) => (
+              <SmallButton
+                key={a.key}
+                tone={answers.injuries.includes(a.key) ? "primary" : "neutral"}
+                onClick={() =>
+                  set({
+                    injuries: answers.injuries.includes(a.key)
+                      ? answers.injuries.filter((k) => k !== a.key)
+                      : [...answers.injuries, a.key],
+                  })
+                }
+              >
+                {a.label}
+              </SmallButton>
+            ))}
+          </div>
+          <div className="text-xs text-zinc-600">
+            Los ejercicios que cargan esas zonas empezarán con menos repeticiones. Si hay dolor, consulta a un
+            profesional antes de empezar.
           </div>
         </div>
+      )}
+
+      <div className="grid grid-cols-2 gap-2">
+        <SmallButton onClick={() => (step === 0 ? onSkip() : setStep(step - 1))}>
+          {step === 0 ? "Saltar" : "Atrás"}
+        </SmallButton>
+        <SmallButton tone="primary" onClick={() => (last ? onFinish(answers) : setStep(step + 1))}>
+          {last ? "Crear mi plan" : "Siguiente"}
+        </SmallButton>
       </div>
+    </div>
+  );
+}
 
-      <div className="rounded-2xl border border-zinc-200 bg-white p-3 text-zinc-900">
-        <div className="mb-2 flex flex-wrap items-center justify-between gap-2">
-          <div className="text-xs font-semibold text-zinc-600">Paso a paso</div>
-
-          <div className="flex items-center gap-2">
-            <SmallButton
-              tone={playing ? "primary" : "neutral"}
-              onClick={() => setPlaying((p) => !p)}
-              className="px-3 py-2"
-            >
-              <span className="inline-flex items-center gap-2">
-                {playing ? <Pause className="h-4 w-4" /> : <Play className="h-4 w-4" />}
-                {playing ? "Pausa" : "Play"}
-              </span>
-            </SmallButton>
-
-            <button
-              onClick={cycleSpeed}
-              className="rounded-xl border border-zinc-200 bg-white px-3 py-2 text-sm font-semibold shadow-sm active:scale-[0.99]"
-              aria-label="Cambiar velocidad"
-              title="Velocidad"
-            >
-              <span className="inline-flex items-center gap-2">
-                <Timer className="h-4 w-4" />
-                {speedLabel()}
+function BaselineSettings({ baseline, library, onOpen, onClear }) {
+  const bases = calibrateBaseline(baseline?.results);
+  return (
+    <div className="mt-4 space-y-2">
+      <div className="text-xs font-semibold text-zinc-600">Test inicial</div>
+      {baseline ? (
+        <div className="rounded-xl bg-zinc-50 p-2 text-xs text-zinc-700">
+          <div className="mb-1 text-zinc-500">Hecho el {baseline.date}. Base de la semana 1:</div>
+          {Object.entries(bases).map(([id, b]) => (
+            <div key={id} className="flex justify-between">
+              <span>{library[id]?.title ?? id}</span>
+              <span className="font-semibold tabular-nums">
+                {b.base} {b.rule === "seconds" ? "s" : "reps"}
               </span>
-            </button>
-
-            <Pill>
-              <Timer className="h-4 w-4" />
-              {step + 1}/{steps.length}
-            </Pill>
-          </div>
+            </div>
+          ))}
         </div>
+      ) : (
+        <div className="text-xs text-zinc-600">
+          Sin test: los objetivos son los del programa. Mide tu nivel para personalizarlos.
+        </div>
+      )}
+      <div className="flex flex-wrap gap-2">
+        <SmallButton onClick={onOpen}>{baseline ? "Repetir test" : "Hacer test"}</SmallButton>
+        {baseline ? <SmallButton onClick={onClear}>Quitar calibración</SmallButton> : null}
+      </div>
+    </div>
+  );
+}
 
-        {/* Story-like progress */}
-        <div className="mb-3 grid grid-cols-3 gap-2">
-          {steps.map((_, i) => {
-            const isDone = i < step;
-            const isActive = i === step;
-            return (
-              <div key={i} className="h-1.5 overflow-hidden rounded-full bg-zinc-200">
-                {isDone ? (
-                  <div className="h-full w-full bg-zinc-900" />
-                ) : isActive ? (
-                  <motion.div
-                    key={`${ex.id}-${step}-${speedMs}-${playing}-${tick}`}
-                    className="h-full bg-zinc-900"
-                    initial={{ width: "0%" }}
-                    animate={{ width: playing ? "100%" : "0%" }}
-                    transition={
-                      playing
-                        ? { duration: speedMs / 1000, ease: "linear" }
-                        : { duration: 0.15, ease: "easeOut" }
-                    }
-                  />
-                ) : (
-                  <div className="h-full w-0" />
-                )}
-              </div>
-            );
-          })}
+function ScheduleSettings({ program, schedule, onChange }) {
+  const weekdays = schedule.weekdays;
+  const toggle = (k) =>
+    onChange({ ...schedule, weekdays: weekdays.includes(k) ? weekdays.filter((x) => x !== k) : [...weekdays, k] });
+  return (
+    <div className="space-y-2">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div className="text-xs font-semibold text-zinc-600">Inicio</div>
+        <input
+          type="date"
+          value={schedule.startDate}
+          onChange={(e) => e.target.value && onChange({ ...schedule, startDate: e.target.value, resume: null })}
+          className="rounded-xl border border-zinc-200 bg-white px-2 py-1 text-sm text-zinc-900"
+        />
+      </div>
+      <div className="text-xs font-semibold text-zinc-600">Días de entrenamiento</div>
+      <div className="flex flex-wrap gap-2">
+        {WEEKDAYS.map((d) => (
+          <SmallButton
+            key={d.key}
+            tone={weekdays.includes(d.key) ? "primary" : "neutral"}
+            onClick={() => toggle(d.key)}
+          >
+            {d.short}
+          </SmallButton>
+        ))}
+      </div>
+      {weekdays.length !== program.days.length ? (
+        <div className="text-xs text-amber-700">
+          El programa tiene {program.days.length} sesiones por semana y has elegido {weekdays.length} días: las
+          sesiones se encadenan igual, pero las semanas del programa no coincidirán con las del calendario.
         </div>
+      ) : null}
+    </div>
+  );
+}
 
-        <div className="rounded-2xl bg-zinc-50 p-3">
-          <AnimatePresence mode="wait">
-            <motion.div
-              key={`ill-${ex.id}-${step}`}
-              initial={{ opacity: 0, y: 6, filter: "blur(2px)" }}
-              animate={{ opacity: 1, y: 0, filter: "blur(0px)" }}
-              exit={{ opacity: 0, y: -6, filter: "blur(2px)" }}
-              transition={{ duration: 0.18 }}
-            >
-              <ExerciseIllustration exId={ex.id} step={step} />
-            </motion.div>
-          </AnimatePresence>
-        </div>
+function CalendarView({ schedule, logs, today }) {
+  const [month, setMonth] = useState(() => today.slice(0, 7));
+  const plannedByDate = {};
+  schedule.forEach((s) => {
+    if (s.date) (plannedByDate[s.date] ??= []).push(s);
+  });
+  const doneByDate = {};
+  const done = new Set();
+  logs.forEach((L) => {
+    (doneByDate[L.date] ??= []).push(L);
+    done.add(`${L.week}-${L.dayId}`);
+  });
 
-        <div className="mt-3 grid gap-2">
-          <AnimatePresence mode="wait">
-            <motion.div
-              key={`txt-${ex.id}-${step}`}
-              className="rounded-2xl border border-zinc-200 bg-white p-3"
-              initial={{ opacity: 0, y: 8 }}
-              animate={{ opacity: 1, y: 0 }}
-              exit={{ opacity: 0, y: -8 }}
-              transition={{ duration: 0.18 }}
+  const first = fromISODate(`${month}-01`);
+  const offset = (first.getDay() + 6) % 7;
+  const daysInMonth = new Date(first.getFullYear(), first.getMonth() + 1, 0).getDate();
+  const cells = [
+    ...Array.from({ length: offset }, () => null),
+    ...Array.from({ length: daysInMonth }, (_, i) => `${month}-${String(i + 1).padStart(2, "0")}`),
+  ];
+  const shiftMonth = (n) => setMonth(toISODate(new Date(first.getFullYear(), first.getMonth() + n, 1)).slice(0, 7));
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between">
+        <SmallButton tone="ghost" onClick={() => shiftMonth(-1)}>
+          <ChevronLeft className="h-4 w-4" />
+        </SmallButton>
+        <div className="text-sm font-semibold capitalize text-zinc-900">
+          {first.toLocaleDateString("es-ES", { month: "long", year: "numeric" })}
+        </div>
+        <SmallButton tone="ghost" onClick={() => shiftMonth(1)}>
+          <ChevronRight className="h-4 w-4" />
+        </SmallButton>
+      </div>
+      <div className="grid grid-cols-7 gap-1 text-center text-xs">
+        {WEEKDAYS.map((d) => (
+          <div key={d.key} className="font-semibold text-zinc-500">
+            {d.short}
+          </div>
+        ))}
+        {cells.map((iso, i) => {
+          if (!iso) return <div key={`pad-${i}`} />;
+          const planned = plannedByDate[iso] ?? [];
+          const logged = doneByDate[iso] ?? [];
+          const missed = iso < today && planned.some((s) => !done.has(`${s.week}-${s.dayId}`));
+          const tone = logged.length
+            ? "border-emerald-200 bg-emerald-50 text-emerald-900"
+            : missed
+            ? "border-rose-200 bg-rose-50 text-rose-900"
+            : planned.length
+            ? "border-zinc-900 bg-white text-zinc-900"
+            : "border-transparent text-zinc-400";
+          return (
+            <div
+              key={iso}
+              className={`min-h-12 rounded-xl border p-1 ${tone} ${iso === today ? "ring-2 ring-zinc-400" : ""}`}
             >
-              <div className="text-xs text-zinc-500">Paso {step + 1}</div>
-              <div className="text-sm font-semibold text-zinc-900">{steps[step]?.title}</div>
-              <div className="mt-1 text-xs leading-relaxed text-zinc-700">{steps[step]?.text}</div>
-            </motion.div>
-          </AnimatePresence>
+              <div className="tabular-nums">{Number(iso.slice(8))}</div>
+              {(logged.length ? logged : planned).map((s) => (
+                <div key={`${s.week}-${s.dayId}`} className="font-semibold">
+                  {s.week}
+                  {s.dayId}
+                </div>
+              ))}
+            </div>
+          );
+        })}
+      </div>
+      <div className="flex flex-wrap gap-2 text-xs">
+        <Pill>Planificada</Pill>
+        <Pill tone="good">Hecha</Pill>
+        <Pill tone="bad">No hecha</Pill>
+      </div>
+    </div>
+  );
+}
 
-          <div className="flex items-center justify-between gap-2">
-            <SmallButton onClick={prev} disabled={step === 0}>
-              <span className="inline-flex items-center gap-2">
-                <ChevronLeft className="h-4 w-4" /> Anterior
-              </span>
-            </SmallButton>
+function SkillsPanel({ skills, variationLevels, equipment, days, library, onToggle, onRecordTest }) {
+  const [values, setValues] = useState({});
+  const today = todayISO();
 
-            <div className="flex items-center gap-2">
-              {steps.map((_, i) => {
-                const active = i === step;
+  return (
+    <div className="space-y-4">
+      <div className="text-xs text-zinc-600">
+        Cada habilidad activa añade la práctica de su hito actual a sus sesiones. Cuando superes el
+        test, se pasa al siguiente hito.
+      </div>
+      {Object.values(SKILL_TRACKS).map((track) => {
+        const progress = skills[track.id];
+        const milestones = skillMilestones(track, progress, variationLevels);
+        const done = milestones.filter((m) => m.status === "done").length;
+        const missing = track.requires.filter((k) => !equipment.includes(k));
+        return (
+          <div key={track.id} className="rounded-2xl border border-zinc-200 bg-white p-3">
+            <div className="mb-2 flex flex-wrap items-center gap-2">
+              <div className="text-sm font-semibold text-zinc-900">{track.title}</div>
+              <Pill tone={done === milestones.length ? "good" : "neutral"}>
+                {done}/{milestones.length} hitos
+              </Pill>
+              {progress?.startedAt ? (
+                <Pill>
+                  {monthsBetween(progress.startedAt, today)} meses · desde {progress.startedAt}
+                </Pill>
+              ) : null}
+            </div>
+            <div className="mb-2 text-xs text-zinc-600">
+              {track.description}{" "}
+              {skillDaysOf(track, days).length
+                ? `Se practica: ${skillDaysOf(track, days)
+                    .map((d) => d.name)
+                    .join(" y ")}.`
+                : null}
+            </div>
+            <Toggle checked={!!progress?.active} onChange={(v) => onToggle(track.id, v)} label="Practicar" />
+            {missing.length ? (
+              <div className="mt-2 rounded-xl border border-amber-200 bg-amber-50 p-2 text-xs text-amber-900">
+                Sin {missing.map((k) => EQUIPMENT[k]?.label.toLowerCase() ?? k).join(", ")}: no se añade práctica.
+              </div>
+            ) : null}
+
+            <div className="mt-3 space-y-2">
+              {milestones.map((ms) => {
+                const test = ms.test;
+                const value = values[`${track.id}/${ms.id}`] ?? test.target;
+                const tests = (progress?.tests ?? []).filter((t) => t.milestoneId === ms.id);
                 return (
-                  <button
-                    key={i}
-                    onClick={() => goTo(i)}
-                    className={`h-2.5 w-2.5 rounded-full border transition ${
-                      active ? "bg-zinc-900 border-zinc-900" : "bg-white border-zinc-300"
+                  <div
+                    key={ms.id}
+                    className={`rounded-xl border p-2 text-xs ${
+                      ms.status === "current" ? "border-zinc-900 bg-zinc-50" : "border-zinc-200 bg-white"
                     }`}
-                    aria-label={`Ir al paso ${i + 1}`}
-                  />
+                  >
+                    <div className="flex items-center justify-between gap-2">
+                      <div className="flex items-center gap-2 font-semibold text-zinc-900">
+                        {ms.status === "done" ? (
+                          <Check className="h-4 w-4 text-emerald-600" />
+                        ) : ms.status === "locked" ? (
+                          <Lock className="h-4 w-4 text-zinc-400" />
+                        ) : (
+                          <Trophy className={`h-4 w-4 ${ms.status === "current" ? "" : "text-zinc-300"}`} />
+                        )}
+                        {ms.title}
+                      </div>
+                      {ms.status === "done" ? (
+                        <span className="text-emerald-700">
+                          {ms.completedAt}
+                          {progress?.startedAt ? ` · mes ${monthsBetween(progress.startedAt, ms.completedAt) + 1}` : ""}
+                        </span>
+                      ) : null}
+                    </div>
+
+                    {ms.status === "locked" ? (
+                      <div className="mt-1 text-zinc-600">
+                        Requiere:{" "}
+                        {ms.blockedBy
+                          .map((p) => {
+                            const ladder = EXERCISE_LADDERS[p.ladder];
+                            return `${ladder.title} → ${library[ladder.steps[p.level].exerciseId]?.title}`;
+                          })
+                          .join(", ")}
+                      </div>
+                    ) : null}
+
+                    {ms.status === "current" ? (
+                      <div className="mt-2 space-y-2">
+                        <div className="text-zinc-600">
+                          Práctica:{" "}
+                          {ms.practice
+                            .map((it) => `${library[it.exerciseId]?.title} ${it.sets}×${it.reps} ${it.unit}`)
+                            .join(" · ")}
+                        </div>
+                        <div className="flex flex-wrap items-center justify-between gap-2">
+                          <span className="text-zinc-600">
+                            Test: {library[test.exerciseId]?.title} · objetivo {test.target} {test.unit}
+                          </span>
+                          <div className="flex items-center gap-2">
+                            <Stepper
+                              value={value}
+                              onChange={(v) => setValues((s) => ({ ...s, [`${track.id}/${ms.id}`]: v }))}
+                            />
+                            <SmallButton tone="primary" onClick={() => onRecordTest(track.id, ms, value)}>
+                              Registrar
+                            </SmallButton>
+                          </div>
+                        </div>
+                        {tests.length ? (
+                          <div className="text-zinc-500 tabular-nums">
+                            Intentos: {tests.slice(0, 5).map((t) => `${t.value} (${t.date})`).join(" · ")}
+                          </div>
+                        ) : null}
+                      </div>
+                    ) : null}
+                  </div>
                 );
               })}
             </div>
-
-            <SmallButton onClick={next} disabled={step === steps.length - 1} tone="primary">
-              <span className="inline-flex items-center gap-2">
-                Siguiente <ChevronRight className="h-4 w-4" />
-              </span>
-            </SmallButton>
           </div>
-        </div>
-
-        <div className="mt-2 text-xs text-zinc-600">
-          Tip premium: deja el modo Play para entender el flujo, y pausa para ajustar la técnica.
-        </div>
-      </div>
+        );
+      })}
+    </div>
+  );
+}
 
-      {ex.cues ? (
-        <div className="rounded-2xl border border-zinc-200 bg-white p-3">
-          <div className="mb-2 text-xs font-semibold text-zinc-600">Checklist técnico</div>
-          <ul className="list-disc space-y-1 pl-5 text-xs leading-relaxed text-zinc-700">
-            {ex.cues.slice(0, 5).map((c, i) => (
-              <li key={i}>{c}</li>
-            ))}
-          </ul>
-        </div>
-      ) : null}
+// -----------------------------
+// Session drafts
+// -----------------------------
 
-      {ex.scaling ? (
-        <div className="rounded-2xl border border-zinc-200 bg-white p-3">
-          <div className="mb-2 text-xs font-semibold text-zinc-600">Cómo hacerlo más fácil/difícil</div>
-          <ul className="list-disc space-y-1 pl-5 text-xs leading-relaxed text-zinc-700">
-            {ex.scaling.map((c, i) => (
-              <li key={i}>{c}</li>
-            ))}
-          </ul>
-        </div>
-      ) : null}
+const UNDO_DELETE_MS = 8000;
 
-      {ex.safety ? (
-        <div className="rounded-2xl border border-amber-200 bg-amber-50 p-3 text-amber-900">
-          <div className="mb-1 flex items-center gap-2 text-xs font-semibold">
-            <Shield className="h-4 w-4" />
-            Seguridad
-          </div>
-          <div className="text-xs leading-relaxed">{ex.safety}</div>
-        </div>
-      ) : null}
-    </div>
+/**
+ * Orden del historial por fecha de entrenamiento (y hora, si se anotó), la más
+ * reciente primero; a igualdad, la última guardada. Las sesiones anotadas más
+ * tarde (de ayer, sin conexión...) quedan en su sitio.
+ */
+function sortedLogOrder(byId) {
+  const when = (L) => `${L.date ?? ""}T${L.time ?? ""}`;
+  return Object.keys(byId).sort(
+    (a, b) =>
+      when(byId[b]).localeCompare(when(byId[a])) || (byId[b].createdAt ?? "").localeCompare(byId[a].createdAt ?? "")
   );
 }
 
+const emptyDraft = () => ({ actualByItemId: {}, rpe: 7, completed: false, date: todayISO() });
+
+/** Clave del borrador: programa + semana-día (los resultados van por id estable del item). */
+const draftKeyOf = (programId, week, dayId) => `${programId}:${week}-${dayId}`;
+
+/**
+ * Borradores del programa con algún resultado anotado, salvo el de la sesión
+ * abierta (exceptKey), del más reciente al más antiguo.
+ */
+function unfinishedDrafts(drafts, programId, exceptKey) {
+  return Object.entries(drafts)
+    .filter(
+      ([key, d]) =>
+        key !== exceptKey && key.startsWith(`${programId}:`) && Object.keys(d.actualByItemId ?? {}).length > 0
+    )
+    .map(([key, d]) => ({ key, ...d }))
+    .sort((a, b) => (b.updatedAt ?? "").localeCompare(a.updatedAt ?? ""));
+}
+
 // -----------------------------
 // Main App
 // -----------------------------
@@ -1787,63 +6424,217 @@ const LS_KEYS = {
   state: "calisthenics_mobile_state_v2",
   logs: "calisthenics_mobile_logs_v2",
   targets: "calisthenics_mobile_targets_v2",
+  program: "calisthenics_mobile_program_v1",
+  sessionEdits: "calisthenics_mobile_session_edits_v1",
+  variations: "calisthenics_mobile_variations_v1",
+  deloads: "calisthenics_mobile_deloads_v1",
+  customExercises: "calisthenics_mobile_custom_exercises_v1",
+  equipment: "calisthenics_mobile_equipment_v1",
+  skills: "calisthenics_mobile_skills_v1",
+  baseline: "calisthenics_mobile_baseline_v1",
+  drafts: "calisthenics_mobile_drafts_v1",
 };
 
 export default function App() {
-  const plan = useMemo(() => getPlan20Weeks(), []);
+  const [customExercises, setCustomExercises] = useState(() => loadLS(LS_KEYS.customExercises, {}));
+  const library = useMemo(() => ({ ...exerciseLibrary, ...customExercises }), [customExercises]);
+  const [exerciseForm, setExerciseForm] = useState(null);
+
+  const [customProgram, setCustomProgram] = useState(() => loadLS(LS_KEYS.program, null));
+  const program = useMemo(() => resolveProgram(customProgram, library), [customProgram, library]);
+
+  // Ediciones de sesión por programa: { [programId]: { [scopeKey]: items } }
+  const [sessionEdits, setSessionEdits] = useState(() => loadLS(LS_KEYS.sessionEdits, {}));
+  const programEdits = useMemo(() => sessionEdits[program.id] ?? {}, [sessionEdits, program.id]);
+
+  // Peldaño actual por escalera: { [ladderId]: { level, since } }
+  const [variationLevels, setVariationLevels] = useState(() => loadLS(LS_KEYS.variations, {}));
+  const [promotionNotice, setPromotionNotice] = useState([]);
 
   const [appState, setAppState] = useState(() =>
-    loadLS(LS_KEYS.state, {
-      week: 1,
-      dayId: "A",
-      smartProgression: true,
-    })
+    fitStateToProgram(
+      loadLS(LS_KEYS.state, {
+        week: 1,
+        dayId: "A",
+        smartProgression: true,
+        fixedDeloads: true,
+        autoDeload: false,
+        timeBudget: null,
+        progressionModel: null,
+        onboarded: false,
+        schedule: null,
+      }),
+      program
+    )
   );
 
-  const [customTargets, setCustomTargets] = useState(() => loadLS(LS_KEYS.targets, {}));
+  // Descargas programadas por fatiga: { [programId]: [semanas] }
+  const [scheduledDeloads, setScheduledDeloads] = useState(() => loadLS(LS_KEYS.deloads, {}));
+  const [deloadNotice, setDeloadNotice] = useState(null);
+  const programDeloads = useMemo(
+    () => scheduledDeloads[program.id] ?? [],
+    [scheduledDeloads, program.id]
+  );
+  const planProgram = useMemo(
+    () => withDeloadWeeks(program, { fixed: appState.fixedDeloads !== false, scheduled: programDeloads }),
+    [program, appState.fixedDeloads, programDeloads]
+  );
 
-  const [logs, setLogs] = useState(() =>
-    loadLS(LS_KEYS.logs, {
-      order: [],
-      byId: {},
-    })
+  const [equipment, setEquipment] = useState(() => loadLS(LS_KEYS.equipment, DEFAULT_EQUIPMENT));
+
+  // Habilidades: { [trackId]: { active, startedAt, completed: { [milestoneId]: fecha }, tests } }
+  const [skills, setSkills] = useState(() => loadLS(LS_KEYS.skills, {}));
+  const skillItems = useMemo(
+    () => skillPracticeItems(skills, { variationLevels, equipment, days: program.days }),
+    [skills, variationLevels, equipment, program.days]
+  );
+
+  // Test inicial: { date, results: { [testId]: valor } } (null = sin calibrar)
+  const [baseline, setBaseline] = useState(() => loadLS(LS_KEYS.baseline, null));
+  const [baselineOpen, setBaselineOpen] = useState(false);
+  const baselineBases = useMemo(() => (baseline ? calibrateBaseline(baseline.results) : null), [baseline]);
+
+  // Al cargar, registros, objetivos y borradores guardados con claves antiguas (posición)
+  // o de otra versión del plan se traducen a los ids actuales (ver itemKeyMapper)
+  const mapStoredItemKey = planKeyMapper(planProgram, {
+    sessionEdits: programEdits,
+    variationLevels,
+    equipment,
+    library,
+    skillItems,
+  });
+
+  const [logs, setLogs] = useState(() => {
+    const migrated = migrateLogKeys(
+      loadLS(LS_KEYS.logs, {
+        order: [],
+        byId: {},
+      }),
+      mapStoredItemKey
+    );
+    return { ...migrated, order: sortedLogOrder(migrated.byId) };
+  });
+
+  // Historial resumido para el modelo de progresión por RPE
+  const autoreg = useMemo(() => buildAutoregulation(logs.order.map((id) => logs.byId[id])), [logs]);
+
+  const plan = useMemo(
+    () =>
+      buildPlan(planProgram, {
+        sessionEdits: programEdits,
+        variationLevels,
+        equipment,
+        library,
+        progressionModel: appState.progressionModel,
+        autoreg,
+        skillItems,
+        baseline: baselineBases,
+      }),
+    [
+      planProgram,
+      programEdits,
+      variationLevels,
+      equipment,
+      library,
+      appState.progressionModel,
+      autoreg,
+      skillItems,
+      baselineBases,
+    ]
+  );
+
+  // Resultados a medias por sesión: { [draftKey]: draft }, sobreviven a recargas y cambios de día
+  const [drafts, setDrafts] = useState(() =>
+    migrateDraftKeys(loadLS(LS_KEYS.drafts, {}), program.id, mapStoredItemKey)
+  );
+
+  const [customTargets, setCustomTargets] = useState(() =>
+    migrateTargetKeys(loadLS(LS_KEYS.targets, {}), mapStoredItemKey)
   );
 
   const [historyOpen, setHistoryOpen] = useState(false);
+  const [editingLogId, setEditingLogId] = useState(null);
+  // Registros borrados (el último al final), mientras se pueden deshacer. Cada cambio en
+  // la pila reinicia el plazo de todos
+  const [deletedLogs, setDeletedLogs] = useState([]);
+
+  useEffect(() => {
+    if (!deletedLogs.length) return;
+    const t = setTimeout(() => setDeletedLogs([]), UNDO_DELETE_MS);
+    return () => clearTimeout(t);
+  }, [deletedLogs]);
+  const [skillsOpen, setSkillsOpen] = useState(false);
+  const [calendarOpen, setCalendarOpen] = useState(false);
+  const [programOpen, setProgramOpen] = useState(false);
+  const [editing, setEditing] = useState(false);
   const [visualOpen, setVisualOpen] = useState(false);
   const [visualExId, setVisualExId] = useState("inclinePushUp");
 
   useEffect(() => saveLS(LS_KEYS.state, appState), [appState]);
   useEffect(() => saveLS(LS_KEYS.targets, customTargets), [customTargets]);
   useEffect(() => saveLS(LS_KEYS.logs, logs), [logs]);
+  useEffect(() => saveLS(LS_KEYS.program, customProgram), [customProgram]);
+  useEffect(() => saveLS(LS_KEYS.sessionEdits, sessionEdits), [sessionEdits]);
+  useEffect(() => saveLS(LS_KEYS.variations, variationLevels), [variationLevels]);
+  useEffect(() => saveLS(LS_KEYS.deloads, scheduledDeloads), [scheduledDeloads]);
+  useEffect(() => saveLS(LS_KEYS.customExercises, customExercises), [customExercises]);
+  useEffect(() => saveLS(LS_KEYS.equipment, equipment), [equipment]);
+  useEffect(() => saveLS(LS_KEYS.skills, skills), [skills]);
+  useEffect(() => saveLS(LS_KEYS.baseline, baseline), [baseline]);
+  useEffect(() => saveLS(LS_KEYS.drafts, drafts), [drafts]);
 
   const weekObj = plan.find((w) => w.week === appState.week) ?? plan[0];
-  const session = weekObj.sessions.find((s) => s.id === appState.dayId) ?? weekObj.sessions[0];
+  const plannedSession = weekObj.sessions.find((s) => s.id === appState.dayId) ?? weekObj.sessions[0];
+
+  // Dolor anotado en los últimos días: pausa o rebaja lo que carga esas zonas
+  const painLimits = useMemo(() => painRestrictions(logs.order.map((id) => logs.byId[id])), [logs]);
+
+  // Tras sesiones perdidas: la sesión puede incluir la que se juntó (merge) y
+  // objetivos de reentrada (reentry) durante reentry.left sesiones
+  const merge = appState.merge ?? null;
+  const reentry = appState.reentry ?? null;
+  const baseSession = useMemo(() => {
+    let s = plannedSession;
+    if (merge && merge.week === appState.week && merge.dayId === appState.dayId) {
+      const from = plan.find((w) => w.week === merge.from.week)?.sessions.find((x) => x.id === merge.from.dayId);
+      if (from) s = mergeMissedSession(s, from);
+    }
+    if (reentry) s = { ...s, items: withReentry(s.items) };
+    return { ...s, items: withPainLimits(s.items, painLimits, library) };
+  }, [plannedSession, plan, merge, reentry, painLimits, library, appState.week, appState.dayId]);
 
   const sessionKey = `${appState.week}-${appState.dayId}`;
   const warmupStorageKey = `warmup_check_${sessionKey}`;
 
-  const [draft, setDraft] = useState(() => ({
-    actualByItemId: {},
-    rpe: 7,
-    completed: false,
-    date: todayISO(),
-  }));
+  const draftKey = draftKeyOf(program.id, appState.week, appState.dayId);
+  const draft = useMemo(() => drafts[draftKey] ?? emptyDraft(), [drafts, draftKey]);
+  const otherDrafts = unfinishedDrafts(drafts, program.id, draftKey);
+
+  // Cada cambio se guarda en el borrador de la sesión abierta
+  function setDraft(update) {
+    setDrafts((ds) => {
+      const prev = ds[draftKey] ?? emptyDraft();
+      const next = typeof update === "function" ? update(prev) : update;
+      return {
+        ...ds,
+        [draftKey]: { ...next, week: appState.week, dayId: appState.dayId, updatedAt: new Date().toISOString() },
+      };
+    });
+  }
 
-  useEffect(() => {
-    setDraft({
-      actualByItemId: {},
-      rpe: 7,
-      completed: false,
-      date: todayISO(),
+  function clearDraft(key = draftKey) {
+    setDrafts((ds) => {
+      const { [key]: _drop, ...rest } = ds;
+      return rest;
     });
-  }, [sessionKey]);
+  }
 
-  const targetsByItemId = useMemo(() => {
+  // Objetivos guardados: los personalizados o, si no hay, los del plan
+  const storedTargetsByItemId = useMemo(() => {
     const m = {};
-    session.items.forEach((it, idx) => {
+    baseSession.items.forEach((it) => {
       if (it.type === "block") return;
-      const itemKey = `${it.exerciseId}:${idx}`;
+      const itemKey = itemKeyOf(it);
       const path = targetPath(appState.week, appState.dayId, itemKey);
       const ct = customTargets[path];
       m[itemKey] = {
@@ -1852,7 +6643,54 @@ export default function App() {
       };
     });
     return m;
-  }, [session.items, customTargets, appState.week, appState.dayId]);
+  }, [baseSession.items, customTargets, appState.week, appState.dayId]);
+
+  // Objetivos de hoy: los guardados con las rebajas de reentrada y dolor encima (no se guardan)
+  const baseTargetsByItemId = useMemo(() => {
+    const m = { ...storedTargetsByItemId };
+    baseSession.items.forEach((it) => {
+      const itemKey = itemKeyOf(it);
+      if (reentry && it.reentry) m[itemKey] = reentryTarget(m[itemKey], reentry);
+      if (it.painLimited) m[itemKey] = painTarget(m[itemKey]);
+    });
+    return m;
+  }, [baseSession.items, storedTargetsByItemId, reentry]);
+
+  // Con presupuesto de tiempo, la sesión visible es la ajustada: series recortadas
+  // (budgetSets) y ejercicios omitidos (skipped). Los objetivos guardados no cambian.
+  const timeBudget = appState.timeBudget ?? null;
+  const session = useMemo(
+    () =>
+      timeBudget
+        ? { ...baseSession, items: fitSessionToBudget(baseSession.items, baseTargetsByItemId, timeBudget, library) }
+        : baseSession,
+    [baseSession, baseTargetsByItemId, timeBudget, library]
+  );
+
+  const targetsByItemId = useMemo(() => {
+    const m = { ...baseTargetsByItemId };
+    session.items.forEach((it) => {
+      if (it.budgetSets === undefined) return;
+      const itemKey = itemKeyOf(it);
+      m[itemKey] = { ...m[itemKey], sets: it.budgetSets };
+    });
+    return m;
+  }, [session.items, baseTargetsByItemId]);
+
+  // Calendario: { startDate, weekdays } (null = sin fechas)
+  const schedule = appState.schedule ?? null;
+  const scheduleDates = useMemo(() => (schedule ? buildSchedule(program, schedule) : []), [program, schedule]);
+  const plannedDate =
+    scheduleDates.find((s) => s.week === appState.week && s.dayId === appState.dayId)?.date ?? null;
+
+  const longDate = (iso) => (iso ? formatDate(iso, { day: "numeric", month: "long", year: "numeric" }) : "—");
+
+  function setSchedule(next) {
+    setAppState((s) => ({ ...s, schedule: next }));
+  }
+
+  const estimatedMin = Math.round(estimateSessionSeconds(session.items, targetsByItemId, library) / 60);
+  const fullSessionMin = Math.round(estimateSessionSeconds(baseSession.items, baseTargetsByItemId, library) / 60);
 
   const scoreObj = useMemo(
     () =>
@@ -1870,74 +6708,312 @@ export default function App() {
 
   const reduceSuggestions = useMemo(() => {
     if (rec.level !== "reduce") return [];
+    // Sobre los objetivos guardados: ni el presupuesto ni las rebajas de reentrada o dolor cambian lo que se guarda
     return suggestReduction({
       items: session.items,
       actualByItemId: draft.actualByItemId,
-      targetsByItemId,
+      targetsByItemId: storedTargetsByItemId,
+      library,
+    });
+  }, [rec.level, session.items, draft.actualByItemId, storedTargetsByItemId, library]);
+
+  function applySuggestions(suggestions) {
+    if (!suggestions || suggestions.length === 0) return;
+    setCustomTargets((prev) => {
+      const next = { ...prev };
+      suggestions.forEach((sug) => {
+        const path = targetPath(appState.week, appState.dayId, sug.itemKey);
+        next[path] = { sets: sug.to.sets, reps: sug.to.reps };
+      });
+      return next;
+    });
+  }
+
+  function clearSessionTargets() {
+    const prefix = `${appState.week}-${appState.dayId}-`;
+    setCustomTargets((prev) => {
+      const next = { ...prev };
+      Object.keys(next).forEach((k) => {
+        if (k.startsWith(prefix)) delete next[k];
+      });
+      return next;
+    });
+  }
+  const recPillTone = rec.level === "advance" ? "good" : rec.level === "hold" ? "warn" : "bad";
+
+  function goPrevWeek() {
+    setAppState((s) => ({ ...s, week: clamp(s.week - 1, 1, program.weeks) }));
+  }
+  function goNextWeek() {
+    setAppState((s) => ({ ...s, week: clamp(s.week + 1, 1, program.weeks) }));
+  }
+
+  /**
+   * Traductor de claves al plan que quedará tras un cambio: otro programa, otras ediciones
+   * de sesión o, en el onboarding, otro material y otras habilidades.
+   */
+  function nextPlanKeyMapper(
+    nextProgram,
+    { edits = sessionEdits[nextProgram.id] ?? {}, equip = equipment, skillState = skills } = {}
+  ) {
+    const scheduled = scheduledDeloads[nextProgram.id] ?? [];
+    const nextPlanProgram = withDeloadWeeks(nextProgram, { fixed: appState.fixedDeloads !== false, scheduled });
+    return planKeyMapper(nextPlanProgram, {
+      sessionEdits: edits,
+      variationLevels,
+      equipment: equip,
+      library,
+      skillItems: skillPracticeItems(skillState, { variationLevels, equipment: equip, days: nextProgram.days }),
+    });
+  }
+
+  // Al cambiar el plan, lo guardado pasa a los ids nuevos sin esperar a recargar
+  function migrateStoredKeys(programId, mapKey) {
+    setLogs((prev) => migrateLogKeys(prev, mapKey));
+    setCustomTargets((prev) => migrateTargetKeys(prev, mapKey));
+    setDrafts((prev) => migrateDraftKeys(prev, programId, mapKey));
+  }
+
+  function activateProgram(next) {
+    const resolved = resolveProgram(next, library);
+    setCustomProgram(next);
+    setAppState((s) => fitStateToProgram(s, resolved));
+    migrateStoredKeys(resolved.id, nextPlanKeyMapper(resolved));
+  }
+
+  function setDay(dayId) {
+    setAppState((s) => ({ ...s, dayId }));
+  }
+
+  const editedScopes = {
+    week: !!programEdits[editScopeKey(appState.week, appState.dayId)],
+    all: !!programEdits[editScopeKey("*", appState.dayId)],
+  };
+
+  function updateProgramEdits(fn) {
+    const next = fn({ ...programEdits });
+    setSessionEdits((prev) => ({ ...prev, [program.id]: next }));
+    migrateStoredKeys(program.id, nextPlanKeyMapper(program, { edits: next }));
+  }
+
+  function saveSessionEdit(scope, items) {
+    const dayId = appState.dayId;
+    updateProgramEdits((next) => {
+      if (scope === "all") {
+        Object.keys(next).forEach((k) => {
+          if (k.slice(k.indexOf("-") + 1) === dayId) delete next[k];
+        });
+        next[editScopeKey("*", dayId)] = items;
+      } else {
+        next[editScopeKey(appState.week, dayId)] = items;
+      }
+      return next;
+    });
+    setEditing(false);
+  }
+
+  function resetSessionEdit(scope) {
+    const key = editScopeKey(scope === "all" ? "*" : appState.week, appState.dayId);
+    updateProgramEdits((next) => {
+      delete next[key];
+      return next;
     });
-  }, [rec.level, session.items, draft.actualByItemId, targetsByItemId]);
+    setEditing(false);
+  }
+
+  function getCustomTargetForItem(item) {
+    const itemKey = itemKeyOf(item);
+    const path = targetPath(appState.week, appState.dayId, itemKey);
+    return customTargets[path] ?? null;
+  }
+
+  function setCustomTargetForItem(item, target) {
+    const itemKey = itemKeyOf(item);
+    const path = targetPath(appState.week, appState.dayId, itemKey);
+    setCustomTargets((t) => ({ ...t, [path]: target }));
+  }
+
+  function getActualForItem(item) {
+    const itemKey = itemKeyOf(item);
+    return draft.actualByItemId[itemKey] ?? null;
+  }
+
+  function setActualForItem(item, actual) {
+    const itemKey = itemKeyOf(item);
+    setDraft((d) => ({
+      ...d,
+      actualByItemId: { ...d.actualByItemId, [itemKey]: actual },
+    }));
+  }
 
-  function applySuggestions(suggestions) {
-    if (!suggestions || suggestions.length === 0) return;
-    setCustomTargets((prev) => {
-      const next = { ...prev };
-      suggestions.forEach((sug) => {
-        const path = targetPath(appState.week, appState.dayId, sug.itemKey);
-        next[path] = { sets: sug.to.sets, reps: sug.to.reps };
+  // Las rondas visibles pueden venir rebajadas; lo guardado se mueve lo mismo
+  function setGroupRounds(entries, sets) {
+    entries.forEach(({ item }) => {
+      const itemKey = itemKeyOf(item);
+      const stored = storedTargetsByItemId[itemKey];
+      const delta = sets - (targetsByItemId[itemKey]?.sets ?? stored.sets);
+      setCustomTargetForItem(item, {
+        ...(getCustomTargetForItem(item) ?? {}),
+        sets: Math.max(1, stored.sets + delta),
+        reps: stored.reps,
       });
-      return next;
     });
   }
 
-  function clearSessionTargets() {
-    const prefix = `${appState.week}-${appState.dayId}-`;
-    setCustomTargets((prev) => {
-      const next = { ...prev };
-      Object.keys(next).forEach((k) => {
-        if (k.startsWith(prefix)) delete next[k];
-      });
-      return next;
+  function setGroupRoundsDone(entries, setsDone) {
+    entries.forEach(({ item }) => {
+      const targetReps = targetsByItemId[itemKeyOf(item)]?.reps ?? item.reps;
+      setActualForItem(item, resizeSets(item, getActualForItem(item), setsDone, targetReps));
     });
   }
-  const recPillTone = rec.level === "advance" ? "good" : rec.level === "hold" ? "warn" : "bad";
 
-  function goPrevWeek() {
-    setAppState((s) => ({ ...s, week: clamp(s.week - 1, 1, 20) }));
+  const recentLogs = useMemo(() => logs.order.map((id) => logs.byId[id]), [logs]);
+  // Último guardado (no la sesión de fecha más reciente): los avisos descartados vuelven
+  // a salir al guardar otra sesión, aunque sea con fecha atrasada
+  const lastSavedAt = useMemo(
+    () => recentLogs.reduce((max, L) => ((L.createdAt ?? "") > max ? L.createdAt : max), "") || "none",
+    [recentLogs]
+  );
+  const asymmetries = useMemo(() => analyzeAsymmetry(recentLogs), [recentLogs]);
+  const painTrend = useMemo(() => painHistory(recentLogs), [recentLogs]);
+
+  const today = todayISO();
+  const missedInfo = detectMissedSessions({
+    scheduleDates,
+    logs: recentLogs,
+    position: { week: appState.week, dayId: appState.dayId },
+    today,
+  });
+  const showMissed =
+    (missedInfo.missed.length > 0 || (!schedule && missedInfo.layoff)) &&
+    appState.missedDismissedAt !== lastSavedAt;
+
+  // Retoma el programa en `position` desde hoy, con reentrada si hubo parón
+  function resumeAt(position) {
+    const layoff = missedInfo.layoff;
+    setAppState((s) => ({
+      ...s,
+      week: position.week,
+      dayId: position.dayId,
+      schedule: s.schedule ? { ...s.schedule, resume: { ...position, date: today } } : s.schedule,
+      reentry: layoff
+        ? { label: layoff.label, repsFactor: layoff.repsFactor, setsDelta: layoff.setsDelta, left: layoff.sessions }
+        : s.reentry ?? null,
+      missedDismissedAt: lastSavedAt,
+    }));
   }
-  function goNextWeek() {
-    setAppState((s) => ({ ...s, week: clamp(s.week + 1, 1, 20) }));
+
+  function mergeMissed() {
+    const order = programSessionOrder(program);
+    const next = order[sessionIndexOf(order, appState) + 1];
+    if (!next) return;
+    setAppState((s) => ({
+      ...s,
+      week: next.week,
+      dayId: next.dayId,
+      merge: { ...next, from: { week: s.week, dayId: s.dayId } },
+    }));
   }
 
-  function setDay(dayId) {
-    setAppState((s) => ({ ...s, dayId }));
+  const renderSessionItem = ({ item, idx }) => (
+    <SessionItem
+      key={itemKeyOf(item)}
+      item={item}
+      index={idx}
+      customTarget={item.type === "block" ? null : getCustomTargetForItem(item)}
+      target={baseTargetsByItemId[itemKeyOf(item)]}
+      onChangeCustomTarget={(t) => setCustomTargetForItem(item, t)}
+      actual={item.type === "block" ? null : getActualForItem(item)}
+      onChangeActual={(a) => setActualForItem(item, a)}
+      onOpenVisual={openVisual}
+      onChangeVariation={setVariation}
+      warmupStorageKey={warmupStorageKey}
+      library={library}
+      asymmetry={isUnilateral(item) ? asymmetries.find((x) => x.exerciseId === item.exerciseId) : null}
+    />
+  );
+
+
+  const fatigue = useMemo(
+    () => analyzeFatigue(recentLogs, (w) => isDeloadWeek(planProgram, w)),
+    [recentLogs, planProgram]
+  );
+  const fatigueTargetWeek = deloadTargetWeek({
+    week: appState.week,
+    weeks: program.weeks,
+    recentLogs,
+  });
+  const showFatigueAlert =
+    fatigue.level === "high" &&
+    !isDeloadWeek(planProgram, fatigueTargetWeek) &&
+    appState.fatigueDismissedAt !== lastSavedAt;
+
+  function scheduleDeload(week) {
+    setScheduledDeloads((prev) => ({
+      ...prev,
+      [program.id]: [...new Set([...(prev[program.id] ?? []), week])].sort((a, b) => a - b),
+    }));
   }
 
-  function targetPath(week, dayId, itemKey) {
-    return `${week}-${dayId}-${itemKey}`;
+  function removeScheduledDeload(week) {
+    setScheduledDeloads((prev) => ({
+      ...prev,
+      [program.id]: (prev[program.id] ?? []).filter((w) => w !== week),
+    }));
   }
 
-  function getCustomTargetForItem(item, idx) {
-    const itemKey = `${item.exerciseId}:${idx}`;
-    const path = targetPath(appState.week, appState.dayId, itemKey);
-    return customTargets[path] ?? null;
+  function saveCustomExercise(ex) {
+    setCustomExercises((prev) => ({ ...prev, [ex.id]: ex }));
+    setExerciseForm(null);
   }
 
-  function setCustomTargetForItem(item, idx, target) {
-    const itemKey = `${item.exerciseId}:${idx}`;
-    const path = targetPath(appState.week, appState.dayId, itemKey);
-    setCustomTargets((t) => ({ ...t, [path]: target }));
+  function deleteCustomExercise(ex) {
+    if (!confirm(`¿Borrar "${ex.title}"? Se quitará de las sesiones donde lo hayas añadido.`)) return;
+    setCustomExercises((prev) => {
+      const next = { ...prev };
+      delete next[ex.id];
+      return next;
+    });
   }
 
-  function getActualForItem(item, idx) {
-    const itemKey = `${item.exerciseId}:${idx}`;
-    return draft.actualByItemId[itemKey] ?? null;
+  function setVariation(ladderId, level) {
+    setVariationLevels((prev) => ({
+      ...prev,
+      [ladderId]: { level, since: new Date().toISOString() },
+    }));
   }
 
-  function setActualForItem(item, idx, actual) {
-    const itemKey = `${item.exerciseId}:${idx}`;
-    setDraft((d) => ({
-      ...d,
-      actualByItemId: { ...d.actualByItemId, [itemKey]: actual },
+  // Cuestionario inicial: programa, semana de inicio, material y objetivos ajustados
+  function finishOnboarding(answers) {
+    const setup = onboardingSetup(answers, DEFAULT_PROGRAM, library);
+    setCustomProgram(setup.program);
+    setEquipment(answers.equipment);
+    migrateStoredKeys(
+      setup.program.id,
+      nextPlanKeyMapper(setup.program, { equip: answers.equipment, skillState: setup.skills })
+    );
+    // Los objetivos del onboarding ya van con los ids del plan nuevo y sustituyen a los anteriores
+    setCustomTargets(setup.customTargets);
+    setSkills(setup.skills);
+    setAppState((s) => ({ ...s, ...setup.state, profile: answers, onboarded: true }));
+  }
+
+  function toggleSkill(trackId, active) {
+    setSkills((prev) => ({
+      ...prev,
+      [trackId]: { completed: {}, tests: [], startedAt: todayISO(), ...prev[trackId], active },
+    }));
+  }
+
+  function recordSkill(trackId, milestone, value) {
+    setSkills((prev) => ({
+      ...prev,
+      [trackId]: recordSkillTest(
+        { completed: {}, tests: [], startedAt: todayISO(), ...prev[trackId] },
+        milestone,
+        value,
+        todayISO()
+      ),
     }));
   }
 
@@ -1956,6 +7032,7 @@ export default function App() {
       id,
       createdAt: new Date().toISOString(),
       date: draft.date,
+      time: draft.time || undefined,
       week: appState.week,
       dayId: appState.dayId,
       sessionTitle: session.title,
@@ -1964,41 +7041,126 @@ export default function App() {
       pct: scoreObj.pct,
       recommendation: rec.level,
       actualByItemId: draft.actualByItemId,
+      exerciseByItemId: Object.fromEntries(
+        session.items.map((it) => [itemKeyOf(it), it.exerciseId]).filter(([, id]) => id)
+      ),
+      prescription: prescriptionSnapshot(session.items, targetsByItemId),
+      pain: draft.pain?.length ? draft.pain : undefined,
       completed: true,
     };
 
+    const nextById = { ...logs.byId, [id]: payload };
+    const nextLogs = sortedLogOrder(nextById).map((lid) => nextById[lid]);
+
+    if (appState.smartProgression) {
+      const promotions = ladderPromotions({
+        items: session.items,
+        logs: nextLogs,
+        variationLevels,
+      });
+      promotions.forEach((p) => setVariation(p.ladderId, p.level));
+      setPromotionNotice(promotions);
+    }
+
+    if (appState.autoDeload) {
+      const target = deloadTargetWeek({ week: appState.week, weeks: program.weeks, recentLogs: nextLogs });
+      const f = analyzeFatigue(nextLogs, (w) => isDeloadWeek(planProgram, w));
+      if (f.level === "high" && !isDeloadWeek(planProgram, target)) {
+        scheduleDeload(target);
+        setDeloadNotice(target);
+      }
+    }
+
     setLogs((prev) => {
-      const order = [id, ...prev.order];
       const byId = { ...prev.byId, [id]: payload };
-      return { order, byId };
+      return { order: sortedLogOrder(byId), byId };
     });
 
     if (appState.smartProgression) {
+      const days = program.days;
       if (rec.level === "advance") {
-        const idx = DAYS.findIndex((d) => d.id === appState.dayId);
-        if (idx < DAYS.length - 1) {
-          setAppState((s) => ({ ...s, dayId: DAYS[idx + 1].id }));
+        const idx = days.findIndex((d) => d.id === appState.dayId);
+        if (idx < days.length - 1) {
+          setAppState((s) => ({ ...s, dayId: days[idx + 1].id }));
         } else {
-          setAppState((s) => ({ ...s, week: clamp(s.week + 1, 1, 20), dayId: "A" }));
+          setAppState((s) => ({ ...s, week: clamp(s.week + 1, 1, program.weeks), dayId: days[0].id }));
         }
       } else if (rec.level === "hold") {
-        const idx = DAYS.findIndex((d) => d.id === appState.dayId);
-        if (idx < DAYS.length - 1) {
-          setAppState((s) => ({ ...s, dayId: DAYS[idx + 1].id }));
+        const idx = days.findIndex((d) => d.id === appState.dayId);
+        if (idx < days.length - 1) {
+          setAppState((s) => ({ ...s, dayId: days[idx + 1].id }));
         } else {
-          setAppState((s) => ({ ...s, dayId: "A" }));
+          setAppState((s) => ({ ...s, dayId: days[0].id }));
         }
       } else {
         // reduce: repetir el mismo día/semana
       }
     }
 
-    setDraft({
-      actualByItemId: {},
-      rpe: 7,
-      completed: false,
-      date: todayISO(),
+    if (reentry) {
+      setAppState((s) => ({ ...s, reentry: s.reentry?.left > 1 ? { ...s.reentry, left: s.reentry.left - 1 } : null }));
+    }
+    if (merge && merge.week === appState.week && merge.dayId === appState.dayId) {
+      setAppState((s) => ({ ...s, merge: null }));
+    }
+
+    clearDraft();
+  }
+
+  /**
+   * Items y objetivos con los que puntuar un registro pasado: su prescripción guardada
+   * o, en registros anteriores a ella, la sesión del plan de esa semana/día y, para lo
+   * que ya no está en el plan, un item con lo registrado.
+   */
+  function logContext(L) {
+    if (L.prescription) return prescriptionItems(L.prescription);
+    const session = plan.find((w) => w.week === L.week)?.sessions.find((x) => x.id === L.dayId);
+    const planned = (session?.items ?? []).filter((it) => it.type !== "block");
+    const extra = Object.entries(L.actualByItemId ?? {})
+      .filter(([key, a]) => !planned.some((it) => itemKeyOf(it) === key) && setsOf(a).length)
+      .map(([key, a]) => ({
+        id: key,
+        exerciseId: loggedExerciseOf(L, key),
+        type: "reps",
+        sets: setsOf(a).length,
+        reps: Math.max(...setsOf(a).map((st) => st.reps ?? Math.min(st.repsLeft ?? 0, st.repsRight ?? 0))),
+      }));
+    const items = [...planned, ...extra];
+    const targetsByItemId = Object.fromEntries(
+      items.map((it) => {
+        const ct = customTargets[targetPath(L.week, L.dayId, itemKeyOf(it))];
+        return [itemKeyOf(it), { sets: ct?.sets ?? it.sets, reps: ct?.reps ?? it.reps }];
+      })
+    );
+    return { items, targetsByItemId };
+  }
+
+  function updateLog(next) {
+    const rescored = rescoreLog(next, logContext(next));
+    setLogs((prev) => {
+      const byId = { ...prev.byId, [next.id]: rescored };
+      return { order: sortedLogOrder(byId), byId };
+    });
+    setEditingLogId(null);
+  }
+
+  function deleteLog(id) {
+    setDeletedLogs((prev) => [...prev, logs.byId[id]]);
+    setLogs((prev) => {
+      const { [id]: _drop, ...byId } = prev.byId;
+      return { order: prev.order.filter((x) => x !== id), byId };
+    });
+  }
+
+  // Deshace el último borrado; los anteriores siguen en la pila
+  function undoDeleteLog() {
+    const last = deletedLogs[deletedLogs.length - 1];
+    if (!last) return;
+    setLogs((prev) => {
+      const byId = { ...prev.byId, [last.id]: last };
+      return { order: sortedLogOrder(byId), byId };
     });
+    setDeletedLogs((prev) => prev.slice(0, -1));
   }
 
   function resetAll() {
@@ -2007,13 +7169,45 @@ export default function App() {
       localStorage.removeItem(LS_KEYS.state);
       localStorage.removeItem(LS_KEYS.targets);
       localStorage.removeItem(LS_KEYS.logs);
+      localStorage.removeItem(LS_KEYS.program);
+      localStorage.removeItem(LS_KEYS.sessionEdits);
+      localStorage.removeItem(LS_KEYS.variations);
+      localStorage.removeItem(LS_KEYS.deloads);
+      localStorage.removeItem(LS_KEYS.customExercises);
+      localStorage.removeItem(LS_KEYS.equipment);
+      localStorage.removeItem(LS_KEYS.skills);
+      localStorage.removeItem(LS_KEYS.baseline);
+      localStorage.removeItem(LS_KEYS.drafts);
     } catch {
       // ignore (e.g., privacy mode / no localStorage)
     }
-    setAppState({ week: 1, dayId: "A", smartProgression: true });
+    setAppState({
+      week: 1,
+      dayId: DEFAULT_PROGRAM.days[0].id,
+      smartProgression: true,
+      fixedDeloads: true,
+      autoDeload: false,
+      timeBudget: null,
+      progressionModel: null,
+      onboarded: false,
+      schedule: null,
+      merge: null,
+      reentry: null,
+    });
     setCustomTargets({});
     setLogs({ order: [], byId: {} });
-    setDraft({ actualByItemId: {}, rpe: 7, completed: false, date: todayISO() });
+    setCustomProgram(null);
+    setSessionEdits({});
+    setVariationLevels({});
+    setScheduledDeloads({});
+    setCustomExercises({});
+    setEquipment(DEFAULT_EQUIPMENT);
+    setSkills({});
+    setBaseline(null);
+    setDeloadNotice(null);
+    setPromotionNotice([]);
+    setEditing(false);
+    setDrafts({});
   }
 
   const historySeries = useMemo(() => {
@@ -2032,22 +7226,179 @@ export default function App() {
     return items;
   }, [logs]);
 
-  const deload = isDeloadWeek(appState.week);
-  const visualEx = exerciseLibrary[visualExId] ?? exerciseLibrary.inclinePushUp;
+  const deload = isDeloadWeek(planProgram, appState.week);
+  const visualEx = library[visualExId] ?? exerciseLibrary.inclinePushUp;
 
   return (
     <div className="min-h-screen bg-zinc-50">
       <TopBar
+        programTitle={program.title}
         week={appState.week}
-        day={DAYS.find((d) => d.id === appState.dayId)?.name ?? "Día"}
+        weeks={program.weeks}
+        day={program.days.find((d) => d.id === appState.dayId)?.name ?? "Día"}
         onPrevWeek={goPrevWeek}
         onNextWeek={goNextWeek}
         onOpenHistory={() => setHistoryOpen(true)}
+        onOpenSkills={() => setSkillsOpen(true)}
+        onOpenProgram={() => setProgramOpen(true)}
       />
 
-      <Tabs value={appState.dayId} onChange={setDay} />
+      <Tabs days={program.days} value={appState.dayId} onChange={setDay} />
 
       <main className="mx-auto max-w-xl space-y-4 px-4 pb-28 pt-4">
+        {deloadNotice ? (
+          <div className="rounded-3xl border border-amber-200 bg-amber-50 p-4 text-amber-900 shadow-sm">
+            <div className="flex items-start justify-between gap-3">
+              <div>
+                <div className="text-sm font-semibold">Descarga programada: semana {deloadNotice}</div>
+                <div className="mt-1 text-xs">
+                  Se detectó fatiga acumulada. Esa semana baja series y reps para recuperar.
+                </div>
+              </div>
+              <SmallButton tone="ghost" onClick={() => setDeloadNotice(null)}>
+                OK
+              </SmallButton>
+            </div>
+          </div>
+        ) : showFatigueAlert ? (
+          <div className="rounded-3xl border border-amber-200 bg-amber-50 p-4 text-amber-900 shadow-sm">
+            <div className="text-sm font-semibold">Fatiga acumulada</div>
+            <ul className="mt-2 list-disc space-y-1 pl-5 text-xs">
+              {fatigue.reasons.map((r) => (
+                <li key={r}>{r}</li>
+              ))}
+            </ul>
+            <div className="mt-3 flex flex-wrap gap-2">
+              <SmallButton tone="primary" onClick={() => scheduleDeload(fatigueTargetWeek)}>
+                Descarga en semana {fatigueTargetWeek}
+              </SmallButton>
+              <SmallButton
+                onClick={() => setAppState((s) => ({ ...s, fatigueDismissedAt: lastSavedAt }))}
+              >
+                Ignorar
+              </SmallButton>
+            </div>
+          </div>
+        ) : null}
+
+        {Object.keys(painLimits).length ? (
+          <div className="rounded-3xl border border-rose-200 bg-rose-50 p-4 text-rose-900 shadow-sm">
+            <div className="text-sm font-semibold">Dolor reciente</div>
+            <ul className="mt-2 list-disc space-y-1 pl-5 text-xs">
+              {Object.entries(painLimits).map(([region, r]) => (
+                <li key={region}>
+                  {PAIN_REGIONS[region]?.label} {r.intensity}/10 el {formatDate(r.date)}:{" "}
+                  {r.level === "block"
+                    ? "se pausan los ejercicios que cargan la zona."
+                    : "una serie menos y menos reps en los ejercicios que cargan la zona."}
+                </li>
+              ))}
+            </ul>
+            <div className="mt-2 text-xs">
+              Anota cómo va al terminar la sesión: si baja, se levanta el límite. Si el dolor sigue, consulta a un
+              profesional.
+            </div>
+          </div>
+        ) : null}
+
+        {otherDrafts.length ? (
+          <div className="rounded-3xl border border-sky-200 bg-sky-50 p-4 text-sky-900 shadow-sm">
+            <div className="text-sm font-semibold">Sesión sin terminar</div>
+            <div className="mt-1 text-xs">
+              Semana {otherDrafts[0].week} · {program.days.find((d) => d.id === otherDrafts[0].dayId)?.name ?? otherDrafts[0].dayId}
+              {" — "}
+              {Object.keys(otherDrafts[0].actualByItemId).length} ejercicios anotados el {formatDate(otherDrafts[0].date)}.
+            </div>
+            <div className="mt-3 flex flex-wrap gap-2">
+              <SmallButton
+                tone="primary"
+                onClick={() => setAppState((s) => ({ ...s, week: otherDrafts[0].week, dayId: otherDrafts[0].dayId }))}
+              >
+                Retomar
+              </SmallButton>
+              <SmallButton tone="ghost" onClick={() => clearDraft(otherDrafts[0].key)}>
+                Descartar
+              </SmallButton>
+            </div>
+          </div>
+        ) : null}
+
+        {showMissed ? (
+          <div className="rounded-3xl border border-amber-200 bg-amber-50 p-4 text-amber-900 shadow-sm">
+            <div className="text-sm font-semibold">
+              {missedInfo.missed.length
+                ? `${missedInfo.missed.length} ${missedInfo.missed.length === 1 ? "sesión pendiente" : "sesiones pendientes"} desde el ${formatDate(missedInfo.missed[0].date)}`
+                : `${missedInfo.gapDays} días sin entrenar`}
+            </div>
+            <div className="mt-1 text-xs">
+              {missedInfo.layoff
+                ? `${missedInfo.layoff.label}: las próximas ${missedInfo.layoff.sessions} sesiones bajarán un ${Math.round(
+                    (1 - missedInfo.layoff.repsFactor) * 100
+                  )}% las reps${missedInfo.layoff.setsDelta ? " y una serie" : ""} para volver sin riesgo.`
+                : "Elige cómo seguir: no hace falta recuperar todo."}
+            </div>
+            <div className="mt-3 flex flex-wrap gap-2">
+              <SmallButton tone="primary" onClick={() => resumeAt({ week: appState.week, dayId: appState.dayId })}>
+                {schedule ? "Mover el calendario" : "Seguir donde lo dejé"}
+              </SmallButton>
+              {missedInfo.missed.length === 1 && !missedInfo.layoff ? (
+                <SmallButton onClick={mergeMissed}>Juntar con la siguiente</SmallButton>
+              ) : null}
+              {missedInfo.gapDays >= LONG_BREAK_DAYS && appState.week > 1 ? (
+                <SmallButton onClick={() => resumeAt({ week: appState.week - 1, dayId: program.days[0].id })}>
+                  Repetir semana {appState.week - 1}
+                </SmallButton>
+              ) : null}
+              <SmallButton
+                tone="ghost"
+                onClick={() => setAppState((s) => ({ ...s, missedDismissedAt: lastSavedAt }))}
+              >
+                Ignorar
+              </SmallButton>
+            </div>
+          </div>
+        ) : null}
+
+        {!baseline && logs.order.length === 0 && !appState.baselineDismissed ? (
+          <div className="rounded-3xl border border-zinc-200 bg-white p-4 shadow-sm">
+            <div className="text-sm font-semibold text-zinc-900">Antes de empezar: test de nivel</div>
+            <div className="mt-1 text-xs text-zinc-600">
+              Unos minutos de pruebas (máximo de reps, plancha y step-ups) para ajustar los objetivos de todo
+              el programa a tu punto de partida.
+            </div>
+            <div className="mt-3 flex flex-wrap gap-2">
+              <SmallButton tone="primary" onClick={() => setBaselineOpen(true)}>
+                Hacer test
+              </SmallButton>
+              <SmallButton onClick={() => setAppState((s) => ({ ...s, baselineDismissed: true }))}>
+                Ahora no
+              </SmallButton>
+            </div>
+          </div>
+        ) : null}
+
+        {promotionNotice.length ? (
+          <div className="rounded-3xl border border-emerald-200 bg-emerald-50 p-4 text-emerald-900 shadow-sm">
+            <div className="flex items-start justify-between gap-3">
+              <div>
+                <div className="flex items-center gap-2 text-sm font-semibold">
+                  <Sparkles className="h-4 w-4" /> ¡Subes de variante!
+                </div>
+                <ul className="mt-2 space-y-1 text-xs">
+                  {promotionNotice.map((p) => (
+                    <li key={p.ladderId}>
+                      {exerciseLibrary[p.from].title} → <b>{exerciseLibrary[p.to].title}</b>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+              <SmallButton tone="ghost" onClick={() => setPromotionNotice([])}>
+                OK
+              </SmallButton>
+            </div>
+          </div>
+        ) : null}
+
         <div className="rounded-3xl border border-zinc-200 bg-white p-4 shadow-sm">
           <div className="flex items-start justify-between gap-4">
             <div>
@@ -2059,8 +7410,31 @@ export default function App() {
                   {weekObj.sets} series base
                 </Pill>
                 {deload ? <Pill tone="warn">Semana de descarga</Pill> : null}
+                {!deload && fatigue.level === "watch" ? <Pill tone="warn">Fatiga en aumento</Pill> : null}
+                {editedScopes.week || editedScopes.all ? <Pill>Editada</Pill> : null}
+                {plannedDate ? (
+                  <Pill tone={plannedDate < todayISO() ? "warn" : "neutral"}>
+                    <CalendarDays className="h-4 w-4" />
+                    {formatDate(plannedDate)}
+                  </Pill>
+                ) : null}
+                <Pill tone={timeBudget && estimatedMin > timeBudget ? "warn" : "neutral"}>
+                  <Timer className="h-4 w-4" />≈ {estimatedMin} min
+                </Pill>
                 <Pill tone={recPillTone}>Recomendación: {rec.label}</Pill>
               </div>
+              <div className="mt-3 flex flex-wrap gap-2">
+                <SmallButton onClick={() => setEditing((v) => !v)} tone={editing ? "primary" : "neutral"}>
+                  <span className="inline-flex items-center gap-2">
+                    <Pencil className="h-4 w-4" /> {editing ? "Editando sesión" : "Editar sesión"}
+                  </span>
+                </SmallButton>
+                <SmallButton onClick={() => setCalendarOpen(true)}>
+                  <span className="inline-flex items-center gap-2">
+                    <CalendarDays className="h-4 w-4" /> Calendario
+                  </span>
+                </SmallButton>
+              </div>
             </div>
             <div className="text-right">
               <div className="text-xs text-zinc-500">Score</div>
@@ -2071,125 +7445,185 @@ export default function App() {
               <div className="text-xs text-zinc-500">cumplimiento: {Math.round(scoreObj.pct * 100)}%</div>
             </div>
           </div>
+          <TimeBudgetBar
+            budget={timeBudget}
+            estimatedMin={estimatedMin}
+            fullMin={fullSessionMin}
+            onChange={(v) => setAppState((s) => ({ ...s, timeBudget: v }))}
+          />
         </div>
 
-        <div className="space-y-4">
-          {session.items.map((item, idx) => (
-            <SessionItem
-              key={`${item.exerciseId}-${idx}`}
-              item={item}
-              index={idx}
-              customTarget={item.type === "block" ? null : getCustomTargetForItem(item, idx)}
-              onChangeCustomTarget={(t) => setCustomTargetForItem(item, idx, t)}
-              actual={item.type === "block" ? null : getActualForItem(item, idx)}
-              onChangeActual={(a) => setActualForItem(item, idx, a)}
-              onOpenVisual={openVisual}
-              warmupStorageKey={warmupStorageKey}
-            />
-          ))}
-        </div>
-
-        <div className="rounded-3xl border border-zinc-200 bg-white p-4 shadow-sm">
-          <div className="mt-4 grid gap-3">
-            <div className="rounded-2xl border border-zinc-200 bg-zinc-50 p-3">
-              <div className="mb-2 text-xs font-semibold text-zinc-600">Evaluación post-entreno</div>
-              <div className="mb-2 text-xs font-semibold text-zinc-600">Esfuerzo percibido (RPE)</div>
-              <div className="flex items-center justify-between gap-3">
-                <input
-                  type="range"
-                  min={5}
-                  max={10}
-                  value={draft.rpe}
-                  onChange={(e) => setDraft((d) => ({ ...d, rpe: Number(e.target.value) }))}
-                  className="w-full"
-                />
-                <div className="w-12 text-right text-sm font-bold tabular-nums text-zinc-900">{draft.rpe}</div>
-              </div>
-              <div className="mt-2 text-xs text-zinc-600">6–7 = cómodo · 8 = duro controlado · 9–10 = demasiado</div>
+        {editing ? (
+          <SessionEditor
+            key={`${program.id}-${sessionKey}`}
+            program={program}
+            library={library}
+            week={appState.week}
+            dayName={program.days.find((d) => d.id === appState.dayId)?.name ?? "Día"}
+            items={sessionSpecItems(program, programEdits, appState.week, appState.dayId, library)}
+            editedScopes={editedScopes}
+            onSave={saveSessionEdit}
+            onResetScope={resetSessionEdit}
+            onCreateExercise={() => setExerciseForm({ initial: null })}
+            onClose={() => setEditing(false)}
+          />
+        ) : (
+          <>
+            <div className="space-y-4">
+              {sessionSegments(session.items).map(({ group, entries }) => {
+                if (!group) return renderSessionItem(entries[0]);
+                const first = entries[0];
+                const firstKey = itemKeyOf(first.item);
+                return (
+                  <ItemGroup
+                    key={`${group.id}:${firstKey}`}
+                    group={group}
+                    rest={first.item.rest}
+                    rounds={targetsByItemId[firstKey]?.sets ?? first.item.sets}
+                    plannedRounds={baseTargetsByItemId[firstKey]?.sets ?? first.item.sets}
+                    roundsDone={setsDoneOf(session.items, draft.actualByItemId, first.item)}
+                    skipped={first.item.skipped}
+                    onChangeRounds={(v) => setGroupRounds(entries, v)}
+                    onChangeRoundsDone={(v) => setGroupRoundsDone(entries, v)}
+                  >
+                    {entries.map(renderSessionItem)}
+                  </ItemGroup>
+                );
+              })}
             </div>
 
-            <Toggle
-              checked={appState.smartProgression}
-              onChange={(v) => setAppState((s) => ({ ...s, smartProgression: v }))}
-              label="Progresión inteligente"
-            />
-          </div>
-
-          <div className="grid gap-2">
-            <SmallButton onClick={saveSession} tone="primary">
-              Guardar sesión
-            </SmallButton>
-            <SmallButton
-              onClick={() =>
-                setDraft({ actualByItemId: {}, rpe: 7, completed: false, date: todayISO() })
-              }
-            >
-              Limpiar resultados (solo esta sesión)
-            </SmallButton>
-            <SmallButton onClick={resetAll}>
-              <span className="inline-flex items-center gap-2">
-                <RefreshCw className="h-4 w-4" />
-                Reset total
-              </span>
-            </SmallButton>
-          </div>
-
-          {rec.level === "reduce" ? (
-            <div className="mt-4 rounded-2xl border border-rose-200 bg-rose-50 p-3 text-xs text-rose-900">
-              <div className="flex items-start justify-between gap-3">
-                <div>
-                  <div className="font-semibold">Ajuste sugerido (automático)</div>
-                  <div className="mt-1 text-rose-800">
-                    Para que la próxima sesión sea alcanzable, la app propone bajar un poco el objetivo en los ejercicios donde no llegaste.
+            <div className="rounded-3xl border border-zinc-200 bg-white p-4 shadow-sm">
+              <div className="mt-4 grid gap-3">
+                <div className="rounded-2xl border border-zinc-200 bg-zinc-50 p-3">
+                  <div className="mb-2 text-xs font-semibold text-zinc-600">Evaluación post-entreno</div>
+                  <div className="mb-3 flex flex-wrap items-center justify-between gap-2">
+                    <div className="text-xs font-semibold text-zinc-600">Fecha del entreno</div>
+                    <div className="flex gap-2">
+                      <input
+                        type="date"
+                        value={draft.date}
+                        max={today}
+                        onChange={(e) => e.target.value && setDraft((d) => ({ ...d, date: e.target.value }))}
+                        className="rounded-xl border border-zinc-200 bg-white px-2 py-1 text-sm text-zinc-900"
+                      />
+                      <input
+                        type="time"
+                        value={draft.time ?? ""}
+                        onChange={(e) => setDraft((d) => ({ ...d, time: e.target.value }))}
+                        className="rounded-xl border border-zinc-200 bg-white px-2 py-1 text-sm text-zinc-900"
+                        aria-label="Hora (opcional)"
+                      />
+                    </div>
                   </div>
+                  {draft.date !== today ? (
+                    <div className="mb-3 text-xs text-amber-800">Se guardará con fecha {formatDate(draft.date)}.</div>
+                  ) : null}
+                  <div className="mb-2 text-xs font-semibold text-zinc-600">Esfuerzo percibido (RPE)</div>
+                  <div className="flex items-center justify-between gap-3">
+                    <input
+                      type="range"
+                      min={5}
+                      max={10}
+                      value={draft.rpe}
+                      onChange={(e) => setDraft((d) => ({ ...d, rpe: Number(e.target.value) }))}
+                      className="w-full"
+                    />
+                    <div className="w-12 text-right text-sm font-bold tabular-nums text-zinc-900">{draft.rpe}</div>
+                  </div>
+                  <div className="mt-2 text-xs text-zinc-600">6–7 = cómodo · 8 = duro controlado · 9–10 = demasiado</div>
                 </div>
-                <SmallButton
-                  onClick={() => applySuggestions(reduceSuggestions)}
-                  tone="primary"
-                  disabled={reduceSuggestions.length === 0}
-                >
-                  Aplicar
+
+                <div className="rounded-2xl border border-zinc-200 bg-white p-3">
+                  <div className="mb-2 text-xs font-semibold text-zinc-600">Dolor o molestias (sesión)</div>
+                  <PainLog
+                    key={draftKey}
+                    entries={draft.pain ?? []}
+                    onChange={(pain) => setDraft((d) => ({ ...d, pain }))}
+                  />
+                </div>
+
+                <Toggle
+                  checked={appState.smartProgression}
+                  onChange={(v) => setAppState((s) => ({ ...s, smartProgression: v }))}
+                  label="Progresión inteligente"
+                />
+              </div>
+
+              <div className="grid gap-2">
+                <SmallButton onClick={saveSession} tone="primary">
+                  Guardar sesión
+                </SmallButton>
+                <SmallButton onClick={() => clearDraft()}>
+                  Limpiar resultados (solo esta sesión)
+                </SmallButton>
+                <SmallButton onClick={resetAll}>
+                  <span className="inline-flex items-center gap-2">
+                    <RefreshCw className="h-4 w-4" />
+                    Reset total
+                  </span>
                 </SmallButton>
               </div>
 
-              {reduceSuggestions.length ? (
-                <div className="mt-3 space-y-2">
-                  {reduceSuggestions.slice(0, 6).map((sug) => (
-                    <div
-                      key={sug.itemKey}
-                      className="flex items-center justify-between rounded-xl border border-rose-200 bg-white px-3 py-2"
-                    >
-                      <div className="text-xs font-semibold text-zinc-900">{sug.title}</div>
-                      <div className="text-xs font-semibold text-rose-900">
-                        {sug.from.sets}×{sug.from.reps} → {sug.to.sets}×{sug.to.reps} {sug.from.unit}
+              {rec.level === "reduce" ? (
+                <div className="mt-4 rounded-2xl border border-rose-200 bg-rose-50 p-3 text-xs text-rose-900">
+                  <div className="flex items-start justify-between gap-3">
+                    <div>
+                      <div className="font-semibold">Ajuste sugerido (automático)</div>
+                      <div className="mt-1 text-rose-800">
+                        Para que la próxima sesión sea alcanzable, la app propone bajar un poco el objetivo en los ejercicios donde no llegaste.
                       </div>
                     </div>
-                  ))}
-                  {reduceSuggestions.length > 6 ? (
-                    <div className="text-xs text-rose-800">…y {reduceSuggestions.length - 6} más</div>
-                  ) : null}
+                    <SmallButton
+                      onClick={() => applySuggestions(reduceSuggestions)}
+                      tone="primary"
+                      disabled={reduceSuggestions.length === 0}
+                    >
+                      Aplicar
+                    </SmallButton>
+                  </div>
+
+                  {reduceSuggestions.length ? (
+                    <div className="mt-3 space-y-2">
+                      {reduceSuggestions.slice(0, 6).map((sug) => (
+                        <div
+                          key={sug.itemKey}
+                          className="flex items-center justify-between rounded-xl border border-rose-200 bg-white px-3 py-2"
+                        >
+                          <div className="text-xs font-semibold text-zinc-900">{sug.title}</div>
+                          <div className="text-xs font-semibold text-rose-900">
+                            {sug.from.reps == null
+                              ? `${sug.from.sets} → ${sug.to.sets} rondas`
+                              : `${sug.from.sets}×${sug.from.reps} → ${sug.to.sets}×${sug.to.reps} ${sug.from.unit}`}
+                          </div>
+                        </div>
+                      ))}
+                      {reduceSuggestions.length > 6 ? (
+                        <div className="text-xs text-rose-800">…y {reduceSuggestions.length - 6} más</div>
+                      ) : null}
+                    </div>
+                  ) : (
+                    <div className="mt-2 text-xs text-rose-800">Registra al menos 1 ejercicio para generar un ajuste útil.</div>
+                  )}
+
+                  <div className="mt-3 flex flex-wrap gap-2">
+                    <SmallButton onClick={clearSessionTargets}>
+                      Quitar objetivos personalizados (esta sesión)
+                    </SmallButton>
+                  </div>
                 </div>
               ) : (
-                <div className="mt-2 text-xs text-rose-800">Registra al menos 1 ejercicio para generar un ajuste útil.</div>
+                <div className="mt-4 rounded-2xl bg-zinc-50 p-3 text-xs text-zinc-700">
+                  <div className="font-semibold text-zinc-900">Cómo decide avanzar</div>
+                  <ul className="mt-2 list-disc space-y-1 pl-5">
+                    <li>Avanza si completas la mayoría de objetivos y el RPE no es excesivo.</li>
+                    <li>Mantén si estás cerca del objetivo.</li>
+                    <li>Repite más fácil si no llegas (ajusta series/reps hacia abajo).</li>
+                  </ul>
+                </div>
               )}
-
-              <div className="mt-3 flex flex-wrap gap-2">
-                <SmallButton onClick={clearSessionTargets}>
-                  Quitar objetivos personalizados (esta sesión)
-                </SmallButton>
-              </div>
-            </div>
-          ) : (
-            <div className="mt-4 rounded-2xl bg-zinc-50 p-3 text-xs text-zinc-700">
-              <div className="font-semibold text-zinc-900">Cómo decide avanzar</div>
-              <ul className="mt-2 list-disc space-y-1 pl-5">
-                <li>Avanza si completas la mayoría de objetivos y el RPE no es excesivo.</li>
-                <li>Mantén si estás cerca del objetivo.</li>
-                <li>Repite más fácil si no llegas (ajusta series/reps hacia abajo).</li>
-              </ul>
             </div>
-          )}
-        </div>
+          </>
+        )}
       </main>
 
       {/* Bottom action bar */}
@@ -2215,81 +7649,324 @@ export default function App() {
         <VisualPanel ex={visualEx} />
       </Modal>
 
-      {/* History modal */}
+      {/* Program modal */}
       <Modal
-        open={historyOpen}
-        onClose={() => setHistoryOpen(false)}
-        title="Tus sesiones"
+        open={programOpen}
+        onClose={() => setProgramOpen(false)}
+        title="Programa de entrenamiento"
+        subtitle="Ajustes"
+      >
+        <ProgramPanel
+          program={program}
+          library={library}
+          isCustom={program !== DEFAULT_PROGRAM}
+          onImport={activateProgram}
+          onReset={() => activateProgram(null)}
+        />
+        <EquipmentSettings equipment={equipment} onChange={setEquipment} />
+        <DeloadSettings
+          program={program}
+          fixed={appState.fixedDeloads !== false}
+          auto={!!appState.autoDeload}
+          scheduled={programDeloads}
+          onChange={(patch) => setAppState((s) => ({ ...s, ...patch }))}
+          onRemoveScheduled={removeScheduledDeload}
+        />
+        <ProgressionSettings
+          program={program}
+          value={appState.progressionModel ?? null}
+          onChange={(progressionModel) => setAppState((s) => ({ ...s, progressionModel }))}
+        />
+        <BaselineSettings
+          baseline={baseline}
+          library={library}
+          onOpen={() => setBaselineOpen(true)}
+          onClear={() => setBaseline(null)}
+        />
+        <CustomExercisesPanel
+          exercises={customExercises}
+          onCreate={() => setExerciseForm({ initial: null })}
+          onEdit={(ex) => setExerciseForm({ initial: ex })}
+          onDelete={deleteCustomExercise}
+        />
+      </Modal>
+
+      {/* Onboarding modal */}
+      <Modal
+        open={appState.onboarded === false}
+        onClose={() => setAppState((s) => ({ ...s, onboarded: true }))}
+        title="Tu plan"
+        subtitle="Bienvenida"
       >
-        <div className="space-y-4">
-          <div className="rounded-2xl border border-zinc-200 bg-white p-3">
-            <div className="mb-2 flex items-center justify-between">
-              <div className="text-sm font-semibold text-zinc-900">Tendencia</div>
-              <Pill>{logs.order.length} sesiones</Pill>
+        <Onboarding
+          onFinish={finishOnboarding}
+          onSkip={() => setAppState((s) => ({ ...s, onboarded: true }))}
+        />
+      </Modal>
+
+      {/* Baseline test modal */}
+      <Modal open={baselineOpen} onClose={() => setBaselineOpen(false)} title="Test de nivel" subtitle="Calibración">
+        {baselineOpen ? (
+          <BaselineForm
+            initial={baseline}
+            library={library}
+            onSave={(b) => {
+              setBaseline(b);
+              setBaselineOpen(false);
+            }}
+            onCancel={() => setBaselineOpen(false)}
+          />
+        ) : null}
+      </Modal>
+
+      {/* Calendar modal */}
+      <Modal open={calendarOpen} onClose={() => setCalendarOpen(false)} title="Calendario" subtitle="Planificación">
+        {schedule ? (
+          <div className="space-y-4">
+            <ScheduleSettings program={program} schedule={schedule} onChange={setSchedule} />
+            <div className="rounded-2xl bg-zinc-50 p-3 text-xs text-zinc-700">
+              <div>
+                Fin previsto: <b>{longDate(projectedFinish(program, schedule, appState))}</b>
+              </div>
+              <div className="text-zinc-500">
+                Plan original: {longDate(scheduleDates[scheduleDates.length - 1]?.date)} · {scheduleDates.length}{" "}
+                sesiones
+              </div>
             </div>
-            <div className="h-44">
-              <ResponsiveContainer width="100%" height="100%">
-                <LineChart data={historySeries} margin={{ top: 10, right: 10, left: -10, bottom: 0 }}>
-                  <CartesianGrid strokeDasharray="3 3" />
-                  <XAxis dataKey="idx" tick={{ fontSize: 12 }} />
-                  <YAxis domain={[0, 100]} tick={{ fontSize: 12 }} />
-                  <Tooltip />
-                  <Line type="monotone" dataKey="score" strokeWidth={3} dot={false} />
-                </LineChart>
-              </ResponsiveContainer>
+            <CalendarView
+              schedule={scheduleDates}
+              logs={logs.order.map((id) => logs.byId[id])}
+              today={todayISO()}
+            />
+            <SmallButton onClick={() => setSchedule(null)}>Quitar calendario</SmallButton>
+          </div>
+        ) : (
+          <div className="space-y-3">
+            <div className="text-sm text-zinc-700">
+              Elige qué días entrenas para repartir las {program.weeks * program.days.length} sesiones del programa
+              en fechas reales y ver cuándo terminarás.
             </div>
-            <div className="mt-2 text-xs text-zinc-600">Puntuación de cumplimiento por sesión (0–100).</div>
+            <SmallButton
+              tone="primary"
+              onClick={() =>
+                setSchedule({ startDate: todayISO(), weekdays: DEFAULT_WEEKDAYS[program.days.length] ?? [1, 3, 5] })
+              }
+            >
+              Planificar fechas
+            </SmallButton>
           </div>
+        )}
+      </Modal>
+
+      {/* Skills modal */}
+      <Modal open={skillsOpen} onClose={() => setSkillsOpen(false)} title="Habilidades" subtitle="Objetivos">
+        <SkillsPanel
+          skills={skills}
+          variationLevels={variationLevels}
+          equipment={equipment}
+          days={program.days}
+          library={library}
+          onToggle={toggleSkill}
+          onRecordTest={recordSkill}
+        />
+      </Modal>
+
+      {/* Custom exercise modal */}
+      <Modal
+        open={!!exerciseForm}
+        onClose={() => setExerciseForm(null)}
+        title={exerciseForm?.initial ? "Editar ejercicio" : "Nuevo ejercicio"}
+        subtitle="Biblioteca"
+      >
+        {exerciseForm ? (
+          <ExerciseForm
+            key={exerciseForm.initial?.id ?? "new"}
+            initial={exerciseForm.initial}
+            onSave={saveCustomExercise}
+            onCancel={() => setExerciseForm(null)}
+          />
+        ) : null}
+      </Modal>
+
+      {/* History modal */}
+      <Modal
+        open={historyOpen}
+        onClose={() => {
+          setHistoryOpen(false);
+          setEditingLogId(null);
+        }}
+        title="Tus sesiones"
+      >
+        {editingLogId && logs.byId[editingLogId] ? (
+          <LogEditor
+            key={editingLogId}
+            log={logs.byId[editingLogId]}
+            {...logContext(logs.byId[editingLogId])}
+            library={library}
+            onSave={updateLog}
+            onCancel={() => setEditingLogId(null)}
+          />
+        ) : (
+          <div className="space-y-4">
+            {deletedLogs.length ? (
+              <div className="flex items-center justify-between gap-3 rounded-2xl bg-zinc-900 px-4 py-3 text-sm text-white">
+                <span>
+                  {deletedLogs.length > 1 ? `${deletedLogs.length} sesiones borradas` : "Sesión borrada"}
+                </span>
+                <button className="font-semibold underline" onClick={undoDeleteLog}>
+                  {deletedLogs.length > 1 ? "Deshacer la última" : "Deshacer"}
+                </button>
+              </div>
+            ) : null}
 
-          {logs.order.length === 0 ? (
-            <div className="rounded-2xl border border-zinc-200 bg-white p-4 text-sm text-zinc-700">
-              Aún no hay sesiones guardadas. Cuando completes una, aparecerá aquí.
+            <div className="rounded-2xl border border-zinc-200 bg-white p-3">
+              <div className="mb-2 flex items-center justify-between">
+                <div className="text-sm font-semibold text-zinc-900">Tendencia</div>
+                <Pill>{logs.order.length} sesiones</Pill>
+              </div>
+              <div className="h-44">
+                <ResponsiveContainer width="100%" height="100%">
+                  <LineChart data={historySeries} margin={{ top: 10, right: 10, left: -10, bottom: 0 }}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="idx" tick={{ fontSize: 12 }} />
+                    <YAxis domain={[0, 100]} tick={{ fontSize: 12 }} />
+                    <Tooltip />
+                    <Line type="monotone" dataKey="score" strokeWidth={3} dot={false} />
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+              <div className="mt-2 text-xs text-zinc-600">Puntuación de cumplimiento por sesión (0–100).</div>
             </div>
-          ) : (
-            <div className="space-y-2">
-              {logs.order.map((id) => {
-                const L = logs.byId[id];
-                const tone =
-                  L.recommendation === "advance"
-                    ? "good"
-                    : L.recommendation === "hold"
-                    ? "warn"
-                    : "bad";
-                return (
-                  <div key={id} className="rounded-2xl border border-zinc-200 bg-white p-3">
-                    <div className="flex items-start justify-between gap-3">
-                      <div>
-                        <div className="text-xs text-zinc-500">{L.date}</div>
-                        <div className="text-sm font-semibold text-zinc-900">
-                          Semana {L.week} · {L.dayId} — {L.sessionTitle}
+
+            {painTrend.length ? (
+              <div className="rounded-2xl border border-zinc-200 bg-white p-3">
+                <div className="mb-2 text-sm font-semibold text-zinc-900">Dolor y molestias</div>
+                <div className="space-y-2">
+                  {painTrend.map((x) => {
+                    const limit = painLimits[x.region];
+                    return (
+                      <div key={x.region} className="flex items-center justify-between gap-3 text-xs">
+                        <div className="min-w-0">
+                          <div className="truncate font-semibold text-zinc-900">
+                            {PAIN_REGIONS[x.region]?.label ?? x.region}
+                          </div>
+                          <div className="text-zinc-500 tabular-nums">
+                            {x.entries
+                              .slice(0, 6)
+                              .map((e) => `${formatDate(e.date, { day: "numeric", month: "short" })}: ${e.intensity}`)
+                              .join(" · ")}
+                          </div>
+                        </div>
+                        <Pill tone={limit?.level === "block" ? "bad" : limit ? "warn" : "neutral"}>
+                          {limit?.level === "block" ? "Pausado" : limit ? "Rebajado" : `${x.entries[0].intensity}/10`}
+                        </Pill>
+                      </div>
+                    );
+                  })}
+                </div>
+                <div className="mt-2 text-xs text-zinc-600">Intensidad 0–10 por zona (más reciente primero).</div>
+              </div>
+            ) : null}
+
+            {asymmetries.length ? (
+              <div className="rounded-2xl border border-zinc-200 bg-white p-3">
+                <div className="mb-2 text-sm font-semibold text-zinc-900">Izquierda / derecha</div>
+                <div className="space-y-2">
+                  {asymmetries.map((x) => (
+                    <div key={x.exerciseId} className="flex items-center justify-between gap-3 text-xs">
+                      <div className="min-w-0">
+                        <div className="truncate font-semibold text-zinc-900">
+                          {library[x.exerciseId]?.title ?? x.exerciseId}
                         </div>
-                        <div className="mt-1 flex flex-wrap gap-2">
-                          <Pill tone={tone}>{L.recommendation}</Pill>
-                          <Pill>Score {Math.round((L.score ?? 0) * 100)}%</Pill>
-                          <Pill>RPE {L.rpe}</Pill>
+                        <div className="text-zinc-500 tabular-nums">
+                          {x.sessions.map((v) => `${v.left}/${v.right}`).join(" · ")}
                         </div>
                       </div>
-                      <div className="text-right">
-                        <div className="text-xs text-zinc-500">Cumplimiento</div>
-                        <div className="text-sm font-bold tabular-nums text-zinc-900">
-                          {Math.round((L.pct ?? 0) * 100)}%
+                      <Pill tone={x.flagged ? "warn" : "neutral"}>
+                        {Math.abs(x.meanAsym) < 0.05
+                          ? "Equilibrado"
+                          : `${SIDE_LABELS[x.weaker]} −${Math.round(Math.abs(x.meanAsym) * 100)}%`}
+                      </Pill>
+                    </div>
+                  ))}
+                </div>
+                <div className="mt-2 text-xs text-zinc-600">
+                  Reps izq./der. de las últimas {ASYMMETRY_WINDOW} sesiones (más reciente primero).
+                </div>
+              </div>
+            ) : null}
+
+            {logs.order.length === 0 ? (
+              <div className="rounded-2xl border border-zinc-200 bg-white p-4 text-sm text-zinc-700">
+                Aún no hay sesiones guardadas. Cuando completes una, aparecerá aquí.
+              </div>
+            ) : (
+              <div className="space-y-2">
+                {logs.order.map((id) => {
+                  const L = logs.byId[id];
+                  const tone =
+                    L.recommendation === "advance"
+                      ? "good"
+                      : L.recommendation === "hold"
+                      ? "warn"
+                      : "bad";
+                  return (
+                    <div key={id} className="rounded-2xl border border-zinc-200 bg-white p-3">
+                      <div className="flex items-start justify-between gap-3">
+                        <div>
+                          <div className="text-xs text-zinc-500">
+                            {L.date}
+                            {L.time ? ` · ${L.time}` : ""}
+                          </div>
+                          <div className="text-sm font-semibold text-zinc-900">
+                            Semana {L.week} · {L.dayId} — {L.sessionTitle}
+                          </div>
+                          <div className="mt-1 flex flex-wrap gap-2">
+                            <Pill tone={tone}>{L.recommendation}</Pill>
+                            <Pill>Score {Math.round((L.score ?? 0) * 100)}%</Pill>
+                            <Pill>RPE {L.rpe}</Pill>
+                          </div>
+                          {L.notes ? <div className="mt-2 text-xs text-zinc-600">{L.notes}</div> : null}
+                          <LogBreakdown log={L} library={library} />
+                        </div>
+                        <div className="text-right">
+                          <div className="text-xs text-zinc-500">Cumplimiento</div>
+                          <div className="text-sm font-bold tabular-nums text-zinc-900">
+                            {Math.round((L.pct ?? 0) * 100)}%
+                          </div>
+                          <div className="mt-2 flex justify-end gap-1">
+                            <button
+                              className="rounded-lg p-2 text-zinc-500 hover:bg-zinc-100 hover:text-zinc-900"
+                              onClick={() => setEditingLogId(id)}
+                              aria-label="Editar sesión"
+                            >
+                              <Pencil className="h-4 w-4" />
+                            </button>
+                            <button
+                              className="rounded-lg p-2 text-zinc-500 hover:bg-zinc-100 hover:text-rose-700"
+                              onClick={() => deleteLog(id)}
+                              aria-label="Borrar sesión"
+                            >
+                              <Trash2 className="h-4 w-4" />
+                            </button>
+                          </div>
                         </div>
                       </div>
                     </div>
-                  </div>
-                );
-              })}
-            </div>
-          )}
+                  );
+                })}
+              </div>
+            )}
 
-          <div className="rounded-2xl bg-zinc-50 p-3 text-xs text-zinc-700">
-            <div className="font-semibold text-zinc-900">Consejo</div>
-            <div className="mt-1">
-              Ajusta los objetivos (series/reps) para que la sesión acabe con sensación de control.
-              Si aparece dolor articular, reduce rango o elige una variante más fácil.
+            <div className="rounded-2xl bg-zinc-50 p-3 text-xs text-zinc-700">
+              <div className="font-semibold text-zinc-900">Consejo</div>
+              <div className="mt-1">
+                Ajusta los objetivos (series/reps) para que la sesión acabe con sensación de control.
+                Si aparece dolor articular, reduce rango o elige una variante más fácil.
+              </div>
             </div>
           </div>
-        </div>
+        )}
       </Modal>
     </div>
   );